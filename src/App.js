@@ -18,8 +18,16 @@ import { HexMap } from './hexmap/HexMap.js'
 import { Lighting } from './Lighting.js'
 import { PostFX } from './PostFX.js'
 import { WavesMask } from './hexmap/effects/WavesMask.js'
-import { setSeed } from './SeededRandom.js'
+import { setSeed, getSeed, setDerivedStreams } from './SeededRandom.js'
 import { LEVELS_COUNT } from './hexmap/HexTileData.js'
+import { validateMapDoc, mapDocFromHash } from './hexmap/HexMapSerializer.js'
+import { SESSION_FORMAT, validateSession } from './hexmap/ActionLog.js'
+import { rebuildNoiseTables } from './hexmap/Decorations.js'
+import { exportGLB } from './hexmap/export/GLBExport.js'
+import { exportTiledMap, isTiledMap, tiledMapToDoc } from './hexmap/export/TiledMap.js'
+import { exportRasters } from './hexmap/export/RasterExport.js'
+import { exportSVGAtlas, collectAtlasDecorations } from './hexmap/export/SVGAtlas.js'
+import { exportPrint } from './hexmap/export/PrintExport.js'
 import gsap from 'gsap'
 
 // Global status update function
@@ -45,6 +53,16 @@ export function log(text, style = '') {
   setStatus(text, style)
 }
 
+// Save a blob as a file download
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
 export class App {
   static instance = null
 
@@ -66,6 +84,9 @@ export class App {
     this.params = null
     this.cssRenderer = null  // CSS2DRenderer for debug labels
     this.buildMode = false  // false = Move (camera only), true = Build (click to WFC)
+    this.paintMode = false  // Paint: click stamps the brush tile (HexMapInteraction.paintBrush)
+    this.lockMode = false   // Lock: click locks / unlocks a cell (HexMap.queueToggleLock)
+    this.constrainMode = false  // Constrain: click paints a region constraint on placeholder cells (HexMap.queuePaintConstraint)
 
     if (App.instance != null) {
       console.warn('App instance already exists')
@@ -93,9 +114,11 @@ export class App {
     this.renderer.shadowMap.type = PCFShadowMap
 
     window.addEventListener('resize', this.onResize.bind(this))
+    window.addEventListener('keydown', this.onKeyDown.bind(this))
 
     // Initialize params from defaults before creating modules
     this.params = JSON.parse(JSON.stringify(GUIManager.defaultParams))
+    setDerivedStreams(this.params.roads.perGridRng)
 
     this.initCamera()
     this.initPostProcessing()
@@ -179,6 +202,7 @@ export class App {
     // After tiles drop, re-render mask and fade waves back in
     this._pendingMaskRender = null
     this.city.onTilesChanged = (animDonePromise) => {
+      this.city.updateRiverFlow()
       if (this.city._autoBuilding) return
       const opacity = this.city._waveOpacity
       if (!opacity) return
@@ -264,6 +288,7 @@ export class App {
     this.gui.init()
     this.gui.gui.domElement.classList.add('gui-hidden')
     this.gui.applyParams()
+    this.city.startActionLog(seed)
 
     // Move FPS meter into GUI panel, above DPR
     this.stats.dom.style.display = ''
@@ -446,7 +471,7 @@ export class App {
     `
     document.body.appendChild(container)
 
-    // Mode toggle (Move | Build)
+    // Mode toggle (Move | Build | Paint | Lock)
     const toggle = document.createElement('div')
     toggle.style.cssText = `
       display: flex;
@@ -459,11 +484,18 @@ export class App {
     const modeButtons = {}
     const setMode = (key) => {
       this.buildMode = key === 'build'
+      this.paintMode = key === 'paint'
+      this.lockMode = key === 'lock'
+      this.constrainMode = key === 'constrain'
+      if (!this.paintMode) this.city?.clearPaintPreview()
+      this.city?.clearHoverHighlight()
+      this.city?.updateConstraintOverlay()  // Constraints under populated grids show only in Constrain mode
       for (const [k, btn] of Object.entries(modeButtons)) {
         btn.style.background = k === key ? 'rgba(255,255,255,0.3)' : 'transparent'
       }
     }
-    for (const { key, label } of [{ key: 'move', label: 'Move' }, { key: 'build', label: 'Build' }]) {
+    const modes = [{ key: 'move', label: 'Move' }, { key: 'build', label: 'Build' }, { key: 'paint', label: 'Paint' }, { key: 'lock', label: 'Lock' }, { key: 'constrain', label: 'Constrain' }]
+    for (const { key, label } of modes) {
       const btn = document.createElement('button')
       btn.textContent = label
       btn.style.cssText = `
@@ -485,7 +517,7 @@ export class App {
       })
       modeButtons[key] = btn
       toggle.appendChild(btn)
-      if (key === 'move') {
+      if (key !== modes[modes.length - 1].key) {
         const divider = document.createElement('div')
         divider.style.cssText = 'width: 1px; background: rgba(255,255,255,0.3); align-self: stretch;'
         toggle.appendChild(divider)
@@ -501,14 +533,39 @@ export class App {
         ])
       }},
       { label: 'Clear All', action: () => {
-        this.city.reset()
+        this.city.clearAll()
         this.city.setHelpersVisible(this.params.debug.hexGrid)
         this.perspCamera.position.set(0, 100, 58.5)
         this.controls.target.set(0, 1, 0)
         this.controls.update()
       }},
+      { label: 'Save', action: () => this.saveMap() },
+      { label: 'Load', action: () => mapFileInput.click() },
+      { label: 'Share', action: () => this.shareMap() },
     ]
 
+    // Hidden file picker for Load
+    const mapFileInput = document.createElement('input')
+    mapFileInput.type = 'file'
+    mapFileInput.accept = '.json,.tmj,application/json'
+    mapFileInput.style.display = 'none'
+    mapFileInput.addEventListener('change', async () => {
+      const file = mapFileInput.files[0]
+      mapFileInput.value = ''
+      if (!file) return
+      try {
+        // A session log replays, a Tiled map converts; anything else should be a map document
+        const doc = JSON.parse(await file.text())
+        if (doc?.format === SESSION_FORMAT) await this.replaySession(doc)
+        else if (isTiledMap(doc)) await this.loadMap(tiledMapToDoc(doc, this.city.hexGridRadius))
+        else await this.loadMap(doc)
+      } catch (e) {
+        console.error('Failed to load map:', e)
+        setStatus(`Load failed: ${e.message}`)
+      }
+    })
+    container.appendChild(mapFileInput)
+
     for (const { label, action } of actions) {
       const btn = document.createElement('button')
       btn.textContent = label
@@ -546,6 +603,24 @@ export class App {
     container.appendChild(guiBtn)
   }
 
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS): undo / redo map edits.
+   * R / Shift+R: rotate the paint brush, or the rebuild brush's line axis in Build mode
+   */
+  onKeyDown(e) {
+    // Leave text fields (lil-gui number/text inputs) their own keys
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return
+    if (e.key.toLowerCase() === 'r' && !(e.ctrlKey || e.metaKey)) {
+      if (this.paintMode) this.city.rotatePaintBrush(e.shiftKey ? -1 : 1)
+      else if (this.buildMode) this.city.rotateRebuildBrush(e.shiftKey ? -1 : 1)
+      return
+    }
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return
+    e.preventDefault()
+    if (e.shiftKey) this.city.redo()
+    else this.city.undo()
+  }
+
   onResize(_e, toSize) {
     const { renderer, cssRenderer, postFX } = this
     const size = new Vector2(window.innerWidth, window.innerHeight)
@@ -628,15 +703,164 @@ export class App {
     const ext = format === 'image/png' ? 'png' : 'jpg'
     const name = filename || `city-${Date.now()}.${ext}`
     canvas.toBlob((blob) => {
-      const url = URL.createObjectURL(blob)
-      const link = document.createElement('a')
-      link.href = url
-      link.download = name
-      link.click()
-      URL.revokeObjectURL(url)
+      downloadBlob(blob, name)
     }, format, quality)
   }
 
+  /**
+   * Download the populated grids as a .glb (see export/GLBExport.js)
+   * @param {string} filename - Defaults to map-seed<seed>-<timestamp>.glb
+   */
+  async exportGLB(filename) {
+    const name = filename || `map-seed${getSeed()}-${Date.now()}.glb`
+    const glb = await exportGLB(this.city)
+    downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), name)
+    setStatus(`Exported ${name}`)
+  }
+
+  /**
+   * Download the map as a Tiled JSON map (see export/TiledMap.js); the Load button reads it back
+   * @param {string} filename - Defaults to map-seed<seed>-<timestamp>.tmj
+   */
+  exportTiled(filename) {
+    const name = filename || `map-seed${getSeed()}-${Date.now()}.tmj`
+    downloadBlob(new Blob([JSON.stringify(exportTiledMap(this.city))], { type: 'application/json' }), name)
+    setStatus(`Exported ${name}`)
+  }
+
+  /**
+   * Download the heightmap, category map, splat masks and raster.json (see export/RasterExport.js)
+   * @param {Object} options - { pixelsPerHex }
+   */
+  async exportRasters({ pixelsPerHex = 16 } = {}) {
+    const prefix = `map-seed${getSeed()}-`
+    const files = await exportRasters(this.city.globalCells, { pixelsPerHex })
+    for (const { name, data } of files) {
+      const type = name.endsWith('.png') ? 'image/png' : 'application/json'
+      downloadBlob(new Blob([data], { type }), prefix + name)
+    }
+    setStatus(`Exported ${files.length} raster files`)
+  }
+
+  /**
+   * Download the printable "parchment atlas" SVG (see export/SVGAtlas.js)
+   * @param {string} filename - Defaults to atlas-seed<seed>-<timestamp>.svg
+   */
+  exportSVG(filename) {
+    const name = filename || `atlas-seed${getSeed()}-${Date.now()}.svg`
+    const svg = exportSVGAtlas(this.city.globalCells, {
+      decorations: collectAtlasDecorations(this.city),
+      title: `Seed ${getSeed()}`,
+    })
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), name)
+    setStatus(`Exported ${name}`)
+  }
+
+  /**
+   * Download a closed, printable solid of the map (see export/PrintExport.js)
+   * @param {Object} options - { format: 'stl'|'obj', widthMm, baseMm, decorations, samplesPerHex }
+   */
+  exportPrint(options = {}) {
+    const format = options.format ?? 'stl'
+    const name = `map-seed${getSeed()}-${Date.now()}.${format}`
+    const data = exportPrint(this.city, { ...options, format })
+    downloadBlob(new Blob([data], { type: format === 'obj' ? 'text/plain' : 'model/stl' }), name)
+    setStatus(`Exported ${name}`)
+  }
+
+  /**
+   * Download the current map as a JSON document (see HexMap.serialize)
+   * @param {string} filename - Defaults to map-seed<seed>-<timestamp>.json
+   */
+  async saveMap(filename) {
+    const doc = await this.city.serialize()
+    const name = filename || `map-seed${doc.seed}-${Date.now()}.json`
+    downloadBlob(new Blob([JSON.stringify(doc)], { type: 'application/json' }), name)
+    setStatus(`Saved ${name}`)
+  }
+
+  /**
+   * Load a map document from saveMap: applies its GUI params, then rebuilds the map without WFC
+   * @param {Object} doc - From HexMap.serialize
+   */
+  async loadMap(doc) {
+    validateMapDoc(doc, this.city.hexGridRadius)
+    this.gui.setParams(doc.params)
+    await this.city.deserialize(doc)
+    this.seedElement.textContent = `seed: ${doc.seed}`
+    console.log(`%c[SEED] ${doc.seed}`, 'color: black')
+  }
+
+  /**
+   * Download the session action log (seed, starting params and every map-changing action)
+   * @param {string} filename - Defaults to session-seed<seed>-<timestamp>.json
+   */
+  saveSession(filename) {
+    const session = this.city.actionLog.toJSON()
+    const name = filename || `session-seed${session.seed}-${Date.now()}.json`
+    downloadBlob(new Blob([JSON.stringify(session)], { type: 'application/json' }), name)
+    setStatus(`Saved ${name}`)
+  }
+
+  /**
+   * Reset the map to the session's seed and params, then re-execute its actions in order
+   * @param {Object} session - Session log (default: the current session)
+   * @returns {Promise<boolean>} False if the session can't be replayed
+   */
+  async replaySession(session = this.city.actionLog.toJSON()) {
+    try {
+      validateSession(session)
+    } catch (e) {
+      log(`[REPLAY] ${e.message}`, 'color: red')
+      return false
+    }
+    const { seed, params, actions } = structuredClone(session)
+    log(`[REPLAY] ${actions.length} actions (seed ${seed})`, 'color: blue')
+
+    this.gui.setParams(params)
+    setSeed(seed)
+    rebuildNoiseTables()
+    await this.city.reset()
+    this.city.startActionLog(seed)
+    this.seedElement.textContent = `seed: ${seed}`
+
+    for (const action of actions) {
+      if (action.type === 'param') this.gui.setParams({ [action.section]: { [action.key]: action.value } })
+      else await this.city.replayAction(action)
+    }
+    log('[REPLAY] Complete', 'color: green')
+    return true
+  }
+
+  /**
+   * Put the current map in the page URL hash (#map=...) and copy the link
+   */
+  async shareMap() {
+    history.replaceState(null, '', `#map=${this.city.toUrlHash()}`)
+    try {
+      await navigator.clipboard.writeText(location.href)
+      setStatus('Map link copied')
+    } catch (e) {
+      setStatus('Map link is in the address bar')
+    }
+  }
+
+  /**
+   * Restore the exact map from a URL hash made by shareMap
+   * @param {string} hash - The #map= value
+   * @returns {Promise<boolean>} False if the hash didn't decode (old or corrupted link)
+   */
+  async loadMapHash(hash) {
+    try {
+      await this.loadMap(mapDocFromHash(hash, this.city.hexGridRadius))
+      return true
+    } catch (e) {
+      console.error('Failed to load map link:', e)
+      setStatus(`Map link failed: ${e.message}`)
+      return false
+    }
+  }
+
   fadeIn(duration = 1000) {
     gsap.to(this.postFX.fadeOpacity, { value: 1, duration: duration / 1000 })
   }
@@ -1,6 +1,13 @@
 import { GUI } from 'three/addons/libs/lil-gui.module.min.js'
 import { setTreeNoiseFrequency, setTreeThreshold, setBuildingNoiseFrequency, setBuildingThreshold } from './hexmap/Decorations.js'
 import { HexTile } from './hexmap/HexTiles.js'
+import { WFC_HEURISTICS, WFC_BACKTRACK_MODES } from './hexmap/HexWFCSolver.js'
+import { setDerivedStreams } from './SeededRandom.js'
+import { PRINT_FORMATS, PRINT_DEFAULTS } from './hexmap/export/PrintExport.js'
+import { TileType, LEVELS_COUNT } from './hexmap/HexTileData.js'
+import { BRUSH_SHAPES, BRUSH_FILTERS, BRUSH_EDGE_TYPES, BRUSH_MAX_RADIUS } from './hexmap/RebuildBrush.js'
+import { CONSTRAINT_KINDS, CONSTRAINT_MAX_RADIUS } from './hexmap/CellConstraints.js'
+import { ROAD_CONNECTIVITY_MODES } from './hexmap/RoadNetwork.js'
 
 export class GUIManager {
   constructor(app) {
@@ -62,6 +69,12 @@ export class GUIManager {
     },
     roads: {
       animateWFC: true,
+      wfcHeuristic: 'shannon',
+      wfcBacktrack: 'backjump',
+      wfcWorkers: 2,
+      perGridRng: true,  // Derived RNG stream per grid/pass; off = one global stream in click order
+      riverFlow: true,  // Re-solve rivers that can't flow downhill to the sea
+      roadConnectivity: 'off',  // 'repair' links disconnected road networks after a solve, 'strict' also prunes the rest
       showOutlines: false,
     },
     decoration: {
@@ -142,6 +155,22 @@ export class GUIManager {
       app.city?.setOutlinesVisible(v)
     })
     gui.add(allParams.roads, 'animateWFC').name('Animate WFC')
+    gui.add(allParams.roads, 'wfcHeuristic', WFC_HEURISTICS).name('WFC Heuristic').onChange((v) => {
+      app.city.wfcManager.solverOptions.heuristic = v
+    })
+    gui.add(allParams.roads, 'wfcBacktrack', WFC_BACKTRACK_MODES).name('WFC Backtracking').onChange((v) => {
+      app.city.wfcManager.solverOptions.backtrackMode = v
+    })
+    gui.add(allParams.roads, 'wfcWorkers', 1, 8, 1).name('WFC Workers').onChange((v) => {
+      app.city.wfcManager.setPoolSize(v)
+    })
+    gui.add(allParams.roads, 'perGridRng').name('Per-Grid RNG').onChange((v) => {
+      setDerivedStreams(v)
+    })
+    gui.add(allParams.roads, 'riverFlow').name('River Flow').onChange((v) => {
+      app.city.wfcManager.solverOptions.riverFlow = v
+    })
+    gui.add(allParams.roads, 'roadConnectivity', ROAD_CONNECTIVITY_MODES).name('Road Connectivity')
     gui.add(allParams.debug, 'tileLabels').name('Tile Labels').onChange((v) => {
       app.city.setTileLabelsVisible(v)
     })
@@ -180,8 +209,22 @@ export class GUIManager {
 
     // Action buttons
     gui.add({ exportPNG: () => app.exportPNG() }, 'exportPNG').name('Export JPG')
+    gui.add({ exportGLB: () => app.exportGLB() }, 'exportGLB').name('Export GLB')
+    gui.add({ exportTiled: () => app.exportTiled() }, 'exportTiled').name('Export Tiled')
+    const rasterExport = { pixelsPerHex: 16, export: () => app.exportRasters(rasterExport) }
+    gui.add(rasterExport, 'pixelsPerHex', 2, 64, 1).name('Raster Px/Hex')
+    gui.add(rasterExport, 'export').name('Export Rasters')
+    gui.add({ exportSVG: () => app.exportSVG() }, 'exportSVG').name('Export SVG Atlas')
+    const printFolder = gui.addFolder('3D Print').close()
+    const printExport = { ...PRINT_DEFAULTS, format: 'stl', export: () => app.exportPrint(printExport) }
+    printFolder.add(printExport, 'format', PRINT_FORMATS).name('Format')
+    printFolder.add(printExport, 'widthMm', 50, 400, 5).name('Width (mm)')
+    printFolder.add(printExport, 'baseMm', 0.5, 10, 0.5).name('Base (mm)')
+    printFolder.add(printExport, 'decorations').name('Decorations')
+    printFolder.add(printExport, 'samplesPerHex', 4, 32, 1).name('Decor Samples/Hex')
+    printFolder.add(printExport, 'export').name('Export Print')
     gui.add({ reset: () => {
-      app.city.reset()
+      app.city.clearAll()
       app.city.setHelpersVisible(allParams.debug.hexGrid)
       app.perspCamera.position.set(0.903, 100.036, 59.610)
       app.controls.target.set(0.903, 1, 1.168)
@@ -194,6 +237,8 @@ export class GUIManager {
       import('./lib/Sounds.js').then(({ Sounds }) => Sounds.play('pop', 1.0, 0, 0.3))
       app.city.populateAllGrids()
     } }, 'buildAll').name('Build All (Single Solve)')
+    gui.add({ replaySession: () => app.replaySession() }, 'replaySession').name('Replay Session')
+    gui.add({ saveSession: () => app.saveSession() }, 'saveSession').name('Save Session Log')
     gui.add({ benchmark: () => app.city.runBenchmark(50) }, 'benchmark').name('Modular (50 runs)')
     gui.add({ benchmarkBA: () => app.city.runBuildAllBenchmark(50) }, 'benchmarkBA').name('Single Solve (50 runs)')
 
@@ -224,6 +269,33 @@ export class GUIManager {
       }
     }, 'logControls').name('Log Orbit State')
 
+    // Rebuild-WFC brush (not a param either: each rebuild records the brush it used)
+    const brushFolder = gui.addFolder('Rebuild Brush').close()
+    const rebuildBrush = app.city.interaction.rebuildBrush
+    const refreshBrush = () => app.city.interaction.refreshHoverHighlight()
+    brushFolder.add(rebuildBrush, 'radius', 1, BRUSH_MAX_RADIUS, 1).name('Radius').onChange(refreshBrush)
+    brushFolder.add(rebuildBrush, 'shape', BRUSH_SHAPES).name('Shape').onChange(refreshBrush)
+    brushFolder.add(rebuildBrush, 'direction', 0, 2, 1).name('Line Axis (R)').listen().onChange(refreshBrush)
+    brushFolder.add(rebuildBrush, 'filter', BRUSH_FILTERS).name('Tile Filter')
+    for (const edge of BRUSH_EDGE_TYPES) {
+      brushFolder.add(rebuildBrush.edges, edge).name(edge[0].toUpperCase() + edge.slice(1))
+    }
+
+    // Constrain mode brush (each constrain click records its kind and radius)
+    const constrainFolder = gui.addFolder('Constraints').close()
+    const constraintBrush = app.city.interaction.constraintBrush
+    constrainFolder.add(constraintBrush, 'kind', [...CONSTRAINT_KINDS, 'erase']).name('Kind')
+    constrainFolder.add(constraintBrush, 'radius', 0, CONSTRAINT_MAX_RADIUS, 1).name('Radius').onChange(refreshBrush)
+    constrainFolder.add({ clearConstraints: () => app.city.queueClearConstraints() }, 'clearConstraints').name('Clear Constraints')
+
+    // Paint mode brush (not a param: it isn't part of the map or the session log)
+    const paintFolder = gui.addFolder('Paint').close()
+    const brush = app.city.interaction.paintBrush
+    const refreshPaint = () => app.city.interaction.refreshPaintPreview()
+    paintFolder.add(brush, 'type', TileType).name('Tile').onChange(refreshPaint)
+    paintFolder.add(brush, 'rotation', 0, 5, 1).name('Rotation (R)').listen().onChange(refreshPaint)
+    paintFolder.add(brush, 'level', 0, LEVELS_COUNT - 1, 1).name('Level').onChange(refreshPaint)
+
     // Decoration folder
     const decorationFolder = gui.addFolder('Decoration').close()
     decorationFolder.add(allParams.decoration, 'treeNoiseFreq', 0.01, 0.2, 0.01).name('Tree Noise Freq').onChange((v) => {
@@ -386,9 +458,35 @@ export class GUIManager {
     })
     fxFolder.add(allParams.fx, 'grainFPS', 0, 60, 1).name('Grain FPS')
 
+    // Record param changes in the session action log (for App.replaySession)
+    gui.onChange(({ controller, property, value }) => {
+      const section = this.getParamSection(controller)
+      if (section) app.city.actionLog.recordParam(section, property, value)
+    })
+
     return allParams
   }
 
+  /** Params section a controller edits (e.g. 'roads'), or undefined for action buttons */
+  getParamSection(controller) {
+    const { params } = this.app
+    return Object.keys(params).find(key => params[key] === controller.object)
+  }
+
+  /**
+   * Set params through their controllers so each onChange applies it (saved maps, session replay)
+   * @param {Object} params - { section: { key: value } }; missing keys keep their current value
+   */
+  setParams(params) {
+    for (const controller of this.gui.controllersRecursive()) {
+      const value = params?.[this.getParamSection(controller)]?.[controller.property]
+      if (value !== undefined && JSON.stringify(value) !== JSON.stringify(controller.getValue())) {
+        controller.setValue(value)
+      }
+    }
+    this.applyParams()
+  }
+
   // Apply all GUI params to scene objects (called after init)
   applyParams() {
     const { app } = this
@@ -5,6 +5,7 @@
 
 let rng = Math.random
 let currentSeed = null
+let derivedStreams = true
 
 /**
  * Set the global RNG seed
@@ -12,18 +13,106 @@ let currentSeed = null
  */
 export function setSeed(seed) {
   currentSeed = seed
-  if (seed === null) {
-    rng = Math.random
-  } else {
-    // Mulberry32 seeded PRNG
-    let s = seed
-    rng = () => {
-      s |= 0
-      s = s + 0x6D2B79F5 | 0
-      let t = Math.imul(s ^ s >>> 15, 1 | s)
-      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t
-      return ((t ^ t >>> 14) >>> 0) / 4294967296
-    }
+  rng = seed === null ? Math.random : createRandom(seed)
+}
+
+/**
+ * Create an independent seeded RNG (does not touch the global stream)
+ * @param {number} seed - Seed value
+ * @returns {Function} () => number in [0, 1), with getState()/setState(state) for its position
+ */
+export function createRandom(seed) {
+  // Mulberry32 seeded PRNG
+  let s = seed
+  const next = () => {
+    s |= 0
+    s = s + 0x6D2B79F5 | 0
+    let t = Math.imul(s ^ s >>> 15, 1 | s)
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t
+    return ((t ^ t >>> 14) >>> 0) / 4294967296
+  }
+  next.getState = () => s
+  next.setState = (state) => { s = state }
+  return next
+}
+
+/**
+ * Snapshot the global stream: its seed and how far the sequence has advanced
+ * @returns {{ seed: number|null, state: number|null }} JSON-safe; state is null when unseeded (Math.random)
+ */
+export function getState() {
+  return { seed: currentSeed, state: rng.getState?.() ?? null }
+}
+
+/**
+ * Restore the global stream from getState, so it continues exactly where the snapshot was taken
+ * @param {{ seed: number|null, state: number|null }} snapshot
+ */
+export function setState({ seed, state }) {
+  setSeed(seed ?? null)
+  if (state != null) rng.setState?.(state)
+}
+
+/**
+ * Derive a child seed from a seed and a label, e.g. deriveSeed(seed, 'grid:1,-1')
+ * Same inputs always give the same seed, so jobs get reproducible streams in any run order
+ * @param {number|null} seed - Parent seed (null stays null: unseeded)
+ * @param {string} label - Job label
+ * @returns {number|null} Unsigned 32-bit seed
+ */
+export function deriveSeed(seed, label) {
+  if (seed === null || seed === undefined) return null
+  // FNV-1a over "seed:label"
+  let h = 0x811C9DC5
+  const str = `${seed}:${label}`
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x01000193)
+  }
+  return h >>> 0
+}
+
+/**
+ * Turn derived streams on or off. Off restores the single global stream: createStream returns it and
+ * getStreamSeed returns null, so every pass draws from random() in call order (click order matters).
+ * @param {boolean} enabled
+ */
+export function setDerivedStreams(enabled) {
+  derivedStreams = enabled
+}
+
+/**
+ * Create a named RNG stream derived from a seed, e.g. createStream(seed, 'grid:1,-1')
+ * @param {number|null} seed - Parent seed
+ * @param {string} label - Stream name
+ * @returns {Function} () => number in [0, 1); the global random() when unseeded or derived streams are off
+ */
+export function createStream(seed, label) {
+  const streamSeed = derivedStreams ? deriveSeed(seed, label) : null
+  return streamSeed === null ? random : createRandom(streamSeed)
+}
+
+/**
+ * Seed of the named stream derived from the global seed, for passing to workers
+ * @param {string} label - Stream name
+ * @returns {number|null} null when unseeded or derived streams are off (worker uses its global stream)
+ */
+export function getStreamSeed(label) {
+  return derivedStreams ? deriveSeed(currentSeed, label) : null
+}
+
+/**
+ * Run a synchronous function with random() and shuffle() drawing from the given stream
+ * @param {Function} stream - From createStream
+ * @param {Function} fn - Must not await: the global stream is restored when it returns
+ */
+export function withStream(stream, fn) {
+  if (stream === random) return fn()
+  const prev = rng
+  rng = stream
+  try {
+    return fn()
+  } finally {
+    rng = prev
   }
 }
 
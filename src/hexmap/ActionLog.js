@@ -0,0 +1,99 @@
+/**
+ * Session action log — every user action that changes the map, in order, plus the seed and
+ * starting params, so the session can be replayed from scratch (App.replaySession)
+ *
+ * Actions:
+ *   { type: 'grid', key }                 — placeholder click (recorded when the solve finishes, not if cancelled)
+ *   { type: 'rebuild', q, r, s, brush }   — Rebuild-WFC click (likewise; brush as in RebuildBrush.js)
+ *   { type: 'paint', q, r, s, tile, rotation, level } — Paint click (tile by name; likewise)
+ *   { type: 'lock', q, r, s, locked }     — Lock mode click (see HexMap.setCellLocked)
+ *   { type: 'constrain', q, r, s, kind, radius } — Constrain mode click (see HexMap.paintConstraint)
+ *   { type: 'clearConstraints' }          — Clear Constraints
+ *   { type: 'autoBuild', order }          — Build All (Modular)
+ *   { type: 'buildAll' }                  — Build All (Single Solve)
+ *   { type: 'reset' }                     — Clear All
+ *   { type: 'undo' } / { type: 'redo' }  — Ctrl+Z / Ctrl+Shift+Z (see EditHistory)
+ *   { type: 'param', section, key, value } — GUI param change (consecutive changes to one param coalesce)
+ */
+
+export const SESSION_FORMAT = 'hex-map-wfc-session'
+export const SESSION_VERSION = 1
+
+export class ActionLog {
+  constructor() {
+    this.seed = null
+    this.params = {}
+    this.actions = []
+    // Set when the session started from a loaded snapshot (e.g. a share link) with no log to replay
+    this.fromSnapshot = false
+  }
+
+  /**
+   * Start a new session log
+   * @param {number|null} seed - Seed the session starts from
+   * @param {Object} params - GUI params at the start (copied)
+   * @param {Object} options - { fromSnapshot }
+   */
+  start(seed, params = {}, { fromSnapshot = false } = {}) {
+    this.seed = seed
+    this.params = structuredClone(params)
+    this.actions = []
+    this.fromSnapshot = fromSnapshot
+  }
+
+  /** Append an action */
+  record(action) {
+    this.actions.push(action)
+  }
+
+  /** Record a param change; a drag or retype of the same param replaces the previous entry */
+  recordParam(section, key, value) {
+    const last = this.actions[this.actions.length - 1]
+    if (last?.type === 'param' && last.section === section && last.key === key) {
+      last.value = structuredClone(value)
+    } else {
+      this.record({ type: 'param', section, key, value: structuredClone(value) })
+    }
+  }
+
+  /** JSON-safe session document */
+  toJSON() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      seed: this.seed,
+      params: this.params,
+      actions: this.actions,
+      fromSnapshot: this.fromSnapshot,
+    }
+  }
+
+  /** Replace this log with a session document (from toJSON) */
+  restore(session) {
+    validateSession(session, { replayable: false })
+    this.seed = session.seed
+    this.params = structuredClone(session.params ?? {})
+    this.actions = structuredClone(session.actions)
+    this.fromSnapshot = !!session.fromSnapshot
+  }
+}
+
+/**
+ * Throw if session isn't a session document this version can use
+ * @param {Object} session
+ * @param {Object} options - { replayable }: also require that it can be replayed from its seed
+ */
+export function validateSession(session, { replayable = true } = {}) {
+  if (session?.format !== SESSION_FORMAT) {
+    throw new Error('Not a session log')
+  }
+  if (!Number.isInteger(session.version) || session.version > SESSION_VERSION) {
+    throw new Error(`Unsupported session version ${session.version} (expected ${SESSION_VERSION} or older)`)
+  }
+  if (!Array.isArray(session.actions)) {
+    throw new Error('Session log has no actions')
+  }
+  if (replayable && session.fromSnapshot) {
+    throw new Error('Session started from a loaded map snapshot, so it can\'t be replayed from its seed')
+  }
+}
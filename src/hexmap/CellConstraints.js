@@ -0,0 +1,42 @@
+/**
+ * Region constraints - per-cell possibility filters painted on placeholder grids before solving
+ * Pure data helpers (no Three.js): the WFC solver builds its filter masks from them in the worker.
+ *
+ * Kinds:
+ *   water  open water (tiles whose edges are all water)
+ *   land   no water or coast edges
+ *   road   at least one road edge
+ *   high   dry land with its base at HIGH_GROUND_LEVEL or above
+ * Filters also take two kinds that aren't painted:
+ *   'road:<sides>', e.g. 'road:NE,W': road edges on those sides (WFCManager.enforceRoadConnectivity lays roads with it)
+ *   'no-river': no river edges (the solver's river repair keeps cells dry with it)
+ */
+
+import { TILE_LIST, rotateHexEdges } from './HexTileData.js'
+
+export const CONSTRAINT_KINDS = ['water', 'land', 'road', 'high']
+export const CONSTRAINT_COLORS = { water: 0x3d8bff, land: 0x5fd35a, road: 0xe0a050, high: 0xb070ff }
+export const CONSTRAINT_MAX_RADIUS = 3
+export const HIGH_GROUND_LEVEL = 2
+
+/**
+ * Whether a tile state satisfies a constraint (unknown kinds allow everything)
+ * @param {string} kind - CONSTRAINT_KINDS entry, 'road:<sides>' or 'no-river'
+ * @param {{type, rotation, level}} state
+ * @returns {boolean}
+ */
+export function stateMatchesConstraint(kind, { type, rotation, level }) {
+  if (kind.startsWith('road:')) {
+    const rotated = rotateHexEdges(TILE_LIST[type]?.edges ?? {}, rotation ?? 0)
+    return kind.slice(5).split(',').every(dir => rotated[dir] === 'road')
+  }
+  const edges = Object.values(TILE_LIST[type]?.edges ?? {})
+  switch (kind) {
+    case 'water': return edges.every(e => e === 'water')
+    case 'land': return !edges.some(e => e === 'water' || e === 'coast')
+    case 'road': return edges.includes('road')
+    case 'high': return (level ?? 0) >= HIGH_GROUND_LEVEL && !edges.some(e => e === 'water' || e === 'coast')
+    case 'no-river': return !edges.includes('river')
+    default: return true
+  }
+}
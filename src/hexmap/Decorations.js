@@ -1,4 +1,4 @@
-import { Object3D, BatchedMesh } from 'three/webgpu'
+import { Object3D, BatchedMesh, Matrix4, Color, Vector3 } from 'three/webgpu'
 import { TILE_LIST, TileType, HexDir, getHexNeighborOffset, rotateHexEdges, LEVELS_COUNT } from './HexTileData.js'
 import { HexTileGeometry } from './HexTiles.js'
 import { random, shuffle } from '../SeededRandom.js'
@@ -20,6 +20,10 @@ import {
   MAX_DEC_INSTANCES,
 } from './DecorationDefs.js'
 
+// Per-type item arrays that hold decoration instances (windmill fans are also in buildings)
+const DECORATION_LISTS = ['trees', 'buildings', 'bridges', 'waterlilies', 'flowers', 'rocks', 'hills', 'mountains']
+const WINDMILL_FAN_MESH = 'building_windmill_top_fan_yellow'
+
 // Re-export noise functions so existing imports from Decorations.js still work
 export { initGlobalTreeNoise, rebuildNoiseTables, setTreeNoiseFrequency, getTreeNoiseFrequency, setTreeThreshold, getTreeThreshold, setBuildingNoiseFrequency, getBuildingNoiseFrequency, setBuildingThreshold, getBuildingThreshold } from './DecorationDefs.js'
 
@@ -139,6 +143,27 @@ export class Decorations {
     return instanceId
   }
 
+  /** Track a windmill fan instance and start its endless spin */
+  _addWindmillFan(instanceId, x, y, z, baseRotationY) {
+    const fan = { instanceId, x, y, z, baseRotationY, spin: { angle: 0 } }
+    fan.tween = gsap.to(fan.spin, {
+      angle: Math.PI * 2,
+      duration: 4,
+      repeat: -1,
+      ease: 'none',
+      onUpdate: () => {
+        this.dummy.position.set(fan.x, fan.y, fan.z)
+        this.dummy.rotation.set(0, fan.baseRotationY, 0)
+        this.dummy.rotateZ(fan.spin.angle)
+        this.dummy.scale.setScalar(1)
+        this.dummy.updateMatrix()
+        try { this.mesh.setMatrixAt(fan.instanceId, this.dummy.matrix) } catch (_) {}
+      }
+    })
+    this.windmillFans.push(fan)
+    return fan
+  }
+
   async init(material) {
     const geoms = Decorations.cachedGeoms
     if (!geoms || geoms.size === 0) {
@@ -466,22 +491,7 @@ export class Decorations {
         const fanInstanceId = this._placeInstance(this.mesh, this.geomIds, 'building_windmill_top_fan_yellow', fanX, fanY, fanZ, waterAngle, 1, tile.level)
         if (fanInstanceId === -1) break
         this.buildings.push({ tile, meshName: 'building_windmill_top_fan_yellow', instanceId: fanInstanceId, rotationY: waterAngle, oy: WINDMILL_FAN_OFFSET.y, oz: fanOz, ox: fanOx })
-        const fan = { instanceId: fanInstanceId, x: fanX, y: fanY, z: fanZ, baseRotationY: waterAngle, spin: { angle: 0 } }
-        fan.tween = gsap.to(fan.spin, {
-          angle: Math.PI * 2,
-          duration: 4,
-          repeat: -1,
-          ease: 'none',
-          onUpdate: () => {
-            this.dummy.position.set(fan.x, fan.y, fan.z)
-            this.dummy.rotation.set(0, fan.baseRotationY, 0)
-            this.dummy.rotateZ(fan.spin.angle)
-            this.dummy.scale.setScalar(1)
-            this.dummy.updateMatrix()
-            try { this.mesh.setMatrixAt(fan.instanceId, this.dummy.matrix) } catch (_) {}
-          }
-        })
-        this.windmillFans.push(fan)
+        this._addWindmillFan(fanInstanceId, fanX, fanY, fanZ, waterAngle)
       }
     }
 
@@ -845,7 +855,7 @@ export class Decorations {
     )
     const instanceId = this._placeInstance(this.mesh, this.geomIds, meshName, localPos.x, tile.level * LEVEL_HEIGHT, localPos.z, -tile.rotation * Math.PI / 3, 1, tile.level)
     if (instanceId === -1) return
-    this.bridges.push({ tile, meshName, instanceId })
+    this.bridges.push(this._recordRestMatrix({ tile, meshName, instanceId }))
   }
 
   /**
@@ -866,7 +876,45 @@ export class Decorations {
     const rotY = Math.floor(random() * 6) * Math.PI / 3
     const instanceId = this._placeInstance(this.mesh, this.geomIds, meshName, localPos.x, baseY, localPos.z, rotY, 1, tile.level)
     if (instanceId === -1) return
-    this.mountains.push({ tile, meshName, instanceId, rotationY: rotY })
+    this.mountains.push(this._recordRestMatrix({ tile, meshName, instanceId, rotationY: rotY }))
+  }
+
+  /**
+   * Remember the resting transform of items placed since the last call, so getPlacementsAt
+   * doesn't capture an instance mid drop animation (or hidden at scale 0 before it)
+   */
+  recordRestMatrices() {
+    if (!this.mesh) return
+    for (const list of DECORATION_LISTS) {
+      for (const item of this[list]) {
+        if (!item.restMatrix) this._recordRestMatrix(item)
+      }
+    }
+  }
+
+  _recordRestMatrix(item) {
+    item.restMatrix = this.mesh.getMatrixAt(item.instanceId, new Matrix4())
+    return item
+  }
+
+  /**
+   * Decorations on one tile with their resting transform and color (see EditHistory)
+   * @param {number} gridX - Tile grid X
+   * @param {number} gridZ - Tile grid Z
+   * @returns {Array<{ list, meshName, matrix, color, rotationY?, ox?, oy?, oz? }>} For repopulateTilesAt's placements
+   */
+  getPlacementsAt(gridX, gridZ) {
+    const placements = []
+    if (!this.mesh) return placements
+    for (const list of DECORATION_LISTS) {
+      for (const item of this[list]) {
+        if (item.tile.gridX !== gridX || item.tile.gridZ !== gridZ) continue
+        const { tile, instanceId, restMatrix, ...fields } = item
+        const matrix = restMatrix ? restMatrix.clone() : this.mesh.getMatrixAt(instanceId, new Matrix4())
+        placements.push({ list, ...fields, matrix, color: this.mesh.getColorAt(instanceId, new Color()) })
+      }
+    }
+    return placements
   }
 
   /**
@@ -875,11 +923,17 @@ export class Decorations {
    * @param {Array} tiles - HexTile objects to repopulate
    * @param {number} gridRadius - Grid radius for position calculation
    * @param {Array} hexGrid - 2D grid array for neighbor lookups (needed for buildings)
+   * @param {Object} options - { animate, placements }: placements ("gridX,gridZ" → getPlacementsAt result)
+   *   restores exactly those decorations instead of placing new ones (undo/redo)
    */
-  repopulateTilesAt(tiles, gridRadius, hexGrid, { animate = true } = {}) {
+  repopulateTilesAt(tiles, gridRadius, hexGrid, { animate = true, placements = null } = {}) {
     for (const tile of tiles) {
       this.clearDecorationsAt(tile.gridX, tile.gridZ)
     }
+    if (placements) {
+      const restored = this._restorePlacements(tiles, placements)
+      return animate ? this._hideForAnimation(restored) : []
+    }
 
     const { x: offsetX, z: offsetZ } = this.worldOffset
     const newItems = []
@@ -1117,16 +1171,45 @@ export class Decorations {
       }
     }
 
-    if (animate) {
-      // Hide new items so they don't flash at final position before animation
-      for (const item of newItems) {
-        this.dummy.scale.setScalar(0)
-        this.dummy.updateMatrix()
-        item.mesh.setMatrixAt(item.instanceId, this.dummy.matrix)
-      }
+    this.recordRestMatrices()
+    return animate ? this._hideForAnimation(newItems) : []
+  }
+
+  /** Hide new items so they don't flash at final position before animation */
+  _hideForAnimation(newItems) {
+    this.dummy.scale.setScalar(0)
+    this.dummy.updateMatrix()
+    for (const item of newItems) {
+      item.mesh.setMatrixAt(item.instanceId, this.dummy.matrix)
     }
+    return newItems
+  }
 
-    return animate ? newItems : []
+  /** Re-add getPlacementsAt decorations on tiles (already cleared), returning animation items */
+  _restorePlacements(tiles, placements) {
+    const newItems = []
+    if (!this.mesh) return newItems
+    const position = new Vector3()
+    for (const tile of tiles) {
+      for (const { list, matrix, color, ...fields } of placements.get(`${tile.gridX},${tile.gridZ}`) ?? []) {
+        const geomId = this.geomIds.get(fields.meshName)
+        if (geomId === undefined) continue
+        const instanceId = this._addInstance(this.mesh, geomId)
+        if (instanceId === -1) continue
+        this.mesh.setColorAt(instanceId, color)
+        this.mesh.setMatrixAt(instanceId, matrix)
+        this[list].push({ tile, instanceId, ...fields, restMatrix: matrix.clone() })
+
+        position.setFromMatrixPosition(matrix)
+        const rotationY = fields.rotationY ?? -tile.rotation * Math.PI / 3
+        const item = { mesh: this.mesh, instanceId, x: position.x, y: position.y, z: position.z, rotationY, scale: matrix.getMaxScaleOnAxis() }
+        if (fields.meshName === WINDMILL_FAN_MESH) {
+          item.fan = this._addWindmillFan(instanceId, position.x, position.y, position.z, rotationY)
+        }
+        newItems.push(item)
+      }
+    }
+    return newItems
   }
 
   /**
@@ -1145,6 +1228,12 @@ export class Decorations {
         return true
       })
     }
+    // Stop spinning fans that are about to be deleted (their ids get reused)
+    this.windmillFans = this.windmillFans.filter(fan => {
+      const removed = this.buildings.some(b => b.instanceId === fan.instanceId && b.tile.gridX === gridX && b.tile.gridZ === gridZ)
+      if (removed) fan.tween?.kill()
+      return !removed
+    })
     this.trees = filterOut(this.trees, this.mesh)
     this.flowers = filterOut(this.flowers, this.mesh)
     this.buildings = filterOut(this.buildings, this.mesh)
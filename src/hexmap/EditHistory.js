@@ -0,0 +1,184 @@
+import { cubeKey, cubeCoordsInRadius, globalToLocalGrid } from './HexWFCCore.js'
+import { HexGridState } from './HexGrid.js'
+
+const HISTORY_LIMIT = 50
+
+/**
+ * One undoable map edit: the before/after state of every cell it touched, plus grids it populated.
+ * A cell state is null (not in globalCells) or { q, r, s, type, rotation, level, gridKey, decorations },
+ * where decorations is Decorations.getPlacementsAt for the cell's tile.
+ *
+ * Before states are captured the first time the edit touches a cell (touch), after states when it's
+ * committed, so one edit spans a whole solve: Local-WFC passes, replaced and dropped neighbor cells.
+ */
+export class MapEdit {
+  constructor(label, captureCell) {
+    this.label = label
+    this.before = new Map()  // cube key → cell state
+    this.after = new Map()
+    this.populatedGrids = []  // Grid keys this edit populated (undo turns them back into placeholders)
+    this._captureCell = captureCell
+  }
+
+  /**
+   * Touch every cell of a grid that is about to be populated (call before it's populated)
+   * @param {HexGrid} grid
+   */
+  touchGrid(grid) {
+    const c = grid.globalCenterCube
+    this.touch(cubeCoordsInRadius(c.q, c.r, c.s, grid.gridRadius).map(cell => cubeKey(cell.q, cell.r, cell.s)))
+  }
+
+  /**
+   * Capture the current state of cells about to change (cells already touched keep their first state)
+   * @param {Iterable<string>} keys - Cube keys
+   */
+  touch(keys) {
+    for (const key of keys) {
+      if (!this.before.has(key)) this.before.set(key, this._captureCell(key))
+    }
+  }
+}
+
+/**
+ * EditHistory — undo/redo stacks of MapEdits (HexMap.undo / redo, Ctrl+Z / Ctrl+Shift+Z).
+ * Tiles are restored through HexGrid.replaceTile and decorations through
+ * Decorations.repopulateTilesAt, so no WFC runs. Constructor receives reference to parent HexMap.
+ */
+export class EditHistory {
+  constructor(hexMap, limit = HISTORY_LIMIT) {
+    this.hexMap = hexMap
+    this.limit = limit
+    this.undoStack = []
+    this.redoStack = []
+  }
+
+  get canUndo() { return this.undoStack.length > 0 }
+  get canRedo() { return this.redoStack.length > 0 }
+
+  /**
+   * Start recording an edit (touch cells before changing them, then commit)
+   * @param {string} label - Shown in the log and status bar, e.g. 'grid 0,1'
+   * @returns {MapEdit}
+   */
+  begin(label) {
+    return new MapEdit(label, (key) => this.captureCell(key))
+  }
+
+  /**
+   * Capture after states and push the edit (a new edit clears the redo stack)
+   * @param {MapEdit} edit
+   */
+  commit(edit) {
+    for (const [key, before] of edit.before) {
+      const after = this.captureCell(key)
+      if (!before && !after) edit.before.delete(key)
+      else edit.after.set(key, after)
+    }
+    if (edit.before.size === 0) return
+
+    this.undoStack.push(edit)
+    if (this.undoStack.length > this.limit) this.undoStack.shift()
+    this.redoStack.length = 0
+  }
+
+  clear() {
+    this.undoStack.length = 0
+    this.redoStack.length = 0
+  }
+
+  /**
+   * Revert the last edit
+   * @returns {Promise<MapEdit|null>} The reverted edit, or null if there is nothing to undo
+   */
+  async undo() {
+    const edit = this.undoStack.pop()
+    if (!edit) return null
+    this.restoreCells(edit.before)
+    for (const gridKey of edit.populatedGrids) this.unpopulateGrid(gridKey)
+    this.redoStack.push(edit)
+    return edit
+  }
+
+  /**
+   * Re-apply the last undone edit
+   * @returns {Promise<MapEdit|null>} The re-applied edit, or null if there is nothing to redo
+   */
+  async redo() {
+    const edit = this.redoStack.pop()
+    if (!edit) return null
+    for (const gridKey of edit.populatedGrids) await this.repopulateGrid(gridKey, edit.after)
+    this.restoreCells(edit.after)
+    this.undoStack.push(edit)
+    return edit
+  }
+
+  /** Current state of a cell (see MapEdit) */
+  captureCell(key) {
+    const cell = this.hexMap.globalCells.get(key)
+    if (!cell) return null
+    const { q, r, s, type, rotation, level, gridKey } = cell
+    let decorations = []
+    const grid = this.hexMap.grids.get(gridKey)
+    if (grid?.decorations && grid.hexGrid) {
+      const { gridX, gridZ } = globalToLocalGrid(cell, grid.globalCenterCube, grid.gridRadius)
+      decorations = grid.decorations.getPlacementsAt(gridX, gridZ)
+    }
+    return { q, r, s, type, rotation, level, gridKey, decorations }
+  }
+
+  /**
+   * Write cell states back to globalCells, their grid's tiles and decorations (null states are skipped)
+   * @param {Map<string, Object|null>} states - Cube key → cell state
+   */
+  restoreCells(states) {
+    const perGrid = new Map()  // grid → { tiles, placements }
+    for (const [key, state] of states) {
+      if (!state) continue
+      const grid = this.hexMap.grids.get(state.gridKey)
+      if (grid?.state !== HexGridState.POPULATED) continue
+
+      const cell = this.hexMap.globalCells.get(key)
+      if (cell) {
+        cell.type = state.type
+        cell.rotation = state.rotation
+        cell.level = state.level
+      } else {
+        this.hexMap.addToGlobalCells(state.gridKey, [state])
+      }
+
+      const { gridX, gridZ } = globalToLocalGrid(state, grid.globalCenterCube, grid.gridRadius)
+      const tile = grid.replaceTile(gridX, gridZ, state.type, state.rotation, state.level)
+      if (!tile) continue
+      if (!perGrid.has(grid)) perGrid.set(grid, { tiles: [], placements: new Map() })
+      perGrid.get(grid).tiles.push(tile)
+      perGrid.get(grid).placements.set(`${gridX},${gridZ}`, state.decorations)
+    }
+    for (const [grid, { tiles, placements }] of perGrid) {
+      grid.decorations?.repopulateTilesAt(tiles, grid.gridRadius, grid.hexGrid, { animate: false, placements })
+    }
+  }
+
+  /** Remove a grid's cells and turn it back into a placeholder */
+  unpopulateGrid(gridKey) {
+    const grid = this.hexMap.grids.get(gridKey)
+    if (grid?.state !== HexGridState.POPULATED) return
+    for (const [key, cell] of this.hexMap.globalCells) {
+      if (cell.gridKey === gridKey) this.hexMap.globalCells.delete(key)
+    }
+    grid.unpopulate()
+  }
+
+  /** Populate a placeholder grid from its cells' after states (decorations follow in restoreCells) */
+  async repopulateGrid(gridKey, states) {
+    const grid = this.hexMap.grids.get(gridKey)
+    if (grid?.state !== HexGridState.PLACEHOLDER) return
+    const tiles = [...states.values()].filter(state => state?.gridKey === gridKey)
+    this.hexMap.addToGlobalCells(gridKey, tiles)
+    await grid.populateFromCubeResults(tiles, [], grid.globalCenterCube, { animate: false })
+    grid.setHelperVisible(this.hexMap.helpersVisible)
+    if (grid.outline && this.hexMap.debug._outlinesVisible !== undefined) {
+      grid.outline.visible = this.hexMap.debug._outlinesVisible
+    }
+  }
+}
@@ -19,6 +19,7 @@ import { Decorations } from './Decorations.js'
 import { HexGridHelper } from './HexGridHelper.js'
 import { Placeholder } from './Placeholder.js'
 import { cubeToOffset, globalToLocalGrid } from './HexWFCCore.js'
+import { getSeed, createStream, withStream } from '../SeededRandom.js'
 import {
   hideAllInstances as _hideAllInstances,
   animateTileDrop as _animateTileDrop,
@@ -80,6 +81,9 @@ export class HexGrid {
     // Callback for placeholder click
     this.onClick = null
 
+    // In-progress WFC tiles shown before population: `gridX,gridZ` -> instanceId
+    this.previewInstances = new Map()
+
     this.dummy = new Object3D()
   }
 
@@ -365,9 +369,8 @@ export class HexGrid {
    */
   async populateFromCubeResults(tiles, collapseOrder, globalCenterCube, options = {}) {
     // Ensure meshes are initialized
-    if (!this.hexMesh) {
-      await this.initMeshes(HexTileGeometry.geoms)
-    }
+    await this.ensureMeshes()
+    this.clearPreviewTiles()
 
     const baseSize = this.gridRadius * 2 + 1
     this.hexTiles = []
@@ -527,6 +530,75 @@ export class HexGrid {
     return oldTile
   }
 
+  /** Initialize meshes once, shared by live previews and population */
+  ensureMeshes() {
+    if (!this._meshesReady) {
+      this._meshesReady = this.hexMesh ? Promise.resolve() : this.initMeshes(HexTileGeometry.geoms)
+    }
+    return this._meshesReady
+  }
+
+  /**
+   * Show tiles from an in-progress WFC solve (no decorations or bottom fills)
+   * Cells outside this grid are ignored, so the whole progress batch can be passed to every grid.
+   * @param {Array} tiles - [{q,r,s,type,rotation,level}] newly collapsed tiles in global cube coords
+   * @param {Array} undone - [{q,r,s}] previously shown tiles undone by backtracking
+   * @param {Object} options
+   * @param {boolean} options.restart - Clear all previously shown tiles first
+   */
+  async updatePreviewTiles(tiles, undone = [], { restart = false } = {}) {
+    await this.ensureMeshes()
+    if (this.state !== HexGridState.PLACEHOLDER || !this.hexMesh) return
+    if (restart) this.clearPreviewTiles()
+
+    const toLocal = (c) => {
+      const { gridX, gridZ } = globalToLocalGrid(c, this.globalCenterCube, this.gridRadius)
+      const inGrid = isInHexRadius(gridX - this.gridRadius, gridZ - this.gridRadius, this.gridRadius)
+      return inGrid ? { gridX, gridZ, key: `${gridX},${gridZ}` } : null
+    }
+
+    for (const c of undone) {
+      const local = toLocal(c)
+      if (!local || !this.previewInstances.has(local.key)) continue
+      this.hexMesh.deleteInstance(this.previewInstances.get(local.key))
+      this.previewInstances.delete(local.key)
+    }
+
+    for (const t of tiles) {
+      const local = toLocal(t)
+      if (!local || !this.geomIds.has(t.type)) continue
+      const geomId = this.geomIds.get(t.type)
+      let instanceId = this.previewInstances.get(local.key)
+      if (instanceId === undefined) {
+        instanceId = this.hexMesh.addInstance(geomId)
+        this.previewInstances.set(local.key, instanceId)
+      } else {
+        this.hexMesh.setGeometryIdAt(instanceId, geomId)
+      }
+      const tile = new HexTile(local.gridX, local.gridZ, t.type, t.rotation)
+      tile.level = t.level
+      tile.updateLevelColor()
+      this.hexMesh.setColorAt(instanceId, tile.color)
+
+      const pos = HexTileGeometry.getWorldPosition(local.gridX - this.gridRadius, local.gridZ - this.gridRadius)
+      this.dummy.position.set(pos.x, t.level * LEVEL_HEIGHT, pos.z)
+      this.dummy.rotation.y = -t.rotation * Math.PI / 3
+      this.dummy.scale.setScalar(1)
+      this.dummy.updateMatrix()
+      this.hexMesh.setMatrixAt(instanceId, this.dummy.matrix)
+    }
+  }
+
+  /** Remove all live preview tiles */
+  clearPreviewTiles() {
+    if (this.hexMesh) {
+      for (const instanceId of this.previewInstances.values()) {
+        this.hexMesh.deleteInstance(instanceId)
+      }
+    }
+    this.previewInstances.clear()
+  }
+
   hideAllInstances() { _hideAllInstances(this) }
   animateTileDrop(tile, opts) { _animateTileDrop(this, tile, opts) }
   animatePlacements(collapseOrder, delay, onComplete) { _animatePlacements(this, collapseOrder, delay, onComplete) }
@@ -581,16 +653,21 @@ export class HexGrid {
 
   /**
    * Populate decorations (trees, buildings, bridges)
+   * Draws from the grid's own stream, so decorations depend only on the seed and this grid's tiles
    */
   populateDecorations() {
     if (!this.decorations) return
-    this.decorations.populateBuildings(this.hexTiles, this.hexGrid, this.gridRadius)
-    this.decorations.populate(this.hexTiles, this.gridRadius)
-    this.decorations.populateFlowers(this.hexTiles, this.gridRadius)
-    this.decorations.populateRocks(this.hexTiles, this.gridRadius)
-    this.decorations.populateHillsAndMountains(this.hexTiles, this.gridRadius)
-    this.decorations.populateBridges(this.hexTiles, this.gridRadius)
-    this.decorations.populateWaterlilies(this.hexTiles, this.gridRadius)
+    const gridKey = this.gridCoords ? `${this.gridCoords.x},${this.gridCoords.z}` : '?'
+    withStream(createStream(getSeed(), `decorations:${gridKey}`), () => {
+      this.decorations.populateBuildings(this.hexTiles, this.hexGrid, this.gridRadius)
+      this.decorations.populate(this.hexTiles, this.gridRadius)
+      this.decorations.populateFlowers(this.hexTiles, this.gridRadius)
+      this.decorations.populateRocks(this.hexTiles, this.gridRadius)
+      this.decorations.populateHillsAndMountains(this.hexTiles, this.gridRadius)
+      this.decorations.populateBridges(this.hexTiles, this.gridRadius)
+      this.decorations.populateWaterlilies(this.hexTiles, this.gridRadius)
+    })
+    this.decorations.recordRestMatrices()
   }
 
   /**
@@ -663,6 +740,7 @@ export class HexGrid {
    * Clear all tiles
    */
   clearTiles() {
+    this.clearPreviewTiles()
     if (this.hexMesh) {
       for (const tile of this.hexTiles) {
         if (tile.instanceId !== null) {
@@ -678,6 +756,24 @@ export class HexGrid {
     this.hexGrid = null
   }
 
+  /**
+   * Remove all tiles and decorations and go back to PLACEHOLDER state (undo of a populate)
+   */
+  unpopulate() {
+    for (const tween of this._decTweens ?? []) tween.kill()
+    this._decTweens = []
+    for (const tile of this.hexTiles) {
+      if (tile._anim) gsap.killTweensOf(tile._anim)
+    }
+    this.clearTiles()
+    this.decorations?.clear()
+    this.animationDone = null
+    this._clickQueued = false
+    this.state = HexGridState.PLACEHOLDER
+    this.updateVisibility()
+    this.fadeIn()
+  }
+
   /**
    * Dispose of all resources
    */
@@ -3,7 +3,7 @@
  * Handles grid management, world position calculations, and grid neighbor logic
  */
 
-import { offsetToCube, cubeToOffset, localToGlobalCoords } from './HexWFCCore.js'
+import { offsetToCube, cubeToOffset, localToGlobalCoords, cubeCoordsInRadius } from './HexWFCCore.js'
 
 // Re-export for consumers that still import from here
 export { offsetToCube, cubeToOffset, localToGlobalCoords }
@@ -56,6 +56,63 @@ export function parseGridKey(key) {
   return { x, z }
 }
 
+/**
+ * Get all grid coordinates within the hex radius (19 grids at radius 2)
+ * Returns [q, gz] pairs in flat-top hex odd-q offset layout
+ */
+export function getAllGridCoordinates(cubeRadius = 2) {
+  const coords = []
+  for (let q = -cubeRadius; q <= cubeRadius; q++) {
+    for (let r = -cubeRadius; r <= cubeRadius; r++) {
+      const s = -q - r
+      if (Math.max(Math.abs(q), Math.abs(r), Math.abs(s)) <= cubeRadius) {
+        const gz = r + Math.floor((q - (q & 1)) / 2)
+        coords.push([q, gz])
+      }
+    }
+  }
+  return coords
+}
+
+/**
+ * Every grid in getAllGridCoordinates order, with its global center and its cells in
+ * cubeCoordsInRadius order (a fixed layout for encoders that store no coordinates)
+ */
+export function getGridLayout(gridRadius, cubeRadius = 2) {
+  return getAllGridCoordinates(cubeRadius).map(([gx, gz]) => {
+    const center = worldOffsetToGlobalCube(calculateGridWorldOffset(gx, gz, gridRadius))
+    return { gridKey: getGridKey(gx, gz), center, cells: cubeCoordsInRadius(center.q, center.r, center.s, gridRadius) }
+  })
+}
+
+/**
+ * Get grid coordinates in ring order (center, then each ring walked around its perimeter)
+ * Every grid after the first borders at least one earlier grid, so it can be used as an
+ * Auto Build order for any ring count
+ * @param {number} cubeRadius - Number of rings around the center grid
+ * @returns {Array<[number,number]>} [gridX, gridZ] pairs
+ */
+export function getRingBuildOrder(cubeRadius = 2) {
+  const cubeDirs = [
+    { q: 1, r: -1 }, { q: 1, r: 0 }, { q: 0, r: 1 },
+    { q: -1, r: 1 }, { q: -1, r: 0 }, { q: 0, r: -1 },
+  ]
+  const order = [[0, 0]]
+  for (let ring = 1; ring <= cubeRadius; ring++) {
+    // Start on the ring in cube direction (-1, 0) and walk its six sides
+    let q = cubeDirs[4].q * ring
+    let r = cubeDirs[4].r * ring
+    for (let side = 0; side < 6; side++) {
+      for (let step = 0; step < ring; step++) {
+        order.push([q, r + Math.floor((q - (q & 1)) / 2)])
+        q += cubeDirs[side].q
+        r += cubeDirs[side].r
+      }
+    }
+  }
+  return order
+}
+
 /**
  * Get adjacent grid key in a direction
  * For flat-top hex grid, the coordinate offsets depend on column parity (odd-q system)
@@ -148,6 +205,83 @@ export function getGridWorldOffset(gridRadius, direction, hexWidth = 2, hexHeigh
   return offsets[direction]
 }
 
+/**
+ * Calculate world offset for grid coordinates
+ * Traverses from origin using getGridWorldOffset for consistency
+ */
+export function calculateGridWorldOffset(gridX, gridZ, gridRadius, hexWidth = HEX_WIDTH, hexHeight = HEX_HEIGHT) {
+  if (gridX === 0 && gridZ === 0) {
+    return { x: 0, z: 0 }
+  }
+
+  // Traverse from (0,0) to (gridX, gridZ) using flat-top hex directions
+  let totalX = 0
+  let totalZ = 0
+  let currentX = 0
+  let currentZ = 0
+
+  while (currentX !== gridX || currentZ !== gridZ) {
+    const dx = gridX - currentX
+    const dz = gridZ - currentZ
+    const isOddCol = Math.abs(currentX) % 2 === 1
+
+    let direction = null
+    let nextX = currentX
+    let nextZ = currentZ
+
+    // For flat-top hex, pick direction based on where we need to go
+    // N/S for vertical, NE/SE/SW/NW for diagonal
+    if (dx === 0) {
+      // Pure vertical movement
+      if (dz < 0) {
+        direction = GridDirection.N
+        nextZ -= 1
+      } else {
+        direction = GridDirection.S
+        nextZ += 1
+      }
+    } else if (dx > 0) {
+      // Need to go right (positive x)
+      if (dz < 0 || (dz === 0 && !isOddCol)) {
+        direction = GridDirection.NE
+        nextX += 1
+        nextZ += isOddCol ? 0 : -1
+      } else {
+        direction = GridDirection.SE
+        nextX += 1
+        nextZ += isOddCol ? 1 : 0
+      }
+    } else {
+      // Need to go left (negative x)
+      if (dz < 0 || (dz === 0 && !isOddCol)) {
+        direction = GridDirection.NW
+        nextX -= 1
+        nextZ += isOddCol ? 0 : -1
+      } else {
+        direction = GridDirection.SW
+        nextX -= 1
+        nextZ += isOddCol ? 1 : 0
+      }
+    }
+
+    if (direction !== null) {
+      const offset = getGridWorldOffset(gridRadius, direction, hexWidth, hexHeight)
+      totalX += offset.x
+      totalZ += offset.z
+      currentX = nextX
+      currentZ = nextZ
+    }
+
+    // Safety check
+    if (Math.abs(currentX) > 100 || Math.abs(currentZ) > 100) {
+      console.warn('calculateGridWorldOffset: loop limit reached')
+      break
+    }
+  }
+
+  return { x: totalX, z: totalZ }
+}
+
 /**
  * Convert pointy-top hex offset coordinates to world position
  */
@@ -9,7 +9,7 @@ import {
   SRGBColorSpace,
 } from 'three/webgpu'
 import { uniform, varyingProperty, materialColor, diffuseColor, materialOpacity, vec3, vec4, texture, uv, mix, select, positionGeometry, float, clamp } from 'three/tsl'
-import { cubeKey, parseCubeKey, cubeCoordsInRadius, cubeDistance, offsetToCube, cubeToOffset, localToGlobalCoords, globalToLocalGrid } from './HexWFCCore.js'
+import { cubeKey, cubeCoordsInRadius, cubeDistance, offsetToCube, cubeToOffset, localToGlobalCoords, globalToLocalGrid } from './HexWFCCore.js'
 import { WFCManager } from './WFCManager.js'
 import { HexMapDebug } from './HexMapDebug.js'
 import { HexMapInteraction } from './HexMapInteraction.js'
@@ -18,39 +18,26 @@ import { TILE_LIST, TileType, LEVELS_COUNT } from './HexTileData.js'
 import { HexTileGeometry } from './HexTiles.js'
 import { HexGrid, HexGridState } from './HexGrid.js'
 import {
-  GridDirection,
   getGridKey,
   parseGridKey,
   getAdjacentGridKey,
-  getGridWorldOffset,
+  getAllGridCoordinates,
+  calculateGridWorldOffset,
   worldOffsetToGlobalCube,
 } from './HexGridConnector.js'
 import { initGlobalTreeNoise, rebuildNoiseTables, Decorations } from './Decorations.js'
 import { Water } from './effects/Water.js'
-import { random, setSeed } from '../SeededRandom.js'
+import { setSeed, createStream, getStreamSeed, withStream, getState, setState } from '../SeededRandom.js'
 import { Sounds } from '../lib/Sounds.js'
+import { serializeMap, deserializeMap, encodeMapHash, pickKnownParams } from './HexMapSerializer.js'
+import { ActionLog } from './ActionLog.js'
+import { EditHistory } from './EditHistory.js'
+import { BRUSH_DEFAULTS, cloneBrush, getBrushCells, getBrushTileTypes, describeBrush } from './RebuildBrush.js'
+import { CONSTRAINT_KINDS } from './CellConstraints.js'
 
 const LEVEL_HEIGHT = 0.5
 const TILE_SURFACE = 1
 
-/**
- * Get all grid coordinates within the hex radius (19 grids at radius 2)
- * Returns [q, gz] pairs in flat-top hex odd-q offset layout
- */
-function getAllGridCoordinates(cubeRadius = 2) {
-  const coords = []
-  for (let q = -cubeRadius; q <= cubeRadius; q++) {
-    for (let r = -cubeRadius; r <= cubeRadius; r++) {
-      const s = -q - r
-      if (Math.max(Math.abs(q), Math.abs(r), Math.abs(s)) <= cubeRadius) {
-        const gz = r + Math.floor((q - (q & 1)) / 2)
-        coords.push([q, gz])
-      }
-    }
-  }
-  return coords
-}
-
 /**
  * HexMap - Manages the entire world of multiple HexGrid instances
  *
@@ -80,7 +67,8 @@ export class HexMap {
     this.globalCells = new Map()
 
     // WFC solver (owns worker, rules, and cell helpers)
-    this.wfcManager = new WFCManager(this.globalCells)
+    this.wfcManager = new WFCManager(this.globalCells, { log, poolSize: params?.roads?.wfcWorkers })
+    this.wfcManager.setMapBounds(this.hexGridRadius, 2)  // see isValidGridPosition
 
     // Debug tile labels
     this.tileLabels = new Object3D()
@@ -91,6 +79,11 @@ export class HexMap {
     this.droppedCells = new Set() // Track global coords of dropped fixed cells (red labels)
     this.replacedCells = new Set() // Track global coords of replaced fixed cells (orange labels)
     this.seededCells = new Set()  // Track global coords of ocean-seeded cells (cyan labels)
+    this.rebuildCounts = new Map() // cube key → Rebuild-WFC clicks, so repeat rebuilds of a cell get new streams
+    this.paintCounts = new Map()   // cube key → paint clicks (likewise)
+    this.actionLog = new ActionLog()  // Replayable record of map-changing user actions (see App.replaySession)
+    this.history = new EditHistory(this)  // Undo/redo of grid populates, Rebuild-WFC and paint
+    this._editAnimation = Promise.resolve()  // Drop animation of the last edit (undo/redo waits for it)
 
     // Interaction (hover, pointer events)
     this.interaction = new HexMapInteraction(this)
@@ -112,7 +105,10 @@ export class HexMap {
     this._wfcQueue = []
     this._wfcIdleResolve = null
     this._autoBuilding = false
-    this._waterSideIndex = null
+
+    // In-flight solve (cancelled by reset, a click on another placeholder, or Rebuild-WFC)
+    this._solveAbort = null
+    this._solvingGrid = null
 
     // Convenience alias
     this.hexWfcRules = null
@@ -129,8 +125,9 @@ export class HexMap {
     this.initWfcWorker()
     initGlobalTreeNoise()  // Initialize shared noise for tree placement
 
-    // Hover highlight for click-to-solve region
+    // Hover highlight for click-to-solve region, and the paint mode preview
     this.interaction.initHoverHighlight()
+    this.interaction.initPaintPreview()
 
     // Create only the center placeholder — others created dynamically on demand
     await this.createGrid(0, 0)
@@ -261,6 +258,28 @@ export class HexMap {
   getAnchorsForCell(fc, solveSet, fixedSet) { return this.wfcManager.getAnchorsForCell(fc, solveSet, fixedSet) }
   getDefaultTileTypes() { return this.wfcManager.getDefaultTileTypes() }
 
+  /**
+   * Snapshot the main-thread and worker RNG streams (JSON-safe), for save/resume
+   * @returns {Promise<{ main: {seed, state}, workers: Array<{seed, state}|null> }>}
+   */
+  async getRngState() {
+    return { main: getState(), workers: await this.wfcManager.getWorkerStates() }
+  }
+
+  /**
+   * Restore RNG streams from getRngState, so generation continues exactly as it would have
+   * @param {{ main: {seed, state}, workers: Array<{seed, state}|null> }} rngState
+   */
+  setRngState({ main, workers = [] }) {
+    setState(main)
+    this.wfcManager.setWorkerStates(workers)
+  }
+
+  // ---- Save / load (see HexMapSerializer) ----
+  serialize() { return serializeMap(this) }
+  deserialize(doc) { return deserializeMap(this, doc) }
+  toUrlHash() { return encodeMapHash(this) }
+
   /** Apply WFC tile results to their source grids (replace tiles + collect changed tiles per grid) */
   applyTileResultsToGrids(tiles) {
     const changedTilesPerGrid = new Map()
@@ -322,6 +341,8 @@ export class HexMap {
       if (grid._clickQueued) return  // already queued, ignore duplicate clicks
       grid._clickQueued = true
       grid.placeholder?.startSpinning()
+      // Clicking a different placeholder takes over from the one being solved
+      if (this._solvingGrid && this._solvingGrid !== grid) this.cancelActiveSolve()
       this._enqueueWfc(() => this.onGridClick(grid))
     }
 
@@ -360,63 +381,57 @@ export class HexMap {
     this._buildCancelled = false
     this.onBeforeTilesChanged?.()
 
+    const { ctx, solveResult } = await this._solvePopulate(grid, options)
+    if (this._buildCancelled || solveResult.cancelled) return
+
+    return this._applyPopulateResults(grid, ctx, solveResult, options)
+  }
+
+  /**
+   * Set up and solve a grid without populating it (tiles are previewed while solving)
+   * @param {HexGrid} grid - Grid to solve
+   * @param {Object} options - populateGrid options, plus signal (defaults to a new _beginSolve signal)
+   * @returns {{ ctx, solveResult }} Pass both to _applyPopulateResults unless cancelled
+   */
+  async _solvePopulate(grid, options) {
     const ctx = this._setupPopulateContext(grid, options)
     log(`[${ctx.gridKey}] POPULATING GRID (${ctx.initialFixedCount} neighbors)`, 'color: blue')
     await setStatusAsync(`[${ctx.gridKey}] Solving WFC...`)
 
     grid.placeholder?.startSpinning()
-    const solveResult = await this._runWfcWithRecovery(ctx)
+    grid._solveCancelled = false
+    this._solvingGrid = grid
+    const solveResult = await this._runWfcWithRecovery(ctx, [grid], options.signal ?? this._beginSolve())
+    if (this._solvingGrid === grid) this._solvingGrid = null
     grid.placeholder?.stopSpinning()
 
-    if (this._buildCancelled) return
-
-    return this._applyPopulateResults(grid, ctx, solveResult, options)
+    if (solveResult.cancelled) {
+      log(`[${ctx.gridKey}] WFC CANCELLED`, 'color: gray')
+      grid._clickQueued = false  // clickable again
+      grid._solveCancelled = true
+      this.history.commit(ctx.edit)  // Local-WFC may already have changed neighbor cells
+    }
+    if (this._buildCancelled || solveResult.cancelled) {
+      grid.clearPreviewTiles()
+    }
+    return { ctx, solveResult }
   }
 
   /** Build the context object used by _runWfcWithRecovery and _applyPopulateResults */
   _setupPopulateContext(grid, options) {
     const gridKey = getGridKey(grid.gridCoords.x, grid.gridCoords.z)
-    const center = grid.globalCenterCube
-    const solveCells = cubeCoordsInRadius(center.q, center.r, center.s, this.hexGridRadius)
-    const fixedCells = this.getFixedCellsForRegion(solveCells)
-
-    const initialCollapses = options.initialCollapses ?? []
-    if (fixedCells.length === 0 && initialCollapses.length === 0) {
-      initialCollapses.push({ q: center.q, r: center.r, s: center.s, type: TileType.GRASS, rotation: 0, level: 0 })
-      this.addWaterEdgeSeeds(initialCollapses, center, this.hexGridRadius)
-    }
-
-    // Seed ocean at map corners that fall within this grid
-    const solveSet = new Set(solveCells.map(c => cubeKey(c.q, c.r, c.s)))
-    const fixedSet = new Set(fixedCells.map(fc => cubeKey(fc.q, fc.r, fc.s)))
-    for (const seed of this.getMapCornerOceanSeeds()) {
-      const key = cubeKey(seed.q, seed.r, seed.s)
-      if (solveSet.has(key) && !fixedSet.has(key)) {
-        initialCollapses.push(seed)
-      }
-    }
+    // Per-grid stream: the grid solves the same in any build order, on any worker
+    const seed = options.seed ?? getStreamSeed(`grid:${gridKey}`)
+    const ctx = this.wfcManager.setupPopulateContext(gridKey, grid.globalCenterCube, this.hexGridRadius, { ...options, seed })
+    ctx.edit = this.history.begin(`grid ${gridKey}`)
+    ctx.edit.touchGrid(grid)
 
     // Track seeded cells for debug labels
-    for (const ic of initialCollapses) {
+    for (const ic of ctx.initialCollapses) {
       const co = cubeToOffset(ic.q, ic.r, ic.s)
       this.seededCells.add(`${co.col},${co.row}`)
     }
-
-    const tileTypes = this.getDefaultTileTypes()
-    const anchorMap = new Map()
-    for (const fc of fixedCells) {
-      anchorMap.set(cubeKey(fc.q, fc.r, fc.s), this.getAnchorsForCell(fc, solveSet, fixedSet))
-    }
-
-    return {
-      gridKey, center, solveCells, fixedCells, initialCollapses, tileTypes,
-      anchorMap,
-      persistedUnfixedKeys: new Set(),
-      persistedUnfixedOriginals: new Map(),
-      initialFixedCount: fixedCells.length,
-      attempt: 0,
-      options,
-    }
+    return ctx
   }
 
   /** Track WFC failure info (add to failedCells, count conflicts) */
@@ -430,182 +445,90 @@ export class HexMap {
 
   /**
    * Run WFC with recovery: initial attempt → local-WFC → drop
+   * Re-renders neighbor grids touched by Local-WFC and tracks failed/dropped cells for debug labels.
    * @param {Object} ctx - Populate context from _setupPopulateContext
-   * @returns {{ result, resultCollapseOrder, changedFixedCells, unfixedKeys, droppedFixedCubes, stats }}
+   * @param {Array<HexGrid>} previewGrids - Grids that show tiles while they are being solved
+   * @param {AbortSignal} signal - Cancels the solve (see _beginSolve)
+   * @returns {{ result, resultCollapseOrder, changedFixedCells, unfixedKeys, droppedFixedCubes, stats, cancelled }}
    */
-  async _runWfcWithRecovery(ctx) {
-    const stats = { postDroppedCount: 0, localWfcAttempts: 0, backtracks: 0, tries: 0 }
-    const droppedFixedCubes = []
-    let result = null
-    let resultCollapseOrder = []
-    let changedFixedCells = []
-    let unfixedKeys = []
-
-    // Phase 0: Initial attempt (solver handles neighbor cell unfixing internally)
-    const initialResult = await this.wfcManager.runWfcAttempt(ctx)
-    if (initialResult.success) {
-      result = initialResult.tiles
-      resultCollapseOrder = initialResult.collapseOrder
-      changedFixedCells = initialResult.changedFixedCells || []
-      unfixedKeys = initialResult.unfixedKeys || []
-      stats.backtracks += initialResult.backtracks || 0
-      stats.tries += initialResult.tries || 0
-
-    } else {
-      stats.backtracks += initialResult.backtracks || 0
-      stats.tries += initialResult.tries || 0
-
-      this._trackWfcFailure(ctx.gridKey, initialResult)
-      let failedCell = initialResult.failedCell
-      let isNeighborConflict = initialResult.isNeighborConflict
-      let sourceKey = initialResult.sourceKey
-
-      // Local-WFC recovery: resolve neighbor regions around the failure
-      const maxLocalAttempts = 5
-      const resolvedRegions = new Set()
-      let localAttempts = 0
-
-      while (!result && localAttempts < maxLocalAttempts) {
-        if (!failedCell) break
-
-        // Pick center: sourceKey first if neighbor conflict, then nearest fixed cell
-        let centerQ, centerR, centerS
-        if (localAttempts === 0 && isNeighborConflict && sourceKey) {
-          ;({ q: centerQ, r: centerR, s: centerS } = parseCubeKey(sourceKey))
-          resolvedRegions.add(sourceKey)
-        } else {
-          const candidates = ctx.fixedCells.filter(fc =>
-            !fc.dropped && !resolvedRegions.has(cubeKey(fc.q, fc.r, fc.s))
-          )
-          if (candidates.length === 0) break
-          candidates.sort((a, b) =>
-            cubeDistance(a.q, a.r, a.s, failedCell.q, failedCell.r, failedCell.s) -
-            cubeDistance(b.q, b.r, b.s, failedCell.q, failedCell.r, failedCell.s)
-          )
-          centerQ = candidates[0].q; centerR = candidates[0].r; centerS = candidates[0].s
-          resolvedRegions.add(cubeKey(centerQ, centerR, centerS))
-        }
-
-        localAttempts++
-        stats.localWfcAttempts++
-        const co = cubeToOffset(centerQ, centerR, centerS)
-        log(`[${ctx.gridKey}] Local-WFC resolving around (${co.col},${co.row})`, 'color: blue')
-
-        // Mini-WFC on radius-2 region
-        const localSolveCells = cubeCoordsInRadius(centerQ, centerR, centerS, 2)
-          .filter(c => this.globalCells.has(cubeKey(c.q, c.r, c.s)))
-        const localFixedCells = this.getFixedCellsForRegion(localSolveCells)
-        const localResult = await this.solveWfcAsync(localSolveCells, localFixedCells, {
-          tileTypes: ctx.tileTypes, maxTries: 5, quiet: true,
+  _runWfcWithRecovery(ctx, previewGrids = [], signal = null) {
+    let localPass = 0
+    return this.wfcManager.runWfcWithRecovery(ctx, {
+      signal,
+      onProgress: this._createWfcProgressHandler(previewGrids, `[${ctx.gridKey}]`),
+      onFailure: (wfcResult) => this._trackWfcFailure(ctx.gridKey, wfcResult),
+      onLocalResult: (tiles) => {
+        ctx.edit.touch(tiles.map(t => cubeKey(t.q, t.r, t.s)))
+        const changedTilesPerGrid = this.applyTileResultsToGrids(tiles)
+        withStream(createStream(ctx.seed, `local-decorations:${++localPass}`), () => {
+          for (const [g, changed] of changedTilesPerGrid) {
+            g.decorations?.repopulateTilesAt(changed, g.gridRadius, g.hexGrid, { animate: false })
+          }
         })
+      },
+      onDrop: (fc) => {
+        const co = cubeToOffset(fc.q, fc.r, fc.s)
+        this.droppedCells.add(`${co.col},${co.row}`)
+      },
+    })
+  }
 
-        if (!localResult.success || !localResult.tiles) {
-          log(`[${ctx.gridKey}] Local-WFC failed`, 'color: red')
-          continue
-        }
-
-        // Apply local results to neighbor grids
-        const changedTilesPerGrid = this.applyTileResultsToGrids(localResult.tiles)
-        for (const [g, tiles] of changedTilesPerGrid) {
-          g.decorations?.repopulateTilesAt(tiles, g.gridRadius, g.hexGrid, { animate: false })
-        }
-        this.addToGlobalCells('local-wfc', localResult.tiles)
-        log(`[${ctx.gridKey}] Local-WFC re-solved ${localResult.tiles.length} cells`, 'color: blue')
-
-        // Rebuild context from updated globalCells
-        ctx.fixedCells = this.getFixedCellsForRegion(ctx.solveCells)
-        const newSolveSet = new Set(ctx.solveCells.map(c => cubeKey(c.q, c.r, c.s)))
-        const newFixedSet = new Set(ctx.fixedCells.map(fc => cubeKey(fc.q, fc.r, fc.s)))
-        ctx.anchorMap.clear()
-        for (const fc of ctx.fixedCells) {
-          ctx.anchorMap.set(cubeKey(fc.q, fc.r, fc.s), this.getAnchorsForCell(fc, newSolveSet, newFixedSet))
-        }
-        ctx.persistedUnfixedKeys.clear()
-        ctx.persistedUnfixedOriginals.clear()
-
-        // Retry main grid WFC
-        const retryResult = await this.wfcManager.runWfcAttempt(ctx)
-        if (retryResult.success) {
-          result = retryResult.tiles
-          resultCollapseOrder = retryResult.collapseOrder
-          changedFixedCells = retryResult.changedFixedCells || []
-          unfixedKeys = retryResult.unfixedKeys || []
-          stats.backtracks += retryResult.backtracks || 0
-          stats.tries += retryResult.tries || 0
-          break
-        }
-
-        stats.backtracks += retryResult.backtracks || 0
-        stats.tries += retryResult.tries || 0
-        this._trackWfcFailure(ctx.gridKey, retryResult)
-        failedCell = retryResult.failedCell
-        isNeighborConflict = retryResult.isNeighborConflict
-        sourceKey = retryResult.sourceKey
-      }
-
-      // Drop phase: Drop fixed cells one by one, sorted by proximity to failed cell
-      // Clear persisted-unfixed state — their anchors create undroppable constraints
-      ctx.persistedUnfixedKeys.clear()
-      ctx.persistedUnfixedOriginals.clear()
-      while (!result) {
-        const dropCandidates = ctx.fixedCells.filter(fc => !fc.dropped)
-        if (dropCandidates.length === 0) break
-
-        if (failedCell) {
-          dropCandidates.sort((a, b) => {
-            const distA = cubeDistance(a.q, a.r, a.s, failedCell.q, failedCell.r, failedCell.s)
-            const distB = cubeDistance(b.q, b.r, b.s, failedCell.q, failedCell.r, failedCell.s)
-            return distA - distB
-          })
-        }
+  /**
+   * Start a cancellable solve: replaces the in-flight solve's controller
+   * @returns {AbortSignal} Signal to pass to solveWfcAsync / _runWfcWithRecovery
+   */
+  _beginSolve() {
+    this._solveAbort = new AbortController()
+    return this._solveAbort.signal
+  }
 
-        const fcToDrop = dropCandidates[0]
-        const co = cubeToOffset(fcToDrop.q, fcToDrop.r, fcToDrop.s)
-        this.droppedCells.add(`${co.col},${co.row}`)
-        droppedFixedCubes.push({ q: fcToDrop.q, r: fcToDrop.r, s: fcToDrop.s })
-        fcToDrop.dropped = true
-        stats.postDroppedCount++
-        const tileName = TILE_LIST[fcToDrop.type]?.name ?? fcToDrop.type
-        log(`[${ctx.gridKey}] Dropped (${co.col},${co.row}) ${tileName}`, 'color: red')
-
-        const wfcResult = await this.wfcManager.runWfcAttempt(ctx)
-        if (wfcResult.success) {
-          result = wfcResult.tiles
-          resultCollapseOrder = wfcResult.collapseOrder
-          changedFixedCells = wfcResult.changedFixedCells || []
-          unfixedKeys = wfcResult.unfixedKeys || []
-          stats.backtracks += wfcResult.backtracks || 0
-          stats.tries += wfcResult.tries || 0
-    
-        } else {
-          stats.backtracks += wfcResult.backtracks || 0
-          stats.tries += wfcResult.tries || 0
+  /** Cancel the in-flight WFC solve — the worker and its RNG stream are kept */
+  cancelActiveSolve() {
+    this._solveAbort?.abort()
+    this._solveAbort = null
+  }
 
-          this._trackWfcFailure(ctx.gridKey, wfcResult)
-          if (wfcResult.failedCell) failedCell = wfcResult.failedCell
-        }
+  /**
+   * Build an onProgress handler for solveWfcAsync that renders collapsed tiles into grids
+   * as they are solved and shows the solve percentage in the status bar
+   * @param {Array<HexGrid>} grids - Grids to render into (each ignores cells outside itself)
+   * @param {string} label - Status bar prefix, e.g. '[BUILD ALL]'
+   */
+  _createWfcProgressHandler(grids, label) {
+    return ({ collapsed, undone, restart, backtracks, remaining, total }) => {
+      if (this._buildCancelled) return
+      for (const grid of grids) {
+        grid.updatePreviewTiles(collapsed, undone, { restart })
       }
+      const percent = Math.floor((1 - remaining / total) * 100)
+      setStatus(`${label} Solving WFC... ${percent}% (${backtracks} backtracks)`)
     }
-
-    return { result, resultCollapseOrder, changedFixedCells, unfixedKeys, droppedFixedCubes, stats }
   }
 
   /** Apply WFC results: update global cells, render tiles, animate, handle dropped/replaced cells */
   async _applyPopulateResults(grid, ctx, solveResult, options) {
-    const { result, resultCollapseOrder, changedFixedCells, unfixedKeys, droppedFixedCubes, stats } = solveResult
+    const { result, resultCollapseOrder, droppedFixedCubes, stats } = solveResult
 
     if (!result) {
-      log(`[${ctx.gridKey}] WFC FAILED`, 'color: red')
-      await setStatusAsync(`[${ctx.gridKey}] WFC FAILED`)
+      grid.clearPreviewTiles()
+      this.history.commit(ctx.edit)  // Local-WFC may already have changed neighbor cells
+      const locks = solveResult.blockingLocks ?? []
+      const failMsg = locks.length > 0
+        ? `[${ctx.gridKey}] WFC FAILED — blocked by locked cells ${locks.join(', ')}`
+        : `[${ctx.gridKey}] WFC FAILED`
+      log(failMsg, 'color: red')
+      await setStatusAsync(failMsg)
       Sounds.play('incorrect')
       return
     }
 
     // Log final status
-    const { postDroppedCount, localWfcAttempts } = stats
+    const { postDroppedCount, localWfcAttempts, skippedDecisions, riverRepairs } = stats
     const statParts = []
     if (ctx.attempt > 1) statParts.push(`${ctx.attempt} tries`)
+    if (skippedDecisions > 0) statParts.push(`${skippedDecisions} skipped`)
     if (localWfcAttempts > 0) statParts.push(`${localWfcAttempts} local-wfc`)
+    if (riverRepairs > 0) statParts.push(`${riverRepairs} river repairs`)
     if (postDroppedCount > 0) statParts.push(`${postDroppedCount} dropped`)
     const statusMsg = `[${ctx.gridKey}] WFC SUCCESS (${statParts.join(', ')})`
     if (postDroppedCount > 0) {
@@ -619,70 +542,25 @@ export class HexMap {
     }
     await setStatusAsync(statusMsg)
 
-    // Process changed fixed cells BEFORE addToGlobalCells (which would overwrite gridKey)
-    if (changedFixedCells.length > 0) {
-      for (const changed of changedFixedCells) {
-        const key = cubeKey(changed.q, changed.r, changed.s)
-        const existing = this.globalCells.get(key)
-        if (existing) {
-          // Update rendered tile in source grid (before globalCells is overwritten)
-          const sourceGrid = this.grids.get(existing.gridKey)
-          if (sourceGrid) {
-            const { gridX, gridZ } = globalToLocalGrid(changed, sourceGrid.globalCenterCube, sourceGrid.gridRadius)
-            sourceGrid.replaceTile(gridX, gridZ, changed.type, changed.rotation, changed.level)
-            // Remove old decorations and add bridge if new tile is a crossing
-            sourceGrid.decorations?.clearDecorationsAt(gridX, gridZ)
-            const replacedTile = sourceGrid.hexGrid[gridX]?.[gridZ]
-            if (replacedTile) {
-              sourceGrid.decorations?.addBridgeAt(replacedTile, sourceGrid.gridRadius)
-            }
-          }
-
-          // Update globalCells with new tile data (keep original gridKey)
-          existing.type = changed.type
-          existing.rotation = changed.rotation
-          existing.level = changed.level
-
-          // Mark as replaced for orange debug labels
-          const co = cubeToOffset(changed.q, changed.r, changed.s)
-          this.replacedCells.add(`${co.col},${co.row}`)
+    // Update globalCells (changed neighbor cells keep their original gridKey) and re-render replaced tiles in their source grid
+    const unfixedSet = this.wfcManager.commitPopulateResult(ctx, solveResult, (existing, tile) => {
+      ctx.edit.touch([cubeKey(tile.q, tile.r, tile.s)])
+      const sourceGrid = this.grids.get(existing.gridKey)
+      if (sourceGrid) {
+        const { gridX, gridZ } = globalToLocalGrid(tile, sourceGrid.globalCenterCube, sourceGrid.gridRadius)
+        sourceGrid.replaceTile(gridX, gridZ, tile.type, tile.rotation, tile.level)
+        // Remove old decorations and add bridge if new tile is a crossing
+        sourceGrid.decorations?.clearDecorationsAt(gridX, gridZ)
+        const replacedTile = sourceGrid.hexGrid[gridX]?.[gridZ]
+        if (replacedTile) {
+          sourceGrid.decorations?.addBridgeAt(replacedTile, sourceGrid.gridRadius)
         }
       }
-    }
-
-    // Process persisted-unfixed cells — compare solved result with originals, update source grids
-    if (ctx.persistedUnfixedOriginals.size > 0) {
-      let persistedReplacedCount = 0
-      for (const [key, original] of ctx.persistedUnfixedOriginals) {
-        const solvedTile = result.find(t => cubeKey(t.q, t.r, t.s) === key)
-        if (!solvedTile) continue
-
-        // Check if tile changed
-        if (solvedTile.type !== original.type || solvedTile.rotation !== original.rotation || solvedTile.level !== original.level) {
-          persistedReplacedCount++
-          const existing = this.globalCells.get(key)
-          if (existing) {
-            const sourceGrid = this.grids.get(existing.gridKey)
-            if (sourceGrid) {
-              const { gridX, gridZ } = globalToLocalGrid(original, sourceGrid.globalCenterCube, sourceGrid.gridRadius)
-              sourceGrid.replaceTile(gridX, gridZ, solvedTile.type, solvedTile.rotation, solvedTile.level)
-              sourceGrid.decorations?.clearDecorationsAt(gridX, gridZ)
-              const replacedTile = sourceGrid.hexGrid[gridX]?.[gridZ]
-              if (replacedTile) {
-                sourceGrid.decorations?.addBridgeAt(replacedTile, sourceGrid.gridRadius)
-              }
-            }
 
-            existing.type = solvedTile.type
-            existing.rotation = solvedTile.rotation
-            existing.level = solvedTile.level
-
-            const co = cubeToOffset(original.q, original.r, original.s)
-            this.replacedCells.add(`${co.col},${co.row}`)
-          }
-        }
-      }
-    }
+      // Mark as replaced for orange debug labels
+      const co = cubeToOffset(tile.q, tile.r, tile.s)
+      this.replacedCells.add(`${co.col},${co.row}`)
+    })
 
     // Place mountains on dropped cells to hide edge mismatches
     if (droppedFixedCubes.length > 0) {
@@ -690,6 +568,7 @@ export class HexMap {
         const key = cubeKey(dropped.q, dropped.r, dropped.s)
         const existing = this.globalCells.get(key)
         if (existing) {
+          ctx.edit.touch([key])
           const sourceGrid = this.grids.get(existing.gridKey)
           if (sourceGrid) {
             const { gridX, gridZ } = globalToLocalGrid(dropped, sourceGrid.globalCenterCube, sourceGrid.gridRadius)
@@ -703,13 +582,6 @@ export class HexMap {
       }
     }
 
-    // Add results to global cell map (exclude unfixed cells — they stay in their source grid)
-    const unfixedSet = new Set([...unfixedKeys, ...ctx.persistedUnfixedKeys])
-    const resultForGlobal = unfixedSet.size > 0
-      ? result.filter(t => !unfixedSet.has(cubeKey(t.q, t.r, t.s)))
-      : result
-    this.addToGlobalCells(ctx.gridKey, resultForGlobal)
-
     // Populate grid from cube results (exclude unfixed cells — they're rendered in their source grid)
     const params = App.instance?.params ?? this.params
     const animate = options.animate ?? (params?.roads?.animateWFC ?? false)
@@ -726,6 +598,10 @@ export class HexMap {
       animate,
       animateDelay,
     })
+    ctx.edit.populatedGrids.push(ctx.gridKey)
+    this.history.commit(ctx.edit)
+    this._editAnimation = grid.animationDone
+    this.interaction.updateConstraintOverlay()  // The grid's constraints now sit under tiles
 
     // Apply current helper visibility state
     grid.setHelperVisible(this.helpersVisible)
@@ -742,68 +618,6 @@ export class HexMap {
     return animDuration
   }
 
-  /**
-   * Add a single ocean seed at a random corner of the first grid
-   * @param {Array} initialCollapses - Array to push water seeds into
-   * @param {Object} center - {q,r,s} grid center cube coords
-   * @param {number} radius - Grid radius
-   */
-  addWaterEdgeSeeds(initialCollapses, center, radius) {
-    // 6 cube directions
-    const dirs = [
-      { q: 1, r: -1, s: 0 }, { q: 1, r: 0, s: -1 }, { q: 0, r: 1, s: -1 },
-      { q: -1, r: 1, s: 0 }, { q: -1, r: 0, s: 1 }, { q: 0, r: -1, s: 1 },
-    ]
-    this._waterSideIndex = Math.floor(random() * 6)
-    // Midpoint of hex edge between vertex d and vertex (d+1)%6
-    const d = dirs[this._waterSideIndex]
-    const d2 = dirs[(this._waterSideIndex + 1) % 6]
-    const half = Math.floor(radius / 2)
-    const q = center.q + d.q * (radius - half) + d2.q * half
-    const r = center.r + d.r * (radius - half) + d2.r * half
-    const s = center.s + d.s * (radius - half) + d2.s * half
-    initialCollapses.push({ q, r, s, type: TileType.WATER, rotation: 0, level: 0 })
-  }
-
-  /**
-   * Get ocean seeds at the center of 3 contiguous ring-2 grids on one side of the map.
-   * Uses the same side direction as the first grid's water edge seed.
-   */
-  getMapCornerOceanSeeds() {
-    const cubeDirs = [
-      { q: 1, r: -1, s: 0 },  { q: 1, r: 0, s: -1 },
-      { q: 0, r: 1, s: -1 },  { q: -1, r: 1, s: 0 },
-      { q: -1, r: 0, s: 1 },  { q: 0, r: -1, s: 1 },
-    ]
-    // Grid-cube to grid-offset conversion
-    const gridCubeToOffset = (q, r) => [q, r + Math.floor((q - (q & 1)) / 2)]
-
-    // Use same side as first grid's water seed (or pick one for Build All)
-    const d = this._waterSideIndex ?? Math.floor(random() * 6)
-    this._waterSideIndex = d
-
-    // Vertex grid (ring-2) in direction d, plus its two ring neighbors
-    const dir = cubeDirs[d]
-    const prevStep = cubeDirs[(d + 4) % 6]
-    const nextStep = cubeDirs[(d + 2) % 6]
-    const sideGrids = [
-      gridCubeToOffset(dir.q * 2 + prevStep.q, dir.r * 2 + prevStep.r),
-      gridCubeToOffset(dir.q * 2, dir.r * 2),
-      gridCubeToOffset(dir.q * 2 + nextStep.q, dir.r * 2 + nextStep.r),
-    ]
-
-    // Also seed the ring-1 grid in the same direction
-    const innerGrid = gridCubeToOffset(dir.q, dir.r)
-
-    const seeds = []
-    for (const [gx, gz] of [...sideGrids, innerGrid]) {
-      const worldOffset = this.calculateWorldOffset(gx, gz)
-      const c = worldOffsetToGlobalCube(worldOffset)
-      seeds.push({ q: c.q, r: c.r, s: c.s, type: TileType.WATER, rotation: 0, level: 0 })
-    }
-    return seeds
-  }
-
   /**
    * Check if a grid position is within the valid bounds (2 rings = 19 grids)
    * @param {number} gridX - Grid X coordinate
@@ -953,6 +767,13 @@ export class HexMap {
       animateDelay: params?.roads?.animateDelay ?? 20,
     }) || 0
 
+    // Solve cancelled — the grid stays a placeholder
+    if (grid._solveCancelled) {
+      grid._solveCancelled = false
+      return 0
+    }
+    this.actionLog.record({ type: 'grid', key: gridKey })
+
     if (!skipPrune) {
       // Create placeholders around this newly populated grid, fade in after animation
       await this.createAdjacentPlaceholders(gridKey, animDuration + 300)
@@ -964,6 +785,12 @@ export class HexMap {
       this.updateAllPlaceholderTriangles()
     }
 
+    // After the placeholders exist, so roads leading into them count as open
+    if (grid.state === HexGridState.POPULATED) {
+      await this._runRiverRepair(gridKey)
+      await this._runRoadConnectivity(gridKey)
+    }
+
     // Refresh tile labels if visible
     if (this.tileLabels.visible) {
       this.createTileLabels()
@@ -977,6 +804,8 @@ export class HexMap {
    * @param {Array<[number,number]>} order - Array of [gridX, gridZ] pairs
    */
   async autoBuild(order, { animate } = {}) {
+    this.actionLog.record({ type: 'autoBuild', order })
+
     // If map is already complete, reset first
     const allPopulated = order.every(([gx, gz]) => {
       const grid = this.grids.get(getGridKey(gx, gz))
@@ -996,25 +825,64 @@ export class HexMap {
     const startTime = performance.now()
     const animPromises = []
     const failedGrids = []
-    for (let i = 0; i < order.length; i++) {
-      const [gx, gz] = order[i]
-      if (this._buildCancelled || this._buildEpoch !== myEpoch) {
-        this._autoBuilding = false
-        this._releaseWfcLock()
-        log('[AUTO-BUILD] Cancelled', 'color: red')
-        return { success: false, cancelled: true }
-      }
+    const isCancelled = () => this._buildCancelled || this._buildEpoch !== myEpoch
+    const params = App.instance?.params ?? this.params
+    const populateOptions = {
+      animate: animate ?? params?.roads?.animateWFC ?? false,
+      animateDelay: params?.roads?.animateDelay ?? 20,
+      signal: this._beginSolve(),  // shared by every grid, so reset() cancels them all
+    }
+
+    // Grids are dispatched in build order, up to one per pool worker, once their solve zone
+    // doesn't overlap a grid still in flight. Results are applied in build order too, so the
+    // map matches a one-at-a-time build whatever the pool size. Unseeded solves (Per-Grid RNG off)
+    // share the primary worker's stream, so they run one at a time to draw it in build order.
+    const poolSize = getStreamSeed('grid:auto-build') != null ? this.wfcManager.poolSize : 1
+    const inFlight = new Set()  // { zone, done }
+    const overlaps = (a, b) => {
+      for (const key of a) if (b.has(key)) return true
+      return false
+    }
+    let lastApplied = Promise.resolve()
+    for (const [gx, gz] of order) {
+      if (isCancelled()) break
       const key = getGridKey(gx, gz)
       let grid = this.grids.get(key)
       if (!grid) {
         grid = await this.createGrid(gx, gz)
       }
-      if (grid.state === HexGridState.PLACEHOLDER) {
-        Sounds.play('pop', 1.0, 0.2, 0.7)
-        await this.onGridClick(grid, { skipPrune: true, animate })
+      if (grid.state !== HexGridState.PLACEHOLDER) continue
+
+      const zone = this.wfcManager.getSolveZone(grid.globalCenterCube, this.hexGridRadius)
+      while (inFlight.size >= poolSize || [...inFlight].some(job => overlaps(zone, job.zone))) {
+        await Promise.race([...inFlight].map(job => job.done))
+      }
+      if (isCancelled()) break
+
+      Sounds.play('pop', 1.0, 0.2, 0.7)
+      const prevApplied = lastApplied
+      const job = { zone }
+      job.done = (async () => {
+        const { ctx, solveResult } = await this._solvePopulate(grid, populateOptions)
+        await prevApplied
+        if (isCancelled() || solveResult.cancelled) return
+        await this._applyPopulateResults(grid, ctx, solveResult, populateOptions)
+        if (this.tileLabels.visible) this.createTileLabels()
         if (grid.state !== HexGridState.POPULATED) failedGrids.push(key)
         if (grid.animationDone) animPromises.push(grid.animationDone)
-      }
+      })().finally(() => inFlight.delete(job))
+      inFlight.add(job)
+      lastApplied = job.done
+    }
+    await Promise.all([...inFlight].map(job => job.done))
+    if (!isCancelled()) await this._runRiverRepair('auto-build')
+    if (!isCancelled()) await this._runRoadConnectivity('auto-build')
+
+    if (isCancelled()) {
+      this._autoBuilding = false
+      this._releaseWfcLock()
+      log('[AUTO-BUILD] Cancelled', 'color: red')
+      return { success: false, cancelled: true }
     }
     this._autoBuilding = false
     this._releaseWfcLock()
@@ -1045,6 +913,7 @@ export class HexMap {
    * @param {Object} options - { animate, animateDelay }
    */
   async populateAllGrids(expansionCoords = null, options = {}) {
+    this.actionLog.record(expansionCoords ? { type: 'buildAll', expansionCoords } : { type: 'buildAll' })
     ++this._buildEpoch
     this._buildCancelled = false
     this._autoBuilding = true
@@ -1066,7 +935,11 @@ export class HexMap {
     this.replacedCells.clear()
     this.droppedCells.clear()
     this.seededCells.clear()
-    this._waterSideIndex = null
+    this.rebuildCounts.clear()
+    this.paintCounts.clear()
+    this.interaction.updateLockOutlines()
+    this.history.clear()
+    this.wfcManager.waterSideIndex = null
     this.clearTileLabels()
 
     const gridsToDispose = [...this.grids.values()]
@@ -1124,10 +997,11 @@ export class HexMap {
     // ---- Seed initial collapses ----
     const centerGrid = this.grids.get('0,0')
     const centerCube = centerGrid.globalCenterCube
+    // Seeds on cells painted with a constraint they break are left out
     const initialCollapses = [
       { q: centerCube.q, r: centerCube.r, s: centerCube.s, type: TileType.GRASS, rotation: 0, level: 0 },
-      ...this.getMapCornerOceanSeeds(),
-    ]
+      ...this.wfcManager.getMapCornerOceanSeeds(this.hexGridRadius),
+    ].filter(ic => this.wfcManager.allowsTile(ic))
 
     // Track seeded cells for debug labels
     for (const ic of initialCollapses) {
@@ -1135,18 +1009,22 @@ export class HexMap {
       this.seededCells.add(`${co.col},${co.row}`)
     }
 
-    // ---- Single WFC solve (no fixed cells) ----
+    // ---- Single WFC solve (no fixed cells), rendering tiles as they collapse ----
     const tileTypes = this.getDefaultTileTypes()
     const result = await this.solveWfcAsync(allSolveCells, [], {
       tileTypes,
       weights: {},
       maxTries: 5,
       initialCollapses,
+      cellFilters: this.wfcManager.getCellFilters(allSolveCells),
       gridId: 'BUILD_ALL',
       attemptNum: 1,
+      seed: getStreamSeed('build-all'),
+      onProgress: this._createWfcProgressHandler([...this.grids.values()], '[BUILD ALL]'),
+      signal: this._beginSolve(),
     })
 
-    if (this._buildCancelled) {
+    if (this._buildCancelled || result.cancelled) {
       this._autoBuilding = false
       this._releaseWfcLock()
       log('[BUILD ALL] Cancelled', 'color: red')
@@ -1162,12 +1040,15 @@ export class HexMap {
       await setStatusAsync('[BUILD ALL] WFC FAILED')
       for (const grid of this.grids.values()) {
         grid.placeholder?.stopSpinning()
+        grid.clearPreviewTiles()
       }
       return { success: false }
     }
 
     const solveTime = ((performance.now() - startTime) / 1000).toFixed(1)
-    log(`[BUILD ALL] WFC SUCCESS (${result.tiles.length} tiles, ${solveTime}s, ${result.backtracks || 0} backtracks, ${result.tries || 0} tries)`, 'color: green')
+    const skipped = result.skippedDecisions ? `, ${result.skippedDecisions} skipped` : ''
+    const rivers = result.riverRepairs ? `, ${result.riverRepairs} river repairs` : ''
+    log(`[BUILD ALL] WFC SUCCESS (${result.tiles.length} tiles, ${solveTime}s, ${result.backtracks || 0} backtracks${skipped}, ${result.tries || 0} tries${rivers})`, 'color: green')
     await setStatusAsync(`[BUILD ALL] Success! Distributing ${result.tiles.length} tiles...`)
 
     // ---- Build lookup map from results ----
@@ -1227,6 +1108,9 @@ export class HexMap {
     }
     this.pruneInvalidPlaceholders()
     this.updateAllPlaceholderTriangles()
+    this.interaction.updateConstraintOverlay()
+    await this._runRiverRepair('build-all')
+    await this._runRoadConnectivity('build-all')
 
     // ---- Cleanup ----
     if (this.tileLabels.visible) {
@@ -1252,83 +1136,83 @@ export class HexMap {
   }
 
   /**
-   * Calculate world offset for grid coordinates
-   * Traverses from origin using getGridWorldOffset for consistency
+   * Trace river flow over the map (see RiverNetwork.js) and set `flow` on every tile: the HexDir index
+   * a river tile drains by (FLOW_VECTORS gives it in world space), or null
+   * @returns {string[]} Keys of river cells with no downhill path to the sea
    */
-  calculateWorldOffset(gridX, gridZ) {
-    if (gridX === 0 && gridZ === 0) {
-      return { x: 0, z: 0 }
+  updateRiverFlow() {
+    const invalid = this.wfcManager.updateRiverFlow()
+    const flow = this.wfcManager.riverFlow
+    for (const [key, cell] of this.globalCells) {
+      const grid = this.grids.get(cell.gridKey)
+      if (!grid) continue
+      const { gridX, gridZ } = globalToLocalGrid(cell, grid.globalCenterCube, grid.gridRadius)
+      const tile = grid.hexGrid[gridX]?.[gridZ]
+      if (tile) tile.flow = flow.get(key) ?? null
     }
+    return invalid
+  }
 
-    const hexWidth = HexTileGeometry.HEX_WIDTH || 2
-    const hexHeight = HexTileGeometry.HEX_HEIGHT || (2 / Math.sqrt(3) * 2)
-
-    // Traverse from (0,0) to (gridX, gridZ) using flat-top hex directions
-    let totalX = 0
-    let totalZ = 0
-    let currentX = 0
-    let currentZ = 0
-
-    while (currentX !== gridX || currentZ !== gridZ) {
-      const dx = gridX - currentX
-      const dz = gridZ - currentZ
-      const isOddCol = Math.abs(currentX) % 2 === 1
-
-      let direction = null
-      let nextX = currentX
-      let nextZ = currentZ
-
-      // For flat-top hex, pick direction based on where we need to go
-      // N/S for vertical, NE/SE/SW/NW for diagonal
-      if (dx === 0) {
-        // Pure vertical movement
-        if (dz < 0) {
-          direction = GridDirection.N
-          nextZ -= 1
-        } else {
-          direction = GridDirection.S
-          nextZ += 1
-        }
-      } else if (dx > 0) {
-        // Need to go right (positive x)
-        if (dz < 0 || (dz === 0 && !isOddCol)) {
-          direction = GridDirection.NE
-          nextX += 1
-          nextZ += isOddCol ? 0 : -1
-        } else {
-          direction = GridDirection.SE
-          nextX += 1
-          nextZ += isOddCol ? 1 : 0
-        }
-      } else {
-        // Need to go left (negative x)
-        if (dz < 0 || (dz === 0 && !isOddCol)) {
-          direction = GridDirection.NW
-          nextX -= 1
-          nextZ += isOddCol ? 0 : -1
-        } else {
-          direction = GridDirection.SW
-          nextX -= 1
-          nextZ += isOddCol ? 1 : 0
-        }
-      }
-
-      if (direction !== null) {
-        const offset = getGridWorldOffset(this.hexGridRadius, direction, hexWidth, hexHeight)
-        totalX += offset.x
-        totalZ += offset.z
-        currentX = nextX
-        currentZ = nextZ
-      }
+  /**
+   * Map-wide river repair when 'River Flow' is on (see WFCManager.repairRivers). Runs under the WFC
+   * lock after a populate; each re-solve is its own undoable edit.
+   * @param {string} scope - Grid key, 'auto-build' or 'build-all' (seed stream and log label)
+   * @returns {Promise<Object|null>} The pass report, or null when off
+   */
+  async _runRiverRepair(scope) {
+    if ((App.instance?.params ?? this.params)?.roads?.riverFlow === false) return null
+    const report = await this.wfcManager.repairRivers({
+      seed: getStreamSeed(`rivers:${scope}`),
+      signal: this._beginSolve(),
+      applyResult: (result, seed, label) => this._applyLocalSolve(result, seed, label),
+    })
+    if (report.cancelled) {
+      log(`[RIVERS] ${scope} cancelled`, 'color: gray')
+    } else if (report.repaired > 0 || report.remaining > 0) {
+      const msg = `[RIVERS] ${scope}: ${report.repaired} re-solves, ${report.remaining} river cells cut off from the sea`
+      log(msg, report.remaining > 0 ? 'color: red' : 'color: green')
+    }
+    return report
+  }
 
-      // Safety check
-      if (Math.abs(currentX) > 100 || Math.abs(currentZ) > 100) {
-        console.warn('calculateWorldOffset: loop limit reached')
-        break
-      }
+  /**
+   * Road connectivity pass per the 'Road Connectivity' param (see WFCManager.enforceRoadConnectivity).
+   * Runs under the WFC lock after a populate; each re-solve is its own undoable edit.
+   * @param {string} scope - Grid key, 'auto-build' or 'build-all' (seed stream and log label)
+   * @returns {Promise<Object|null>} The pass report, or null when off
+   */
+  async _runRoadConnectivity(scope) {
+    const mode = (App.instance?.params ?? this.params)?.roads?.roadConnectivity ?? 'off'
+    if (mode === 'off') return null
+    const report = await this.wfcManager.enforceRoadConnectivity(mode, {
+      seed: getStreamSeed(`roads:${scope}`),
+      signal: this._beginSolve(),
+      applyResult: (result, seed, label) => this._applyLocalSolve(result, seed, label),
+      // Roads into a placeholder grid may still connect once it's built
+      canExtend: (cube) => this.getPlaceholderCells(cube).length > 0,
+    })
+    if (report.cancelled) {
+      log(`[ROADS] ${scope} cancelled`, 'color: gray')
+      return report
     }
+    const parts = [`${report.components} networks`]
+    if (report.linked > 0) parts.push(`${report.linked} linked`)
+    if (report.pruned > 0) parts.push(`${report.pruned} pruned`)
+    if (report.open > 0) parts.push(`${report.open} open`)
+    const msg = `[ROADS] ${scope} ${mode}: ${parts.join(', ')}, ${report.remaining} disconnected`
+    log(msg, report.remaining > 0 ? 'color: red' : 'color: green')
+    setStatus(msg)
+    return report
+  }
 
-    return { x: totalX, z: totalZ }
+  /**
+   * Calculate world offset for grid coordinates
+   * Uses HexTileGeometry hex dimensions (see calculateGridWorldOffset)
+   */
+  calculateWorldOffset(gridX, gridZ) {
+    const hexWidth = HexTileGeometry.HEX_WIDTH || 2
+    const hexHeight = HexTileGeometry.HEX_HEIGHT || (2 / Math.sqrt(3) * 2)
+    return calculateGridWorldOffset(gridX, gridZ, this.hexGridRadius, hexWidth, hexHeight)
   }
 
   // ---- WFC solve queue (serializes all WFC operations) ----
@@ -1374,92 +1258,351 @@ export class HexMap {
 
   // ---- Rebuild-WFC (mini WFC on tile click in rebuild mode) ----
 
-  queueRebuildWfc(globalCubeCoords, global, def) {
+  /**
+   * @param {{q, r, s}} globalCubeCoords - Clicked cell
+   * @param {{col, row}} global - Clicked cell in global offset coords (for logs)
+   * @param {Object} def - Clicked cell's TILE_LIST entry (for logs)
+   * @param {Object} brush - Rebuild brush (see RebuildBrush.js), copied
+   */
+  queueRebuildWfc(globalCubeCoords, global, def, brush = BRUSH_DEFAULTS) {
     if (this._autoBuilding) return
-    this._enqueueWfc(() => this._runRebuildWfc({ globalCubeCoords, global, def }))
+    // A new Rebuild-WFC click takes priority over whatever is solving now
+    this.cancelActiveSolve()
+    brush = cloneBrush(brush)
+    this._enqueueWfc(() => this._runRebuildWfc({ globalCubeCoords, global, def, brush }))
   }
 
-  async _runRebuildWfc({ globalCubeCoords, global, def }) {
-    log(`[REBUILD] (${global.col},${global.row}) ${def?.name || '?'} — rebuild WFC solve`, 'color: blue')
+  async _runRebuildWfc({ globalCubeCoords, global, def, brush = BRUSH_DEFAULTS }) {
+    const brushDesc = describeBrush(brush)
+    log(`[REBUILD] (${global.col},${global.row}) ${def?.name || '?'} — rebuild WFC solve (${brushDesc})`, 'color: blue')
 
-    const solveCells = cubeCoordsInRadius(
-      globalCubeCoords.q, globalCubeCoords.r, globalCubeCoords.s, 2
-    ).filter(c => this.globalCells.has(cubeKey(c.q, c.r, c.s)))
+    // Locked cells under the brush stay as they are (fixed cells)
+    const solveCells = this.wfcManager.filterSolveCells(getBrushCells(globalCubeCoords, brush))
+    if (solveCells.length === 0) {
+      log(`[REBUILD] (${global.col},${global.row}) no unlocked cells under the brush`, 'color: red')
+      Sounds.play('incorrect')
+      return
+    }
+    const solveTypes = getBrushTileTypes(brush)
+    if (solveTypes?.length === 0) {
+      log(`[REBUILD] (${global.col},${global.row}) brush filter (${brushDesc}) allows no tiles`, 'color: red')
+      Sounds.play('incorrect')
+      return
+    }
 
     const fixedCells = this.getFixedCellsForRegion(solveCells)
     const tileTypes = this.getDefaultTileTypes()
 
+    // Stream per cell and click count: rebuilding elsewhere first doesn't change this rebuild.
+    // Only finished rebuilds count, so a replay (which has no cancelled clicks) uses the same streams.
+    const rebuildKey = cubeKey(globalCubeCoords.q, globalCubeCoords.r, globalCubeCoords.s)
+    const rebuildCount = (this.rebuildCounts.get(rebuildKey) ?? 0) + 1
+    const seed = getStreamSeed(`rebuild:${rebuildKey}:${rebuildCount}`)
+
+    // Filtered tiles are only kept out of the solve cells; fixed cells of those types still constrain
     const result = await this.solveWfcAsync(solveCells, fixedCells, {
       tileTypes,
+      solveTypes,
+      cellFilters: this.wfcManager.getCellFilters(solveCells),
       maxTries: 5,
+      seed,
+      signal: this._beginSolve(),
     })
 
+    if (result.cancelled) {
+      log(`[REBUILD] (${global.col},${global.row}) cancelled`, 'color: gray')
+      return
+    }
+    this.rebuildCounts.set(rebuildKey, rebuildCount)
+    this.actionLog.record({ type: 'rebuild', q: globalCubeCoords.q, r: globalCubeCoords.r, s: globalCubeCoords.s, brush })
+
     if (result.success && result.tiles) {
-      const changedTilesPerGrid = this.applyTileResultsToGrids(result.tiles)
+      this._applyLocalSolve(result, seed, `rebuild (${global.col},${global.row})`)
+      log(`[REBUILD] (${global.col},${global.row}) solved ${result.tiles.length} tiles`, 'color: green')
+      Sounds.play('pop', 1.0, 0.15)
+    } else {
+      const locks = this.wfcManager.describeLocks(fixedCells)
+      const blocked = locks.length > 0 ? ` (locked: ${locks.join(', ')})` : ''
+      log(`[REBUILD] (${global.col},${global.row}) ${def?.name || '?'} — rebuild WFC failed with brush ${brushDesc}${blocked}`, 'color: red')
+      Sounds.play('incorrect')
+    }
+  }
 
-      // Sort changed tiles by WFC collapse order
-      const collapseIndex = new Map()
-      if (result.collapseOrder) {
-        result.collapseOrder.forEach((c, i) => collapseIndex.set(cubeKey(c.q, c.r, c.s), i))
-      }
-      for (const [g, tiles] of changedTilesPerGrid) {
-        const center = g.globalCenterCube
-        tiles.sort((a, b) => {
-          const ca = offsetToCube(a.gridX - g.gridRadius, a.gridZ - g.gridRadius)
-          const cb = offsetToCube(b.gridX - g.gridRadius, b.gridZ - g.gridRadius)
-          const ia = collapseIndex.get(cubeKey(ca.q + center.q, ca.r + center.r, ca.s + center.s)) ?? Infinity
-          const ib = collapseIndex.get(cubeKey(cb.q + center.q, cb.r + center.r, cb.s + center.s)) ?? Infinity
-          return ia - ib
-        })
-      }
+  // ---- Paint (stamp a chosen tile, neighbors re-solve around it) ----
 
-      // Hide changed tiles before animating (prevent flash at final position)
-      const TILE_STAGGER = 60
-      const DEC_DELAY = 400
-      const DEC_STAGGER = 40
-      for (const [g, tiles] of changedTilesPerGrid) {
-        g.dummy.scale.setScalar(0)
-        g.dummy.updateMatrix()
-        for (const t of tiles) {
-          if (t.instanceId !== null) g.hexMesh.setMatrixAt(t.instanceId, g.dummy.matrix)
-          const fillId = g.bottomFills.get(`${t.gridX},${t.gridZ}`)
-          if (fillId !== undefined) g.hexMesh.setMatrixAt(fillId, g.dummy.matrix)
-        }
+  /**
+   * Pin a tile state on a cell and re-solve the cells around it
+   * @param {{q, r, s}} cube - Global cube coords of the cell
+   * @param {{type, rotation, level}} state - See HexMapInteraction.getPaintState
+   */
+  queuePaintTile(cube, state) {
+    if (this._autoBuilding) return
+    this.cancelActiveSolve()
+    this._enqueueWfc(() => this._runPaintWfc(cube, state))
+  }
 
-        tiles.forEach((t, i) => {
-          setTimeout(() => g.animateTileDrop(t, { fadeIn: true }), i * TILE_STAGGER)
-        })
-        const newDecs = g.decorations?.repopulateTilesAt(tiles, g.gridRadius, g.hexGrid)
-        if (newDecs && newDecs.length > 0) {
-          // Hide new decorations before animating
-          for (const dec of newDecs) {
-            try { dec.mesh.setMatrixAt(dec.instanceId, g.dummy.matrix) } catch (_) {}
-          }
-          const decStart = tiles.length * TILE_STAGGER + DEC_DELAY
-          newDecs.forEach((dec, j) => {
-            setTimeout(() => g.animateDecoration(dec), decStart + j * DEC_STAGGER)
-          })
-        }
-      }
+  async _runPaintWfc(cube, { type, rotation, level }) {
+    const { col, row } = cubeToOffset(cube.q, cube.r, cube.s)
+    const name = TILE_LIST[type]?.name ?? '?'
+    const desc = `(${col},${row}) ${name} rot=${rotation} level=${level}`
+    const paintKey = cubeKey(cube.q, cube.r, cube.s)
+    if (this.wfcManager.isLocked(paintKey)) {
+      log(`[PAINT] (${col},${row}) is locked — unlock it first`, 'color: red')
+      Sounds.play('incorrect')
+      return
+    }
+    log(`[PAINT] ${desc} — local WFC solve`, 'color: blue')
+
+    // Radius-2 region like Rebuild-WFC, with the painted cell pinned by an initial collapse
+    const solveCells = this.wfcManager.getLocalSolveCells(cube)
+    const fixedCells = this.getFixedCellsForRegion(solveCells)
 
-      this.addToGlobalCells('rebuild-wfc', result.tiles)
-      // Estimate total animation time: last tile drop start + drop duration (400ms)
-      const totalTiles = Array.from(changedTilesPerGrid.values()).reduce((sum, t) => sum + t.length, 0)
-      const animDone = new Promise(resolve => setTimeout(resolve, totalTiles * TILE_STAGGER + 400))
-      this.onTilesChanged?.(animDone)
+    const paintCount = (this.paintCounts.get(paintKey) ?? 0) + 1
+    const seed = getStreamSeed(`paint:${paintKey}:${paintCount}`)
 
-      log(`[REBUILD] (${global.col},${global.row}) solved ${result.tiles.length} tiles`, 'color: green')
+    const result = await this.solveWfcAsync(solveCells, fixedCells, {
+      tileTypes: this.getDefaultTileTypes(),
+      maxTries: 5,
+      seed,
+      signal: this._beginSolve(),
+      initialCollapses: [{ q: cube.q, r: cube.r, s: cube.s, type, rotation, level }],
+      cellFilters: this.wfcManager.getCellFilters(solveCells),
+    })
+
+    if (result.cancelled) {
+      log(`[PAINT] (${col},${row}) cancelled`, 'color: gray')
+      return
+    }
+    this.paintCounts.set(paintKey, paintCount)
+    this.actionLog.record({ type: 'paint', q: cube.q, r: cube.r, s: cube.s, tile: name, rotation, level })
+
+    if (result.success && result.tiles) {
+      this._applyLocalSolve(result, seed, `paint (${col},${row}) ${name}`)
+      log(`[PAINT] ${desc} placed, ${result.tiles.length - 1} neighbors re-solved`, 'color: green')
       Sounds.play('pop', 1.0, 0.15)
     } else {
-      log(`[REBUILD] (${global.col},${global.row}) ${def?.name || '?'} — rebuild WFC failed`, 'color: red')
+      const conflicts = this.interaction.checkPaintEdges(cube.q, cube.r, cube.s, { type, rotation, level })
+        .filter(c => !c.ok).length
+      const locks = this.wfcManager.describeLocks(fixedCells, cube)
+      const blocked = locks.length > 0 ? `, locked: ${locks.join(', ')}` : ''
+      log(`[PAINT] ${desc} — no compatible surroundings within 2 cells (${conflicts} edge(s) conflict now${blocked}), tile not placed`, 'color: red')
       Sounds.play('incorrect')
     }
   }
 
+  /**
+   * Apply a local (Rebuild-WFC / paint) solve: replace tiles, drop them in collapse order,
+   * repopulate their decorations and record one undoable edit
+   * @param {Object} result - solveWfcAsync result (success)
+   * @param {number} seed - Solve seed (decoration streams derive from it)
+   * @param {string} label - History label
+   */
+  _applyLocalSolve(result, seed, label) {
+    const edit = this.history.begin(label)
+    edit.touch(result.tiles.map(t => cubeKey(t.q, t.r, t.s)))
+    const changedTilesPerGrid = this.applyTileResultsToGrids(result.tiles)
+
+    // Sort changed tiles by WFC collapse order
+    const collapseIndex = new Map()
+    if (result.collapseOrder) {
+      result.collapseOrder.forEach((c, i) => collapseIndex.set(cubeKey(c.q, c.r, c.s), i))
+    }
+    for (const [g, tiles] of changedTilesPerGrid) {
+      const center = g.globalCenterCube
+      tiles.sort((a, b) => {
+        const ca = offsetToCube(a.gridX - g.gridRadius, a.gridZ - g.gridRadius)
+        const cb = offsetToCube(b.gridX - g.gridRadius, b.gridZ - g.gridRadius)
+        const ia = collapseIndex.get(cubeKey(ca.q + center.q, ca.r + center.r, ca.s + center.s)) ?? Infinity
+        const ib = collapseIndex.get(cubeKey(cb.q + center.q, cb.r + center.r, cb.s + center.s)) ?? Infinity
+        return ia - ib
+      })
+    }
+
+    // Hide changed tiles before animating (prevent flash at final position)
+    const TILE_STAGGER = 60
+    const DEC_DELAY = 400
+    const DEC_STAGGER = 40
+    let animEnd = 0
+    for (const [g, tiles] of changedTilesPerGrid) {
+      g.dummy.scale.setScalar(0)
+      g.dummy.updateMatrix()
+      for (const t of tiles) {
+        if (t.instanceId !== null) g.hexMesh.setMatrixAt(t.instanceId, g.dummy.matrix)
+        const fillId = g.bottomFills.get(`${t.gridX},${t.gridZ}`)
+        if (fillId !== undefined) g.hexMesh.setMatrixAt(fillId, g.dummy.matrix)
+      }
+
+      tiles.forEach((t, i) => {
+        setTimeout(() => g.animateTileDrop(t, { fadeIn: true }), i * TILE_STAGGER)
+      })
+      animEnd = Math.max(animEnd, tiles.length * TILE_STAGGER + 400)
+      const decorationStream = createStream(seed, `decorations:${getGridKey(g.gridCoords.x, g.gridCoords.z)}`)
+      const newDecs = withStream(decorationStream, () => g.decorations?.repopulateTilesAt(tiles, g.gridRadius, g.hexGrid))
+      if (newDecs && newDecs.length > 0) {
+        // Hide new decorations before animating
+        for (const dec of newDecs) {
+          try { dec.mesh.setMatrixAt(dec.instanceId, g.dummy.matrix) } catch (_) {}
+        }
+        const decStart = tiles.length * TILE_STAGGER + DEC_DELAY
+        newDecs.forEach((dec, j) => {
+          setTimeout(() => g.animateDecoration(dec), decStart + j * DEC_STAGGER)
+        })
+        animEnd = Math.max(animEnd, decStart + newDecs.length * DEC_STAGGER + 300)
+      }
+    }
+
+    this.addToGlobalCells('rebuild-wfc', result.tiles)
+    this.history.commit(edit)
+    this._editAnimation = new Promise(resolve => setTimeout(resolve, animEnd))
+    // Estimate total animation time: last tile drop start + drop duration (400ms)
+    const totalTiles = Array.from(changedTilesPerGrid.values()).reduce((sum, t) => sum + t.length, 0)
+    const animDone = new Promise(resolve => setTimeout(resolve, totalTiles * TILE_STAGGER + 400))
+    this.onTilesChanged?.(animDone)
+    this.interaction.refreshPaintPreview()
+  }
+
+  // ---- Cell locks (see WFCManager.setLocked) ----
+
+  /**
+   * Toggle a cell's lock. Queued, so a solve that is running keeps the locks it started with.
+   * @param {{q, r, s}} cube - Global cube coords
+   */
+  queueToggleLock(cube) {
+    if (this._autoBuilding) return
+    this._enqueueWfc(() => this.setCellLocked(cube, !this.wfcManager.isLocked(cubeKey(cube.q, cube.r, cube.s))))
+  }
+
+  /**
+   * Lock or unlock a cell and record it in the action log
+   * @param {{q, r, s}} cube - Global cube coords
+   * @param {boolean} locked
+   */
+  setCellLocked(cube, locked) {
+    const key = cubeKey(cube.q, cube.r, cube.s)
+    if (!this.wfcManager.setLocked(key, locked)) return
+    this.actionLog.record({ type: 'lock', q: cube.q, r: cube.r, s: cube.s, locked })
+    this.interaction.updateLockOutlines()
+
+    const { col, row } = cubeToOffset(cube.q, cube.r, cube.s)
+    const name = TILE_LIST[this.globalCells.get(key).type]?.name ?? '?'
+    log(`[LOCK] (${col},${row}) ${name} ${locked ? 'locked' : 'unlocked'}`, 'color: blue')
+    Sounds.play('pop', locked ? 0.8 : 1.2, 0.15)
+  }
+
+  // ---- Region constraints (see CellConstraints.js) ----
+
+  /**
+   * Placeholder cells within radius of a cell: cells of unpopulated grids, the only ones constraints are painted on
+   * @param {{q, r, s}} cube - Global cube coords
+   * @param {number} radius
+   * @returns {Array} [{q,r,s}]
+   */
+  getPlaceholderCells(cube, radius = 0) {
+    const placeholders = [...this.grids.values()].filter(g => g.state === HexGridState.PLACEHOLDER)
+    return cubeCoordsInRadius(cube.q, cube.r, cube.s, radius).filter(c =>
+      !this.globalCells.has(cubeKey(c.q, c.r, c.s)) &&
+      placeholders.some(g => {
+        const center = g.globalCenterCube
+        return cubeDistance(c.q, c.r, c.s, center.q, center.r, center.s) <= g.gridRadius
+      })
+    )
+  }
+
+  /**
+   * Paint a region constraint around a placeholder cell. Queued, so a solve that is running keeps
+   * the constraints it started with.
+   * @param {{q, r, s}} cube - Global cube coords
+   * @param {{kind, radius}} brush - kind is a CONSTRAINT_KINDS entry or 'erase'
+   */
+  queuePaintConstraint(cube, { kind, radius }) {
+    if (this._autoBuilding) return
+    this._enqueueWfc(() => this.paintConstraint(cube, kind, radius))
+  }
+
+  /**
+   * Set (or with 'erase', clear) the constraint of the placeholder cells within radius of a cell,
+   * and record it in the action log
+   * @param {{q, r, s}} cube - Global cube coords
+   * @param {string} kind - CONSTRAINT_KINDS entry or 'erase'
+   * @param {number} radius
+   */
+  paintConstraint(cube, kind, radius) {
+    if (kind !== 'erase' && !CONSTRAINT_KINDS.includes(kind)) return
+    const cells = this.getPlaceholderCells(cube, radius)
+    if (cells.length === 0) return
+    for (const c of cells) {
+      this.wfcManager.setConstraint(cubeKey(c.q, c.r, c.s), kind === 'erase' ? null : kind)
+    }
+    this.actionLog.record({ type: 'constrain', q: cube.q, r: cube.r, s: cube.s, kind, radius })
+    this.interaction.updateConstraintOverlay()
+
+    const { col, row } = cubeToOffset(cube.q, cube.r, cube.s)
+    log(`[CONSTRAIN] (${col},${row}) ${kind} r${radius} — ${cells.length} cells`, 'color: blue')
+    Sounds.play('pop', kind === 'erase' ? 0.8 : 1.1, 0.15)
+  }
+
+  /** Remove every region constraint, including those under populated grids (queued like painting) */
+  queueClearConstraints() {
+    if (this._autoBuilding) return
+    this._enqueueWfc(() => this.clearConstraints())
+  }
+
+  clearConstraints() {
+    const count = this.wfcManager.cellConstraints.size
+    if (count === 0) return
+    this.wfcManager.cellConstraints.clear()
+    this.actionLog.record({ type: 'clearConstraints' })
+    this.interaction.updateConstraintOverlay()
+    log(`[CONSTRAIN] Cleared ${count} constraints`, 'color: blue')
+  }
+
+  // ---- Undo / redo (see EditHistory) ----
+
+  /** Undo the last grid populate, Rebuild-WFC or paint (queued behind any running solve) */
+  undo() { this._enqueueWfc(() => this._stepHistory('undo')) }
+
+  /** Redo the last undone edit */
+  redo() { this._enqueueWfc(() => this._stepHistory('redo')) }
+
+  /**
+   * Undo or redo one edit, then refresh placeholders, labels and the coast mask
+   * @param {'undo'|'redo'} direction
+   */
+  async _stepHistory(direction) {
+    // Let the last edit's drop animations land, so their tweens don't move restored instances
+    await this._editAnimation
+    const edit = await this.history[direction]()
+    const label = direction.toUpperCase()
+    if (!edit) {
+      setStatus(`[${label}] Nothing to ${direction}`)
+      return
+    }
+    this.actionLog.record({ type: direction })
+
+    if (direction === 'redo') {
+      for (const gridKey of edit.populatedGrids) await this.createAdjacentPlaceholders(gridKey)
+    }
+    // With no populated grids left, keep the (re-shown) center placeholder
+    if (this.countPopulatedGrids() > 0) this.pruneInvalidPlaceholders()
+    this.updateAllPlaceholderTriangles()
+    if (this.tileLabels.visible) this.createTileLabels()
+    this.onTilesChanged?.(Promise.resolve())
+    this.interaction.refreshPaintPreview()
+    this.interaction.updateLockOutlines()  // Undoing a populate removes its cells' locks
+    this.interaction.updateConstraintOverlay()  // ... and shows its constraints again
+
+    log(`[${label}] ${edit.label} (${edit.before.size} cells)`, 'color: blue')
+    Sounds.play('pop', 1.0, 0.15)
+  }
+
   // ---- HexMapInteraction delegators ----
   onPointerMove(pointer, camera) { this.interaction.onPointerMove(pointer, camera) }
   onPointerDown(pointer, camera) { return this.interaction.onPointerDown(pointer, camera) }
   clearHoverHighlight() { this.interaction.clearHoverHighlight() }
+  clearPaintPreview() { this.interaction.clearPaintPreview() }
+  rotatePaintBrush(steps) { this.interaction.rotatePaintBrush(steps) }
+  rotateRebuildBrush(steps) { this.interaction.rotateRebuildBrush(steps) }
+  updateConstraintOverlay() { this.interaction.updateConstraintOverlay() }
 
   async runBenchmark(runs = 3) {
     const autoBuildOrder = [
@@ -1475,6 +1618,7 @@ export class HexMap {
       setSeed(seed)
       rebuildNoiseTables()
       await this.reset()
+      this.startActionLog(seed)
 
       const result = await this.autoBuild(autoBuildOrder, { animate: false })
       results.push({ seed, ...(result || { success: false }) })
@@ -1515,6 +1659,7 @@ export class HexMap {
       setSeed(seed)
       rebuildNoiseTables()
       await this.reset()
+      this.startActionLog(seed)
 
       const result = await this.populateAllGrids(null, { animate: false })
       results.push({ seed, ...(result || { success: false }) })
@@ -1546,12 +1691,77 @@ export class HexMap {
     Sounds.play('intro')
   }
 
+  /** Clear All: reset the map and record it in the action log */
+  async clearAll() {
+    this.actionLog.record({ type: 'reset' })
+    await this.reset()
+  }
+
+  /**
+   * Start a fresh action log for a session that begins now (from the current GUI params)
+   * @param {number|null} seed - Seed the session starts from
+   * @param {Object} options - See ActionLog.start
+   */
+  startActionLog(seed, options) {
+    this.actionLog.start(seed, pickKnownParams(App.instance?.params ?? this.params), options)
+  }
+
+  /**
+   * Re-execute one map action from the action log (param actions are applied by App.replaySession).
+   * Runs to completion, so actions can't cancel each other the way overlapping clicks do.
+   * @param {Object} action - See ActionLog
+   */
+  async replayAction(action) {
+    if (action.type === 'autoBuild') {
+      await this.autoBuild(action.order)
+    } else if (action.type === 'buildAll') {
+      await this.populateAllGrids(action.expansionCoords ?? null)
+    } else if (action.type === 'reset') {
+      await this.clearAll()
+    } else if (action.type === 'lock') {
+      await this._waitForWfcIdle()
+      this.setCellLocked(action, action.locked)
+    } else if (action.type === 'constrain') {
+      await this._waitForWfcIdle()
+      this.paintConstraint(action, action.kind, action.radius)
+    } else if (action.type === 'clearConstraints') {
+      await this._waitForWfcIdle()
+      this.clearConstraints()
+    } else if (['grid', 'rebuild', 'paint', 'undo', 'redo'].includes(action.type)) {
+      await this._waitForWfcIdle()
+      this._wfcBusy = true
+      try {
+        if (action.type === 'undo' || action.type === 'redo') {
+          await this._stepHistory(action.type)
+        } else if (action.type === 'grid') {
+          const grid = this.grids.get(action.key)
+          if (grid) await this.onGridClick(grid)
+          else log(`[REPLAY] No grid at ${action.key}`, 'color: red')
+        } else if (action.type === 'paint') {
+          const type = TileType[action.tile]
+          if (type === undefined) log(`[REPLAY] Unknown tile ${action.tile}`, 'color: red')
+          else await this._runPaintWfc(action, { type, rotation: action.rotation, level: action.level })
+        } else {
+          const global = cubeToOffset(action.q, action.r, action.s)
+          const def = TILE_LIST[this.globalCells.get(cubeKey(action.q, action.r, action.s))?.type]
+          // Logs from before configurable brushes have none: those rebuilds used the default
+          const brush = cloneBrush(action.brush)
+          await this._runRebuildWfc({ globalCubeCoords: { q: action.q, r: action.r, s: action.s }, global, def, brush })
+        }
+      } finally {
+        this._releaseWfcLock()
+      }
+    } else {
+      log(`[REPLAY] Unknown action ${action.type}`, 'color: red')
+    }
+  }
 
   async reset() {
     ++this._buildEpoch
     this._buildCancelled = true
     this._autoBuilding = false
     this._wfcQueue.length = 0
+    this.cancelActiveSolve()
     await this._waitForWfcIdle()
     this.isRegenerating = true
 
@@ -1561,7 +1771,13 @@ export class HexMap {
     this.droppedCells.clear()
     this.replacedCells.clear()
     this.seededCells.clear()
-    this._waterSideIndex = null
+    this.rebuildCounts.clear()
+    this.paintCounts.clear()
+    this.interaction.updateLockOutlines()
+    this.wfcManager.cellConstraints.clear()
+    this.interaction.updateConstraintOverlay()
+    this.history.clear()
+    this.wfcManager.waterSideIndex = null
     this.clearTileLabels()
 
     const gridsToDispose = [...this.grids.values()]
@@ -1575,7 +1791,8 @@ export class HexMap {
     }, 500)
 
     this.initWfcRules()
-    this.wfcManager.cancelAndRestart()
+    // Restart the worker's RNG from the current seed (benchmarks call setSeed before reset)
+    this.wfcManager.resetWorkerSeed()
 
     // Create center placeholder only — no WFC solve
     await this.createGrid(0, 0)
@@ -1606,7 +1823,11 @@ export class HexMap {
     this.droppedCells.clear()
     this.replacedCells.clear()
     this.seededCells.clear()
-    this._waterSideIndex = null
+    this.rebuildCounts.clear()
+    this.paintCounts.clear()
+    this.interaction.updateLockOutlines()
+    this.history.clear()
+    this.wfcManager.waterSideIndex = null
 
     // Clear labels first (they reference grid data)
     this.clearTileLabels()
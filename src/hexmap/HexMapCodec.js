@@ -0,0 +1,155 @@
+/**
+ * Compact binary map encoding for shareable URL hashes - no browser/Three.js dependencies
+ *
+ * Layout (all multi-byte values big-endian):
+ *   [0]      version (MAP_CODEC_VERSION)
+ *   [1..4]   checksum: FNV-1a over the tile table (names + edges), LEVELS_COUNT, grid radius and bytes 5..end
+ *   [5..8]   seed (uint32, 0xFFFFFFFF = unseeded)
+ *   [9]      ocean side index (0-5, 255 = not picked yet)
+ *   [10..]   populated-grid bitmask, one bit per grid in getAllGridCoordinates order
+ *   [...]    bitstream, one value per cell of each populated grid: (type * 6 + rotation) * LEVELS_COUNT + level
+ *
+ * Cells are written in a fixed order (grids in layout order, then cubeCoordsInRadius order), so no
+ * coordinates are stored. The checksum covers the tile table, so links made before TILE_LIST
+ * changes fail to decode instead of loading the wrong tiles.
+ */
+
+import { TILE_LIST, LEVELS_COUNT } from './HexTileData.js'
+import { cubeKey } from './HexWFCCore.js'
+import { getGridLayout } from './HexGridConnector.js'
+
+export const MAP_CODEC_VERSION = 1
+
+const HEADER_SIZE = 10
+const NO_SEED = 0xFFFFFFFF
+const NO_SIDE = 255
+
+/**
+ * Encode solved cells to bytes
+ * @param {Map} globalCells - cube key → { q, r, s, type, rotation, level, gridKey }
+ * @param {Object} options - { gridRadius, seed, waterSideIndex }
+ * @returns {Uint8Array}
+ */
+export function encodeMapCells(globalCells, { gridRadius, seed = null, waterSideIndex = null }) {
+  const layout = getGridLayout(gridRadius)
+  const maskBytes = Math.ceil(layout.length / 8)
+  const bitsPerCell = getBitsPerCell()
+
+  // A grid is stored when it has any cells; missing cells in it are written as 0 (GRASS, unrotated)
+  const populated = layout.map(({ cells }) => cells.some(c => globalCells.has(cubeKey(c.q, c.r, c.s))))
+  const cellCount = layout.reduce((sum, { cells }, i) => sum + (populated[i] ? cells.length : 0), 0)
+
+  const bytes = new Uint8Array(HEADER_SIZE + maskBytes + Math.ceil(cellCount * bitsPerCell / 8))
+  const view = new DataView(bytes.buffer)
+  bytes[0] = MAP_CODEC_VERSION
+  view.setUint32(5, seed ?? NO_SEED)
+  bytes[9] = waterSideIndex ?? NO_SIDE
+  populated.forEach((p, i) => { if (p) bytes[HEADER_SIZE + (i >> 3)] |= 1 << (i & 7) })
+
+  let bit = (HEADER_SIZE + maskBytes) * 8
+  layout.forEach(({ cells }, i) => {
+    if (!populated[i]) return
+    for (const c of cells) {
+      const cell = globalCells.get(cubeKey(c.q, c.r, c.s))
+      const value = cell ? (cell.type * 6 + cell.rotation) * LEVELS_COUNT + cell.level : 0
+      writeBits(bytes, bit, bitsPerCell, value)
+      bit += bitsPerCell
+    }
+  })
+
+  view.setUint32(1, computeChecksum(bytes, gridRadius))
+  return bytes
+}
+
+/**
+ * Decode bytes from encodeMapCells
+ * @param {Uint8Array} bytes
+ * @param {number} gridRadius - Must match the encoding map (part of the checksum)
+ * @returns {{ seed, waterSideIndex, grids: string[], cells: Array<{q,r,s,type,rotation,level,gridKey}> }}
+ * @throws {Error} On a version or checksum mismatch, or truncated data
+ */
+export function decodeMapCells(bytes, gridRadius) {
+  if (bytes.length < HEADER_SIZE) throw new Error('Map data is truncated')
+  if (bytes[0] !== MAP_CODEC_VERSION) {
+    throw new Error(`Unsupported map encoding version ${bytes[0]} (expected ${MAP_CODEC_VERSION})`)
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  if (view.getUint32(1) !== computeChecksum(bytes, gridRadius)) {
+    throw new Error('Map checksum mismatch (link is corrupted or from a different tile set)')
+  }
+
+  const layout = getGridLayout(gridRadius)
+  const maskBytes = Math.ceil(layout.length / 8)
+  const bitsPerCell = getBitsPerCell()
+  const seed = view.getUint32(5)
+  const side = bytes[9]
+
+  const grids = []
+  const cells = []
+  let bit = (HEADER_SIZE + maskBytes) * 8
+  layout.forEach(({ gridKey, cells: gridCells }, i) => {
+    if (!(bytes[HEADER_SIZE + (i >> 3)] & (1 << (i & 7)))) return
+    grids.push(gridKey)
+    for (const c of gridCells) {
+      if (bit + bitsPerCell > bytes.length * 8) throw new Error('Map data is truncated')
+      const value = readBits(bytes, bit, bitsPerCell)
+      bit += bitsPerCell
+      const level = value % LEVELS_COUNT
+      const rotation = Math.floor(value / LEVELS_COUNT) % 6
+      const type = Math.floor(value / (LEVELS_COUNT * 6))
+      cells.push({ q: c.q, r: c.r, s: c.s, type, rotation, level, gridKey })
+    }
+  })
+
+  return {
+    seed: seed === NO_SEED ? null : seed,
+    waterSideIndex: side === NO_SIDE ? null : side,
+    grids,
+    cells,
+  }
+}
+
+/** Bytes → base64url (no padding), safe in a URL hash */
+export function toBase64Url(bytes) {
+  let binary = ''
+  for (const b of bytes) binary += String.fromCharCode(b)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/** base64url → bytes */
+export function fromBase64Url(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4))
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0))
+}
+
+function getBitsPerCell() {
+  return Math.ceil(Math.log2(TILE_LIST.length * 6 * LEVELS_COUNT))
+}
+
+/** FNV-1a over the tile table signature, then the payload after the checksum field */
+function computeChecksum(bytes, gridRadius) {
+  let h = 0x811C9DC5
+  const signature = JSON.stringify([TILE_LIST.map(t => [t.name, t.edges]), LEVELS_COUNT, gridRadius])
+  for (let i = 0; i < signature.length; i++) {
+    h = Math.imul(h ^ signature.charCodeAt(i), 0x01000193)
+  }
+  for (let i = 5; i < bytes.length; i++) {
+    h = Math.imul(h ^ bytes[i], 0x01000193)
+  }
+  return h >>> 0
+}
+
+function writeBits(bytes, bit, count, value) {
+  for (let i = count - 1; i >= 0; i--, bit++) {
+    if ((value >> i) & 1) bytes[bit >> 3] |= 0x80 >> (bit & 7)
+  }
+}
+
+function readBits(bytes, bit, count) {
+  let value = 0
+  for (let i = 0; i < count; i++, bit++) {
+    value = (value << 1) | ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1)
+  }
+  return value
+}
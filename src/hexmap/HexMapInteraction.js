@@ -7,15 +7,36 @@ import {
   Float32BufferAttribute,
   LineSegments,
   LineBasicNodeMaterial,
+  Plane,
+  Vector3,
+  Color,
 } from 'three/webgpu'
-import { cubeKey, cubeCoordsInRadius, offsetToCube, cubeToOffset, localToGlobalCoords } from './HexWFCCore.js'
-import { TILE_LIST } from './HexTileData.js'
+import {
+  cubeKey, parseCubeKey, offsetToCube, cubeToOffset, localToGlobalCoords,
+  CUBE_DIRS, edgesCompatible, getEdgeLevel,
+} from './HexWFCCore.js'
+import { TILE_LIST, TileType, HexDir, HexOpposite, rotateHexEdges, getMaxBaseLevel } from './HexTileData.js'
+import { HexTileGeometry } from './HexTiles.js'
 import { HexGridState } from './HexGrid.js'
+import { BRUSH_MAX_RADIUS, cloneBrush, getBrushCells } from './RebuildBrush.js'
+import { CONSTRAINT_COLORS } from './CellConstraints.js'
+import { worldToOffset } from './HexGridConnector.js'
 import { log, App } from '../App.js'
 import { Sounds } from '../lib/Sounds.js'
 
+const LEVEL_HEIGHT = 0.5
+const TILE_SURFACE = 1
+const EDGE_OK_COLOR = [0.3, 1, 0.4]
+const EDGE_BAD_COLOR = [1, 0.2, 0.2]
+const LOCK_COLOR = 0xffb830
+// Hover highlight buffers fit the largest brush (a full hexagon)
+const MAX_HIGHLIGHT_CELLS = 3 * BRUSH_MAX_RADIUS * (BRUSH_MAX_RADIUS + 1) + 1
+const SINGLE_CELL_BRUSH = { radius: 0, shape: 'hex' }
+// Placeholders (and their constraint overlay) lie at the level-0 tile surface
+const PLACEHOLDER_PLANE = new Plane(new Vector3(0, 1, 0), -TILE_SURFACE)
+
 /**
- * HexMapInteraction — hover highlight and pointer event handling.
+ * HexMapInteraction — hover highlight, paint preview, lock outlines, constraint overlay and pointer event handling.
  * Constructor receives reference to parent HexMap.
  */
 export class HexMapInteraction {
@@ -27,12 +48,27 @@ export class HexMapInteraction {
     this.hoverHighlight = null
     this.hoverFill = null
     this.hasClicked = false
+    this.hoverCube = null  // Cell the hover highlight is centered on
+
+    // Build mode: cells a Rebuild-WFC click re-solves (see RebuildBrush.js; line axis rotates with R)
+    this.rebuildBrush = cloneBrush()
+
+    // Paint mode: tile stamped on click (rotation with R, see App.onKeyDown)
+    this.paintBrush = { type: TileType.GRASS, rotation: 0, level: 0 }
+    this.paintGhost = null
+    this.paintEdges = null
+    this.paintCube = null  // Cell under the pointer while painting
+    this.lockOutlines = null  // Outlines of locked cells (see HexMap.setCellLocked)
+
+    // Constrain mode: region constraint painted on placeholder cells (kind is a CONSTRAINT_KINDS entry or 'erase')
+    this.constraintBrush = { kind: 'water', radius: 1 }
+    this.constraintOverlay = null
   }
 
   initHoverHighlight() {
     const scene = this.hexMap.scene
     const hexRadius = 2 / Math.sqrt(3)
-    const maxVerts = 19 * 6 * 2 * 3
+    const maxVerts = MAX_HIGHLIGHT_CELLS * 6 * 2 * 3
     const positions = new Float32Array(maxVerts)
     const geom = new BufferGeometry()
     geom.setAttribute('position', new Float32BufferAttribute(positions, 3))
@@ -50,7 +86,7 @@ export class HexMapInteraction {
     this.hoverHighlight.visible = false
     scene.add(this.hoverHighlight)
 
-    const fillCount = 19 * 6 * 3 * 3
+    const fillCount = MAX_HIGHLIGHT_CELLS * 6 * 3 * 3
     const fillPositions = new Float32Array(fillCount)
     const fillNormals = new Float32Array(fillCount)
     // All normals point up (Y+)
@@ -74,17 +110,28 @@ export class HexMapInteraction {
     scene.add(this.hoverFill)
   }
 
-  updateHoverHighlight(cq, cr, cs) {
-    const key = cubeKey(cq, cr, cs)
+  /**
+   * Outline the cells a click would change
+   * @param {Object} brush - Rebuild brush (see RebuildBrush.js)
+   * @param {Object} options - { skipLocked, placeholder }: leave out locked cells (a rebuild keeps them),
+   *   or outline placeholder cells instead of populated ones (constraint painting)
+   */
+  updateHoverHighlight(cq, cr, cs, brush = this.rebuildBrush, { skipLocked = true, placeholder = false } = {}) {
+    const { radius, shape, direction } = brush
+    const key = `${cubeKey(cq, cr, cs)}/${shape}/${radius}/${direction}/${skipLocked}/${placeholder}`
     if (key === this.hoveredCubeKey) return
     this.hoveredCubeKey = key
+    this.hoverCube = { q: cq, r: cr, s: cs }
 
     const hexWidth = 2
     const hexHeight = 2 / Math.sqrt(3) * 2
     const hexRadius = 2 / Math.sqrt(3)
 
-    const cells = cubeCoordsInRadius(cq, cr, cs, 2)
-      .filter(c => this.hexMap.globalCells.has(cubeKey(c.q, c.r, c.s)))
+    const brushCells = getBrushCells({ q: cq, r: cr, s: cs }, brush)
+    let cells
+    if (placeholder) cells = this.hexMap.getPlaceholderCells({ q: cq, r: cr, s: cs }, radius)
+    else if (skipLocked) cells = this.hexMap.wfcManager.filterSolveCells(brushCells)
+    else cells = brushCells.filter(c => this.hexMap.globalCells.has(cubeKey(c.q, c.r, c.s)))
 
     const positions = this.hoverHighlight.geometry.attributes.position.array
     const fillPositions = this.hoverFill.geometry.attributes.position.array
@@ -122,6 +169,240 @@ export class HexMapInteraction {
     this.hoverFill.visible = true
   }
 
+  initPaintPreview() {
+    const scene = this.hexMap.scene
+
+    const ghostMat = new MeshBasicNodeMaterial({ color: 0xffffff })
+    ghostMat.transparent = true
+    ghostMat.opacity = 0.55
+    ghostMat.depthWrite = false
+    this.paintGhost = new Mesh(HexTileGeometry.geoms.get(TileType.GRASS), ghostMat)
+    this.paintGhost.renderOrder = 997
+    this.paintGhost.visible = false
+    scene.add(this.paintGhost)
+
+    // One line per edge, colored by compatibility with the neighbor across it
+    const geom = new BufferGeometry()
+    geom.setAttribute('position', new Float32BufferAttribute(new Float32Array(6 * 2 * 3), 3))
+    geom.setAttribute('color', new Float32BufferAttribute(new Float32Array(6 * 2 * 3), 3))
+    geom.setDrawRange(0, 0)
+    const mat = new LineBasicNodeMaterial({ vertexColors: true })
+    mat.depthTest = false
+    mat.depthWrite = false
+    mat.transparent = true
+    this.paintEdges = new LineSegments(geom, mat)
+    this.paintEdges.renderOrder = 999
+    this.paintEdges.frustumCulled = false
+    this.paintEdges.visible = false
+    scene.add(this.paintEdges)
+  }
+
+  /** Paint brush with its level clamped to what the tile allows */
+  getPaintState() {
+    const { type, rotation, level } = this.paintBrush
+    return { type, rotation: ((rotation % 6) + 6) % 6, level: Math.min(level, getMaxBaseLevel(type)) }
+  }
+
+  /** Rotate the paint brush by 60° steps (R / Shift+R) */
+  rotatePaintBrush(steps = 1) {
+    this.paintBrush.rotation = (((this.paintBrush.rotation + steps) % 6) + 6) % 6
+    this.refreshPaintPreview()
+  }
+
+  /**
+   * Edge-by-edge compatibility of a tile state with the current neighbors of a cell
+   * @returns {Array<{ dir: string, level: number, ok: boolean }>} Only edges that have a neighbor
+   */
+  checkPaintEdges(q, r, s, { type, rotation, level }) {
+    const edges = rotateHexEdges(TILE_LIST[type].edges, rotation)
+    const result = []
+    for (let i = 0; i < 6; i++) {
+      const dir = HexDir[i]
+      const { dq, dr, ds } = CUBE_DIRS[i]
+      const neighbor = this.hexMap.globalCells.get(cubeKey(q + dq, r + dr, s + ds))
+      if (!neighbor) continue
+      const opposite = HexOpposite[dir]
+      const neighborEdges = rotateHexEdges(TILE_LIST[neighbor.type].edges, neighbor.rotation)
+      const edgeLevel = getEdgeLevel(type, rotation, dir, level)
+      const ok = edgesCompatible(
+        edges[dir], edgeLevel,
+        neighborEdges[opposite], getEdgeLevel(neighbor.type, neighbor.rotation, opposite, neighbor.level)
+      )
+      result.push({ dir, level: edgeLevel, ok })
+    }
+    return result
+  }
+
+  /** Show the brush tile on a cell, with its edges green (compatible) or red (not) */
+  updatePaintPreview(q, r, s) {
+    this.paintCube = { q, r, s }
+    const state = this.getPaintState()
+    const { col, row } = cubeToOffset(q, r, s)
+    const { x: cx, z: cz } = HexTileGeometry.getWorldPosition(col, row)
+    const hexRadius = 2 / Math.sqrt(3)
+
+    const checks = this.checkPaintEdges(q, r, s, state)
+    const positions = this.paintEdges.geometry.attributes.position.array
+    const colors = this.paintEdges.geometry.attributes.color.array
+    let idx = 0
+    for (const { dir, level, ok } of checks) {
+      // Edge normal angle (x = sin, z = cos): NE 150°, E 90°, ... NW -150°
+      const angle = (150 - 60 * HexDir.indexOf(dir)) * Math.PI / 180
+      const y = level * LEVEL_HEIGHT + TILE_SURFACE + 0.05
+      const color = ok ? EDGE_OK_COLOR : EDGE_BAD_COLOR
+      for (const a of [angle - Math.PI / 6, angle + Math.PI / 6]) {
+        positions[idx] = cx + Math.sin(a) * hexRadius
+        positions[idx + 1] = y
+        positions[idx + 2] = cz + Math.cos(a) * hexRadius
+        colors.set(color, idx)
+        idx += 3
+      }
+    }
+    this.paintEdges.geometry.attributes.position.needsUpdate = true
+    this.paintEdges.geometry.attributes.color.needsUpdate = true
+    this.paintEdges.geometry.setDrawRange(0, idx / 3)
+    this.paintEdges.visible = true
+
+    this.paintGhost.geometry = HexTileGeometry.geoms.get(state.type) ?? this.paintGhost.geometry
+    this.paintGhost.position.set(cx, state.level * LEVEL_HEIGHT + 0.02, cz)
+    this.paintGhost.rotation.y = -state.rotation * Math.PI / 3
+    const locked = this.hexMap.wfcManager.isLocked(cubeKey(q, r, s))
+    this.paintGhost.material.color.set(!locked && checks.every(c => c.ok) ? 0xffffff : 0xff8080)
+    this.paintGhost.visible = true
+  }
+
+  /** Redraw the preview after the brush or the tiles under it changed */
+  refreshPaintPreview() {
+    if (this.paintCube && this.paintGhost?.visible) {
+      const { q, r, s } = this.paintCube
+      this.updatePaintPreview(q, r, s)
+    }
+  }
+
+  clearPaintPreview() {
+    this.paintCube = null
+    if (this.paintGhost) this.paintGhost.visible = false
+    if (this.paintEdges) this.paintEdges.visible = false
+  }
+
+  /** Rebuild the outlines of every locked cell (call after locks or the cells under them change) */
+  updateLockOutlines() {
+    const scene = this.hexMap.scene
+    if (!this.lockOutlines) {
+      const mat = new LineBasicNodeMaterial({ color: LOCK_COLOR })
+      mat.depthTest = false
+      mat.depthWrite = false
+      mat.transparent = true
+      this.lockOutlines = new LineSegments(new BufferGeometry(), mat)
+      this.lockOutlines.renderOrder = 996
+      this.lockOutlines.frustumCulled = false
+      scene.add(this.lockOutlines)
+    }
+
+    // Slightly inset, so a locked cell's outline doesn't overlap the hover highlight
+    const hexRadius = 2 / Math.sqrt(3) * 0.9
+    const positions = []
+    for (const cell of this.hexMap.globalCells.values()) {
+      if (!cell.locked) continue
+      const { col, row } = cubeToOffset(cell.q, cell.r, cell.s)
+      const { x: cx, z: cz } = HexTileGeometry.getWorldPosition(col, row)
+      const y = cell.level * LEVEL_HEIGHT + TILE_SURFACE + 0.05
+      for (let i = 0; i < 6; i++) {
+        const a1 = i * Math.PI / 3
+        const a2 = ((i + 1) % 6) * Math.PI / 3
+        positions.push(
+          cx + Math.sin(a1) * hexRadius, y, cz + Math.cos(a1) * hexRadius,
+          cx + Math.sin(a2) * hexRadius, y, cz + Math.cos(a2) * hexRadius,
+        )
+      }
+    }
+    this.lockOutlines.geometry.dispose()
+    this.lockOutlines.geometry = new BufferGeometry()
+    this.lockOutlines.geometry.setAttribute('position', new Float32BufferAttribute(positions, 3))
+    this.lockOutlines.visible = positions.length > 0
+  }
+
+  /**
+   * Rebuild the translucent overlay of region constraints: on placeholder cells always, and on
+   * populated cells too in Constrain mode (call after constraints or the cells under them change)
+   */
+  updateConstraintOverlay() {
+    const hm = this.hexMap
+    if (!this.constraintOverlay) {
+      const mat = new MeshBasicNodeMaterial({ vertexColors: true })
+      mat.transparent = true
+      mat.opacity = 0.45
+      mat.depthWrite = false
+      mat.side = 2
+      this.constraintOverlay = new Mesh(new BufferGeometry(), mat)
+      this.constraintOverlay.renderOrder = 995
+      this.constraintOverlay.frustumCulled = false
+      hm.scene.add(this.constraintOverlay)
+    }
+
+    const showPopulated = !!App.instance?.constrainMode
+    const hexRadius = 2 / Math.sqrt(3) * 0.85
+    const color = new Color()
+    const positions = []
+    const colors = []
+    for (const [key, kind] of hm.wfcManager.cellConstraints) {
+      const cell = hm.globalCells.get(key)
+      if (cell && !showPopulated) continue
+      const { q, r, s } = cell ?? parseCubeKey(key)
+      if (!cell && hm.getPlaceholderCells({ q, r, s }).length === 0) continue
+      const { col, row } = cubeToOffset(q, r, s)
+      const { x: cx, z: cz } = HexTileGeometry.getWorldPosition(col, row)
+      const y = (cell?.level ?? 0) * LEVEL_HEIGHT + TILE_SURFACE + 0.03
+      color.set(CONSTRAINT_COLORS[kind] ?? 0xffffff)
+      for (let i = 0; i < 6; i++) {
+        const a1 = i * Math.PI / 3
+        const a2 = ((i + 1) % 6) * Math.PI / 3
+        positions.push(
+          cx, y, cz,
+          cx + Math.sin(a1) * hexRadius, y, cz + Math.cos(a1) * hexRadius,
+          cx + Math.sin(a2) * hexRadius, y, cz + Math.cos(a2) * hexRadius,
+        )
+        for (let v = 0; v < 3; v++) colors.push(color.r, color.g, color.b)
+      }
+    }
+    this.constraintOverlay.geometry.dispose()
+    this.constraintOverlay.geometry = new BufferGeometry()
+    this.constraintOverlay.geometry.setAttribute('position', new Float32BufferAttribute(positions, 3))
+    this.constraintOverlay.geometry.setAttribute('color', new Float32BufferAttribute(colors, 3))
+    this.constraintOverlay.visible = positions.length > 0
+  }
+
+  /**
+   * Placeholder cell under the pointer (call after raycaster.setFromCamera)
+   * @returns {{q, r, s}|null} Global cube coords
+   */
+  pickPlaceholderCell() {
+    const point = this.raycaster.ray.intersectPlane(PLACEHOLDER_PLANE, new Vector3())
+    if (!point) return null
+    const { col, row } = worldToOffset(point.x, point.z)
+    const cube = offsetToCube(col, row)
+    return this.hexMap.getPlaceholderCells(cube).length > 0 ? cube : null
+  }
+
+  /** Redraw the hover highlight after the rebuild or constraint brush changed */
+  refreshHoverHighlight() {
+    if (this.hoveredCubeKey === null || !this.hoverCube || App.instance?.lockMode) return
+    const { q, r, s } = this.hoverCube
+    if (App.instance?.constrainMode) this.updateHoverHighlight(q, r, s, this.getConstraintHighlightBrush(), { placeholder: true })
+    else this.updateHoverHighlight(q, r, s)
+  }
+
+  /** Highlight brush matching the constraint brush's radius */
+  getConstraintHighlightBrush() {
+    return { radius: this.constraintBrush.radius, shape: 'hex' }
+  }
+
+  /** Turn the rebuild brush's line axis by one step (R / Shift+R in Build mode) */
+  rotateRebuildBrush(steps = 1) {
+    this.rebuildBrush.direction = (((this.rebuildBrush.direction + steps) % 3) + 3) % 3
+    this.refreshHoverHighlight()
+  }
+
   clearHoverHighlight() {
     if (this.hoveredCubeKey !== null) {
       this.hoveredCubeKey = null
@@ -143,8 +424,9 @@ export class HexMapInteraction {
 
     this.raycaster.setFromCamera(pointer, camera)
 
+    // Constrain mode paints placeholder cells, so their buttons don't react
     let newHovered = null
-    if (placeholderClickables.length > 0) {
+    if (placeholderClickables.length > 0 && !App.instance?.constrainMode) {
       const intersects = this.raycaster.intersectObjects(placeholderClickables)
       if (intersects.length > 0) {
         const clickable = intersects[0].object
@@ -169,39 +451,67 @@ export class HexMapInteraction {
       }
     }
 
-    if ('ontouchstart' in window || !App.instance?.buildMode) {
+    const app = App.instance
+    if ('ontouchstart' in window || !(app?.buildMode || app?.paintMode || app?.lockMode || app?.constrainMode)) {
       this.clearHoverHighlight()
+      this.clearPaintPreview()
       return
     }
+
+    if (app.constrainMode) {
+      this.clearPaintPreview()
+      const cube = this.pickPlaceholderCell()
+      if (cube) this.updateHoverHighlight(cube.q, cube.r, cube.s, this.getConstraintHighlightBrush(), { placeholder: true })
+      else this.clearHoverHighlight()
+      return
+    }
+
+    const picked = this.pickTile()
+    if (picked) {
+      const { q, r, s } = picked.cube
+      if (app.paintMode) {
+        this.clearHoverHighlight()
+        this.updatePaintPreview(q, r, s)
+      } else {
+        this.clearPaintPreview()
+        // Build re-solves the brush cells, Lock toggles a single cell
+        if (app.lockMode) this.updateHoverHighlight(q, r, s, SINGLE_CELL_BRUSH, { skipLocked: false })
+        else this.updateHoverHighlight(q, r, s)
+      }
+      return
+    }
+
+    this.clearHoverHighlight()
+    this.clearPaintPreview()
+  }
+
+  /**
+   * Populated tile under the pointer (call after raycaster.setFromCamera)
+   * @returns {{ grid: HexGrid, tile: HexTile, global: {col, row}, cube: {q, r, s} }|null}
+   */
+  pickTile() {
     const hexMeshes = []
     const meshToGrid = new Map()
-    for (const grid of hm.grids.values()) {
+    for (const grid of this.hexMap.grids.values()) {
       if (grid.state === HexGridState.POPULATED && grid.hexMesh) {
         hexMeshes.push(grid.hexMesh)
         meshToGrid.set(grid.hexMesh, grid)
       }
     }
-
-    if (hexMeshes.length > 0) {
-      const intersects = this.raycaster.intersectObjects(hexMeshes)
-      if (intersects.length > 0) {
-        const hit = intersects[0]
-        const grid = meshToGrid.get(hit.object)
-        const batchId = hit.batchId ?? hit.instanceId
-        if (grid && batchId !== undefined) {
-          const tile = grid.hexTiles.find(t => t.instanceId === batchId)
-          if (tile) {
-            const globalCube = grid.globalCenterCube ?? { q: 0, r: 0, s: 0 }
-            const global = localToGlobalCoords(tile.gridX, tile.gridZ, grid.gridRadius, globalCube)
-            const globalCubeCoords = offsetToCube(global.col, global.row)
-            this.updateHoverHighlight(globalCubeCoords.q, globalCubeCoords.r, globalCubeCoords.s)
-            return
-          }
-        }
-      }
-    }
-
-    this.clearHoverHighlight()
+    if (hexMeshes.length === 0) return null
+
+    const intersects = this.raycaster.intersectObjects(hexMeshes)
+    if (intersects.length === 0) return null
+    const hit = intersects[0]
+    const grid = meshToGrid.get(hit.object)
+    const batchId = hit.batchId ?? hit.instanceId
+    if (!grid || batchId === undefined) return null
+    const tile = grid.hexTiles.find(t => t.instanceId === batchId)
+    if (!tile) return null
+
+    const globalCube = grid.globalCenterCube ?? { q: 0, r: 0, s: 0 }
+    const global = localToGlobalCoords(tile.gridX, tile.gridZ, grid.gridRadius, globalCube)
+    return { grid, tile, global, cube: offsetToCube(global.col, global.row) }
   }
 
   onPointerDown(pointer, camera) {
@@ -216,6 +526,13 @@ export class HexMapInteraction {
 
     this.raycaster.setFromCamera(pointer, camera)
 
+    if (App.instance?.constrainMode) {
+      const cube = this.pickPlaceholderCell()
+      if (!cube) return false
+      hm.queuePaintConstraint(cube, this.constraintBrush)
+      return true
+    }
+
     if (placeholderClickables.length > 0) {
       const intersects = this.raycaster.intersectObjects(placeholderClickables)
       if (intersects.length > 0) {
@@ -231,64 +548,21 @@ export class HexMapInteraction {
       }
     }
 
-    // In move mode, log tile info on click
-    if (!App.instance?.buildMode) {
-      const hexMeshes = []
-      const meshToGrid = new Map()
-      for (const grid of hm.grids.values()) {
-        if (grid.state === HexGridState.POPULATED && grid.hexMesh) {
-          hexMeshes.push(grid.hexMesh)
-          meshToGrid.set(grid.hexMesh, grid)
-        }
-      }
-      if (hexMeshes.length > 0) {
-        const intersects = this.raycaster.intersectObjects(hexMeshes)
-        if (intersects.length > 0) {
-          const hit = intersects[0]
-          const grid = meshToGrid.get(hit.object)
-          const batchId = hit.batchId ?? hit.instanceId
-          if (grid && batchId !== undefined) {
-            const tile = grid.hexTiles.find(t => t.instanceId === batchId)
-            if (tile) {
-              const def = TILE_LIST[tile.type]
-              const globalCube = grid.globalCenterCube ?? { q: 0, r: 0, s: 0 }
-              const global = localToGlobalCoords(tile.gridX, tile.gridZ, grid.gridRadius, globalCube)
-              log(`[TILE INFO] (${global.col},${global.row}) ${def?.name || '?'} type=${tile.type} rot=${tile.rotation} level=${tile.level}`, 'color: blue')
-            }
-          }
-        }
-      }
-      return false
-    }
-
-    const hexMeshes = []
-    const meshToGrid = new Map()
-    for (const grid of hm.grids.values()) {
-      if (grid.state === HexGridState.POPULATED && grid.hexMesh) {
-        hexMeshes.push(grid.hexMesh)
-        meshToGrid.set(grid.hexMesh, grid)
-      }
+    const picked = this.pickTile()
+    if (!picked) return false
+    const { tile, global, cube } = picked
+    const def = TILE_LIST[tile.type]
+
+    if (App.instance?.paintMode) {
+      hm.queuePaintTile(cube, this.getPaintState())
+    } else if (App.instance?.lockMode) {
+      hm.queueToggleLock(cube)
+    } else if (App.instance?.buildMode) {
+      hm.queueRebuildWfc(cube, global, def, this.rebuildBrush)
+    } else {
+      // In move mode, log tile info on click
+      log(`[TILE INFO] (${global.col},${global.row}) ${def?.name || '?'} type=${tile.type} rot=${tile.rotation} level=${tile.level}`, 'color: blue')
     }
-    if (hexMeshes.length > 0) {
-      const intersects = this.raycaster.intersectObjects(hexMeshes)
-      if (intersects.length > 0) {
-        const hit = intersects[0]
-        const grid = meshToGrid.get(hit.object)
-        const batchId = hit.batchId ?? hit.instanceId
-        if (grid && batchId !== undefined) {
-          const tile = grid.hexTiles.find(t => t.instanceId === batchId)
-          if (tile) {
-            const def = TILE_LIST[tile.type]
-            const globalCube = grid.globalCenterCube ?? { q: 0, r: 0, s: 0 }
-            const global = localToGlobalCoords(tile.gridX, tile.gridZ, grid.gridRadius, globalCube)
-            const globalCubeCoords = offsetToCube(global.col, global.row)
-
-            hm.queueRebuildWfc(globalCubeCoords, global, def)
-          }
-        }
-      }
-    }
-
     return false
   }
 }
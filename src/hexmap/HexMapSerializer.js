@@ -0,0 +1,206 @@
+import { TILE_LIST } from './HexTileData.js'
+import { cubeKey, offsetToCube, globalToLocalGrid } from './HexWFCCore.js'
+import { HexGridState } from './HexGrid.js'
+import { rebuildNoiseTables } from './Decorations.js'
+import { setSeed, getSeed } from '../SeededRandom.js'
+import { encodeMapCells, decodeMapCells, toBase64Url, fromBase64Url } from './HexMapCodec.js'
+import { GUIManager } from '../GUI.js'
+import { App, log } from '../App.js'
+
+export const MAP_FORMAT = 'hex-map-wfc'
+export const MAP_VERSION = 1
+
+// Device-specific, so not carried between machines
+const SKIPPED_PARAM_SECTIONS = ['renderer']
+
+/**
+ * Snapshot the whole map as a JSON-safe document
+ * Tiles are stored by name (not TILE_LIST index) so saves survive tile list reordering.
+ * @param {HexMap} map
+ * @returns {Promise<Object>} { format, version, seed, rng, gridRadius, grids, cells, params, session, ... }
+ */
+export async function serializeMap(map) {
+  const grids = [...map.grids.values()]
+    .filter(g => g.state === HexGridState.POPULATED)
+    .map(g => `${g.gridCoords.x},${g.gridCoords.z}`)
+
+  const cells = [...map.globalCells.values()].map(c => ({
+    q: c.q, r: c.r, s: c.s,
+    type: TILE_LIST[c.type]?.name ?? c.type,
+    rotation: c.rotation,
+    level: c.level,
+    gridKey: c.gridKey,
+    ...(c.locked && { locked: true }),
+  }))
+
+  return {
+    format: MAP_FORMAT,
+    version: MAP_VERSION,
+    seed: getSeed(),
+    rng: await map.getRngState(),
+    gridRadius: map.hexGridRadius,
+    grids,
+    cells,
+    waterSideIndex: map.wfcManager.waterSideIndex,
+    rebuildCounts: [...map.rebuildCounts],
+    paintCounts: [...map.paintCounts],
+    constraints: [...map.wfcManager.cellConstraints],
+    droppedCells: [...map.droppedCells],
+    replacedCells: [...map.replacedCells],
+    params: pickKnownParams(App.instance?.params ?? map.params),
+    session: map.actionLog.toJSON(),
+  }
+}
+
+/**
+ * Replace the map with a serialized document. Grids are rebuilt from their saved cells via
+ * populateFromCubeResults — no WFC runs. GUI params are not applied here (see App.loadMap).
+ * @param {HexMap} map
+ * @param {Object} doc - From serializeMap
+ */
+export async function deserializeMap(map, doc) {
+  validateMapDoc(doc, map.hexGridRadius)
+
+  // Same seed and noise tables as the saved session, so decorations come out the same
+  setSeed(doc.seed)
+  rebuildNoiseTables()
+  await map.reset()
+
+  map._autoBuilding = true
+  map._wfcBusy = true
+  map.isRegenerating = true
+
+  const typeIndex = new Map(TILE_LIST.map((t, i) => [t.name, i]))
+  const cellsByGrid = new Map()
+  for (const c of doc.cells) {
+    const type = typeof c.type === 'number' ? c.type : typeIndex.get(c.type)
+    const cell = { q: c.q, r: c.r, s: c.s, type, rotation: c.rotation, level: c.level, gridKey: c.gridKey }
+    if (c.locked) cell.locked = true
+    map.globalCells.set(cubeKey(c.q, c.r, c.s), cell)
+    if (!cellsByGrid.has(c.gridKey)) cellsByGrid.set(c.gridKey, [])
+    cellsByGrid.get(c.gridKey).push(cell)
+  }
+  map.wfcManager.waterSideIndex = doc.waterSideIndex ?? null
+  for (const [key, count] of doc.rebuildCounts ?? []) map.rebuildCounts.set(key, count)
+  for (const [key, count] of doc.paintCounts ?? []) map.paintCounts.set(key, count)
+  for (const [key, kind] of doc.constraints ?? []) map.wfcManager.setConstraint(key, kind)
+  for (const key of doc.droppedCells ?? []) map.droppedCells.add(key)
+  for (const key of doc.replacedCells ?? []) map.replacedCells.add(key)
+
+  for (const gridKey of doc.grids) {
+    const [gx, gz] = gridKey.split(',').map(Number)
+    const grid = await map.createGrid(gx, gz)
+    await grid.populateFromCubeResults(cellsByGrid.get(gridKey) ?? [], [], grid.globalCenterCube, { animate: false })
+    grid.setHelperVisible(map.helpersVisible)
+    if (grid.outline && map.debug._outlinesVisible !== undefined) {
+      grid.outline.visible = map.debug._outlinesVisible
+    }
+  }
+  // Dropped cells get the mountains that hid their edge mismatches
+  for (const key of map.droppedCells) {
+    const [col, row] = key.split(',').map(Number)
+    const cube = offsetToCube(col, row)
+    const sourceGrid = map.grids.get(map.globalCells.get(cubeKey(cube.q, cube.r, cube.s))?.gridKey)
+    if (!sourceGrid) continue
+    const { gridX, gridZ } = globalToLocalGrid(cube, sourceGrid.globalCenterCube, sourceGrid.gridRadius)
+    const tile = sourceGrid.hexGrid[gridX]?.[gridZ]
+    if (tile) {
+      sourceGrid.decorations?.clearDecorationsAt(gridX, gridZ)
+      sourceGrid.decorations?.addMountainAt(tile, sourceGrid.gridRadius)
+    }
+  }
+
+  for (const gridKey of doc.grids) {
+    await map.createAdjacentPlaceholders(gridKey)
+  }
+  map.pruneInvalidPlaceholders()
+  map.updateAllPlaceholderTriangles()
+  map.interaction.updateLockOutlines()
+  map.interaction.updateConstraintOverlay()
+  map.isRegenerating = false
+
+  // Last, so building decorations (global-stream mode) doesn't advance the restored streams
+  map.setRngState(doc.rng)
+
+  // Keep the saved session's log so it still replays from the seed; a bare snapshot can't be replayed
+  if (doc.session) map.actionLog.restore(doc.session)
+  else map.startActionLog(doc.seed, { fromSnapshot: true })
+
+  if (map.tileLabels.visible) map.createTileLabels()
+  map._autoBuilding = false
+  map._releaseWfcLock()
+  log(`[LOAD] ${doc.grids.length} grids, ${doc.cells.length} cells (seed ${doc.seed})`, 'color: green')
+
+  const animPromises = []
+  for (const grid of map.grids.values()) {
+    if (grid.animationDone) animPromises.push(grid.animationDone)
+  }
+  map.onTilesChanged?.(Promise.all(animPromises))
+}
+
+/**
+ * Encode the map's cells, seed and ocean side as a base64url string for a shareable URL hash
+ * @param {HexMap} map
+ * @returns {string}
+ */
+export function encodeMapHash(map) {
+  return toBase64Url(encodeMapCells(map.globalCells, {
+    gridRadius: map.hexGridRadius,
+    seed: getSeed(),
+    waterSideIndex: map.wfcManager.waterSideIndex,
+  }))
+}
+
+/**
+ * Build a map document (for deserializeMap) from encodeMapHash output
+ * The hash has no RNG position or params, so generation continues from a fresh stream for its seed.
+ * @param {string} hash
+ * @param {number} gridRadius
+ * @returns {Object} Map document
+ * @throws {Error} If the hash doesn't decode (see decodeMapCells)
+ */
+export function mapDocFromHash(hash, gridRadius) {
+  const { seed, waterSideIndex, grids, cells } = decodeMapCells(fromBase64Url(hash), gridRadius)
+  return {
+    format: MAP_FORMAT,
+    version: MAP_VERSION,
+    seed,
+    rng: { main: { seed, state: null }, workers: [] },
+    gridRadius,
+    grids,
+    cells,
+    waterSideIndex,
+    params: {},
+  }
+}
+
+/** Throw if doc isn't a map document this version can load */
+export function validateMapDoc(doc, gridRadius) {
+  if (doc?.format !== MAP_FORMAT) {
+    throw new Error('Not a hex map document')
+  }
+  if (!Number.isInteger(doc.version) || doc.version > MAP_VERSION) {
+    throw new Error(`Unsupported map version ${doc.version} (expected ${MAP_VERSION} or older)`)
+  }
+  if (doc.gridRadius !== gridRadius) {
+    throw new Error(`Map grid radius ${doc.gridRadius} doesn't match ${gridRadius}`)
+  }
+  const tileNames = new Set(TILE_LIST.map(t => t.name))
+  const unknown = doc.cells.find(c => typeof c.type !== 'number' && !tileNames.has(c.type))
+  if (unknown) {
+    throw new Error(`Unknown tile type "${unknown.type}"`)
+  }
+}
+
+/** Copy of params limited to the keys in GUIManager.defaultParams */
+export function pickKnownParams(params) {
+  const picked = {}
+  for (const [section, defaults] of Object.entries(GUIManager.defaultParams)) {
+    if (SKIPPED_PARAM_SECTIONS.includes(section) || !params?.[section]) continue
+    picked[section] = {}
+    for (const key of Object.keys(defaults)) {
+      if (params[section][key] !== undefined) picked[section][key] = structuredClone(params[section][key])
+    }
+  }
+  return picked
+}
@@ -247,3 +247,12 @@ export function rotateHexEdges(edges, rotation) {
   }
   return rotated
 }
+
+/**
+ * Highest base level a tile can sit at (slopes need room for their high edges)
+ */
+export function getMaxBaseLevel(type) {
+  const def = TILE_LIST[type]
+  if (!def?.highEdges?.length) return LEVELS_COUNT - 1
+  return LEVELS_COUNT - 1 - (def.levelIncrement ?? 1)
+}
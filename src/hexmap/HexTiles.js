@@ -77,6 +77,7 @@ export class HexTile {
     this.instanceId = null
     this.color = HexTile.DEFAULT_COLOR.clone()
     this.level = 0  // Elevation level, set by height propagation
+    this.flow = null  // HexDir index a river tile drains by, set by HexMap.updateRiverFlow
   }
 
   /**
@@ -141,7 +142,7 @@ export class HexTileGeometry {
 
   // Hex dimensions (calculated from loaded meshes)
   static HEX_WIDTH = 2   // Will be updated from mesh bounds
-  static HEX_HEIGHT = 2  // Will be updated from mesh bounds
+  static HEX_HEIGHT = 2 / Math.sqrt(3) * 2  // Regular hex until updated from mesh bounds (Node has no GLB)
 
   static async init(glbPath = './assets/models/hex-roads.glb') {
     const loader = new GLTFLoader()
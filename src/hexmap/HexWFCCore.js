@@ -9,7 +9,6 @@ import {
   rotateHexEdges,
   LEVELS_COUNT,
 } from './HexTileData.js'
-import { random } from '../SeededRandom.js'
 
 // ============================================================================
 // Cube Coordinate Utilities
@@ -160,12 +159,47 @@ export function getEdgeLevel(tileType, rotation, dir, baseLevel) {
   return highEdges.has(dir) ? baseLevel + levelIncrement : baseLevel
 }
 
+/**
+ * Count set bits in a 32-bit word
+ */
+export function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555)
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333)
+  return (((n + (n >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24
+}
+
+/**
+ * Call fn(index) for every set bit in a bitset, in ascending index order
+ */
+export function forEachBit(bits, fn) {
+  for (let w = 0; w < bits.length; w++) {
+    let word = bits[w]
+    while (word !== 0) {
+      const low = word & -word
+      fn((w << 5) + 31 - Math.clz32(low))
+      word ^= low
+    }
+  }
+}
+
 /**
  * HexWFCCell - Tracks possibility space for one hex grid cell
+ * Possibilities are a bitset over HexWFCAdjacencyRules state indices (bit i = rules.states[i]).
+ * Sum of weights and sum of w·log(w) are kept in step with the bitset for Shannon entropy.
  */
 export class HexWFCCell {
-  constructor(allStates) {
-    this.possibilities = new Set(allStates.map(s => HexWFCCell.stateKey(s)))
+  /**
+   * @param {HexWFCAdjacencyRules} rules - Rules providing per-state weights
+   * @param {Uint32Array} initialBits - Starting possibilities (copied), defaults to every state
+   */
+  constructor(rules, initialBits = rules.allMask) {
+    this.weights = rules.weights
+    this.wLogW = rules.wLogW
+    this.bits = new Uint32Array(initialBits)
+    this.size = 0
+    this.sumW = 0
+    this.sumWLogW = 0
+    forEachBit(this.bits, (i) => this._count(i, 1))
     this.collapsed = false
     this.tile = null
   }
@@ -179,24 +213,82 @@ export class HexWFCCell {
     return { type, rotation, level: level ?? 0 }
   }
 
+  /**
+   * Weighted Shannon entropy: log(Σw) - Σ(w·log w) / Σw
+   */
   get entropy() {
-    if (this.collapsed) return 0
-    return Math.log(this.possibilities.size) + random() * 0.001
+    if (this.collapsed || this.sumW <= 0) return 0
+    return Math.max(0, Math.log(this.sumW) - this.sumWLogW / this.sumW)
   }
 
-  collapse(state) {
-    this.possibilities.clear()
-    this.possibilities.add(HexWFCCell.stateKey(state))
+  _count(i, sign) {
+    this.size += sign
+    this.sumW += sign * this.weights[i]
+    this.sumWLogW += sign * this.wLogW[i]
+  }
+
+  /**
+   * Collapse to a single state
+   * @param {Object} state - {type, rotation, level}
+   * @param {number} index - State index in the rules (undefined if the state is not in the rule set)
+   */
+  collapse(state, index) {
+    this.bits.fill(0)
+    this.size = 1
+    this.sumW = 0
+    this.sumWLogW = 0
+    if (index !== undefined) {
+      this.bits[index >>> 5] |= 1 << (index & 31)
+      this.sumW = this.weights[index]
+      this.sumWLogW = this.wLogW[index]
+    }
     this.collapsed = true
     this.tile = state
   }
 
-  remove(stateKey) {
-    return this.possibilities.delete(stateKey)
+  /** Clear bits from one word (removed must be a subset of the word) */
+  removeWord(w, removed) {
+    this.bits[w] ^= removed
+    let word = removed
+    while (word !== 0) {
+      const low = word & -word
+      this._count((w << 5) + 31 - Math.clz32(low), -1)
+      word ^= low
+    }
+  }
+
+  /** Set bits in one word (added must not overlap the word) */
+  addWord(w, added) {
+    this.bits[w] |= added
+    let word = added
+    while (word !== 0) {
+      const low = word & -word
+      this._count((w << 5) + 31 - Math.clz32(low), 1)
+      word ^= low
+    }
+  }
+
+  /** Copy of the possibility state, for restoring when a decision is undone */
+  snapshot() {
+    return { bits: this.bits.slice(), size: this.size, sumW: this.sumW, sumWLogW: this.sumWLogW }
+  }
+
+  restore(snap) {
+    this.bits.set(snap.bits)
+    this.size = snap.size
+    this.sumW = snap.sumW
+    this.sumWLogW = snap.sumWLogW
+  }
+
+  has(index) {
+    return (this.bits[index >>> 5] & (1 << (index & 31))) !== 0
   }
 
-  has(stateKey) {
-    return this.possibilities.has(stateKey)
+  /** Set indices as an array, in ascending order */
+  indices() {
+    const out = []
+    forEachBit(this.bits, (i) => out.push(i))
+    return out
   }
 }
 
@@ -210,6 +302,19 @@ export class HexWFCAdjacencyRules {
     this.stateEdges = new Map()
     // 3D index: edgeType → dir → level → Set<stateKey>
     this.byEdge = new Map()
+
+    // Bitset tables (state index = bit position in HexWFCCell.bits)
+    this.states = []              // index → {type, rotation, level}
+    this.stateIndex = new Map()   // stateKey → index
+    this.weights = null           // Float64Array, index → tile weight
+    this.wLogW = null             // Float64Array, index → weight · log(weight)
+    this.wordCount = 0
+    this.allMask = null           // Uint32Array with every state set
+    this.typeMasks = new Map()    // tile type → Uint32Array of its states
+    // edgeIds[index * 6 + dirIndex] → id of the (edgeType, level) pair on that edge
+    this.edgeIds = null
+    // compat[dirIndex][edgeId] → Uint32Array of neighbor states whose facing edge matches
+    this.compat = []
   }
 
   /**
@@ -266,9 +371,66 @@ export class HexWFCAdjacencyRules {
       rules.stateEdges.set(stateKey, stateEdgeInfo)
     }
 
+    rules.buildMasks(allStates)
     return rules
   }
 
+  /**
+   * Build bitset tables from the state list so propagation is word-wise AND/OR
+   * @param {Array} allStates - [{type, rotation, level}] in index order
+   */
+  buildMasks(allStates) {
+    const count = allStates.length
+    const wordCount = Math.ceil(count / 32)
+    const newMask = () => new Uint32Array(wordCount)
+    const setBit = (mask, i) => { mask[i >>> 5] |= 1 << (i & 31) }
+
+    this.states = allStates
+    this.wordCount = wordCount
+    this.weights = new Float64Array(count)
+    this.wLogW = new Float64Array(count)
+    this.allMask = newMask()
+    this.edgeIds = new Uint16Array(count * 6)
+    const edgeIdByKey = new Map()   // "edgeType_level" → edgeId
+    // byEdgeMask[dirIndex][edgeId] → states with that edge on side dirIndex
+    const byEdgeMask = HexDir.map(() => [])
+
+    allStates.forEach((state, i) => {
+      const stateKey = HexWFCCell.stateKey(state)
+      this.stateIndex.set(stateKey, i)
+      this.weights[i] = TILE_LIST[state.type]?.weight ?? 1
+      this.wLogW[i] = this.weights[i] > 0 ? this.weights[i] * Math.log(this.weights[i]) : 0
+      setBit(this.allMask, i)
+      if (!this.typeMasks.has(state.type)) this.typeMasks.set(state.type, newMask())
+      setBit(this.typeMasks.get(state.type), i)
+
+      const edgeInfo = this.stateEdges.get(stateKey)
+      HexDir.forEach((dir, d) => {
+        const { type, level } = edgeInfo[dir]
+        const edgeKey = `${type}_${level}`
+        let edgeId = edgeIdByKey.get(edgeKey)
+        if (edgeId === undefined) {
+          edgeId = edgeIdByKey.size
+          edgeIdByKey.set(edgeKey, edgeId)
+        }
+        this.edgeIds[i * 6 + d] = edgeId
+        byEdgeMask[d][edgeId] ??= newMask()
+        setBit(byEdgeMask[d][edgeId], i)
+      })
+    })
+
+    // A state's edge in dir d must meet the same (edgeType, level) on the neighbor's opposite side
+    const empty = newMask()
+    this.compat = HexDir.map((_, d) => {
+      const opposite = byEdgeMask[(d + 3) % 6]
+      const masks = []
+      for (let edgeId = 0; edgeId < edgeIdByKey.size; edgeId++) {
+        masks[edgeId] = opposite[edgeId] ?? empty
+      }
+      return masks
+    })
+  }
+
   getAllowed(stateKey, direction) {
     return this.allowed.get(stateKey)?.[direction] ?? new Set()
   }
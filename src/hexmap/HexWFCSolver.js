@@ -0,0 +1,1171 @@
+/**
+ * HexWFCSolver - cube-coordinate WFC solver with trail-based backtracking
+ * No browser dependencies: used by the WFC worker, the main-thread fallback and Node tools
+ *
+ * Usage (synchronous):
+ *   const solver = new HexWFCSolver(rules, options)
+ *   solver.initNeighborData(neighborCells)  // optional, lets the solver unfix neighbors on conflict
+ *   const tiles = solver.solve(solveCells, fixedCells, initialCollapses)
+ * Usage (in chunks): solveSteps() takes the same arguments and yields every `yieldInterval` ms,
+ *   returning the same value as solve() — the worker handles cancel messages between chunks.
+ *
+ * Inputs (global cube coords):
+ *   solveCells       [{q,r,s}] cells to solve
+ *   fixedCells       [{q,r,s,type,rotation,level}] read-only constraints from collapsed neighbors
+ *   initialCollapses [{q,r,s,type,rotation,level}] solve cells forced to a state up front
+ *   neighborCells    [{q,r,s,type,rotation,level,anchors,locked?}] fixed cells that may be unfixed
+ *                    (locked cells are skipped: they stay hard constraints)
+ *
+ * Options:
+ *   maxTries    full restarts before giving up (default 2)
+ *   tileTypes   allowed TILE_LIST indices (default all)
+ *   solveTypes  TILE_LIST indices the solve cells may take (default every type in the rules); unlike
+ *               tileTypes, fixed cells of other types keep their states, so they still constrain normally
+ *   cellFilters [{q,r,s,filter}] per-cell constraints (CellConstraints.js kinds) that prune a solve cell's
+ *               starting possibilities, including neighbor cells once they are unfixed
+ *   log         (message, color) logger (default no-op)
+ *   attemptNum  try number offset for log messages
+ *   gridId      grid label prefixed to log messages
+ *   quiet       skip per-try START/SUCCESS logs
+ *   heuristic   cell selection: 'shannon' (weighted entropy, default), 'mrv' (fewest states) or 'scanline'
+ *   backtrackMode  'backjump' (conflict-directed, default) or 'chronological' (undo the latest decision)
+ *   onProgress  ({ collapsed, undone, restart, backtracks, remaining, total }) called while solving:
+ *               collapsed = tiles collapsed since the last call, undone = [{q,r,s}] previously reported
+ *               tiles undone by backtracking, restart = a new try began (discard everything reported so far)
+ *   progressInterval  minimum ms between onProgress calls (default 100)
+ *   isCancelled  () => boolean, checked before solving and between solveSteps() chunks
+ *   yieldInterval  ms of work between solveSteps() yields (default 50)
+ *   random      () => number RNG (default the shared SeededRandom stream); solve requests take a numeric
+ *               `seed` instead, which gives the request its own stream so results don't depend on which
+ *               worker runs it or what ran before
+ *   riverFlow   solve requests only (default true): after solving, find the solved river cells with no
+ *               downhill path to the sea (RiverNetwork.js) and re-solve them river-free, with the cells
+ *               around them, up to RIVER_REPAIR_ROUNDS times. A repair is kept only if it leaves fewer
+ *               such cells
+ *   riverCells  [{q,r,s,type,rotation,level}] solved river cells around the request (its solve zone),
+ *               so the river check can follow rivers out of it
+ *   riverDeadEnds  [{q,r,s}] cells outside the map; rivers into them are dead ends. Any other cell
+ *               not given counts as open: the river may reach the sea there
+ *
+ * solve() returns [{q,r,s,type,rotation,level}] for every solve cell, or null on failure.
+ * Afterwards the solver exposes:
+ *   collapseOrder      collapsed tiles in order (drives the drop-in animation)
+ *   changedFixedCells  unfixed neighbor cells that ended up with a different tile
+ *   unfixedKeys        cubeKeys of neighbor cells converted to solve cells
+ *   neighborConflict   last conflict caused by a fixed cell, or null
+ *   lastConflict       last conflict of any kind, or null
+ *   backtracks         backtracks across all tries
+ *   skippedDecisions   decisions undone without retrying them (backjump mode)
+ *   tryCount           tries used
+ *   cancelled          true if isCancelled() stopped the solve
+ *
+ * Randomness comes from SeededRandom (or the `random` option), so output is deterministic for a given seed and input.
+ */
+
+import {
+  TILE_LIST,
+  HexDir,
+  HexOpposite,
+} from './HexTileData.js'
+import { random, createRandom } from '../SeededRandom.js'
+import { stateMatchesConstraint } from './CellConstraints.js'
+import { traceRiverFlow } from './RiverNetwork.js'
+import {
+  HexWFCCell,
+  HexWFCAdjacencyRules,
+  CUBE_DIRS,
+  cubeKey,
+  parseCubeKey,
+  cubeToOffset,
+  cubeCoordsInRadius,
+} from './HexWFCCore.js'
+
+/**
+ * Indexed binary min-heap of cell ids keyed by priority
+ * Supports in-place priority updates and removal so it can follow cells through propagation and undo
+ */
+class CellHeap {
+  constructor(capacity) {
+    this.ids = new Int32Array(capacity)
+    this.pos = new Int32Array(capacity).fill(-1)
+    this.priority = new Float64Array(capacity)
+    this.length = 0
+  }
+
+  peek() {
+    return this.length > 0 ? this.ids[0] : -1
+  }
+
+  /** Insert id, or move it to its new place if already queued */
+  set(id, priority) {
+    const old = this.priority[id]
+    this.priority[id] = priority
+    if (this.pos[id] === -1) {
+      this.ids[this.length] = id
+      this.pos[id] = this.length++
+      this._up(this.pos[id])
+    } else if (priority < old) {
+      this._up(this.pos[id])
+    } else {
+      this._down(this.pos[id])
+    }
+  }
+
+  remove(id) {
+    const i = this.pos[id]
+    if (i === -1) return
+    const last = this.ids[--this.length]
+    this.pos[id] = -1
+    if (i === this.length) return
+    this.ids[i] = last
+    this.pos[last] = i
+    this._up(i)
+    this._down(this.pos[last])
+  }
+
+  _up(i) {
+    const { ids, pos, priority } = this
+    const id = ids[i]
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (priority[ids[parent]] <= priority[id]) break
+      ids[i] = ids[parent]
+      pos[ids[i]] = i
+      i = parent
+    }
+    ids[i] = id
+    pos[id] = i
+  }
+
+  _down(i) {
+    const { ids, pos, priority } = this
+    const id = ids[i]
+    while (true) {
+      let child = 2 * i + 1
+      if (child >= this.length) break
+      if (child + 1 < this.length && priority[ids[child + 1]] < priority[ids[child]]) child++
+      if (priority[ids[child]] >= priority[id]) break
+      ids[i] = ids[child]
+      pos[ids[i]] = i
+      i = child
+    }
+    ids[i] = id
+    pos[id] = i
+  }
+}
+
+/** Cell selection heuristics for the `heuristic` solver option */
+export const WFC_HEURISTICS = ['shannon', 'mrv', 'scanline']
+
+/** Values for the `backtrackMode` solver option */
+export const WFC_BACKTRACK_MODES = ['backjump', 'chronological']
+
+export class HexWFCSolver {
+  constructor(rules, options = {}) {
+    this.rules = rules
+    this.options = {
+      maxTries: options.maxTries ?? 2,
+      tileTypes: options.tileTypes ?? null,
+      solveTypes: options.solveTypes ?? null,
+      cellFilters: options.cellFilters ?? [],
+      log: options.log ?? (() => {}),
+      attemptNum: options.attemptNum ?? 0,
+      gridId: options.gridId ?? '',
+      quiet: options.quiet ?? false,
+      heuristic: options.heuristic ?? 'shannon',
+      backtrackMode: options.backtrackMode ?? 'backjump',
+      onProgress: options.onProgress ?? null,
+      progressInterval: options.progressInterval ?? 100,
+      isCancelled: options.isCancelled ?? null,
+      yieldInterval: options.yieldInterval ?? 50,
+    }
+    this.log = this.options.log
+    this.random = options.random ?? random
+    // Map<cubeKey, HexWFCCell> — cells to solve
+    this.cells = new Map()
+    // Cell selection: heap of uncollapsed cells ordered by the heuristic's priority
+    this.cellKeys = []           // cell id → cubeKey
+    this.cellPriorityBias = null // Float64Array, cell id → tie-break noise or scanline rank
+    this.heap = null
+    // Map<cubeKey, {type, rotation, level}> — collapsed neighbors (read-only constraints)
+    this.fixedCells = new Map()
+    // Map<cubeKey, [{key, dir, returnDir}]> — precomputed neighbors
+    this.neighbors = new Map()
+    this.propagationStack = []
+    this.tryCount = 0
+    this.lastConflict = null
+    this.neighborConflict = null
+    this.collapseOrder = []
+    // Backtracking state (trail-based — records only changes, not full copies)
+    this.trail = []       // { key, word, removed, level } — bits removed from one bitset word, and the decision index active at the time
+    this.decisions = []   // stack of { targetKey, prevPossibilities, trailStart, collapseOrderLen, triedStates, conflictSet }
+    this.maxBacktracks = 500
+    this.backtracks = 0
+    // Backjumping: set when backtrack() leaves a decision on the stack to be retried with another state
+    this.resumeDecision = false
+    this.skippedDecisions = 0
+    // Progress reporting: collapseOrder entries already reported, and reported tiles since undone
+    this.progressSent = 0
+    this.progressUndone = []
+    this.progressRestart = true
+    this.progressBacktracks = 0  // backtracks from earlier tries
+    this.lastProgressTime = 0
+    this.cancelled = false
+    // Neighbor cell data: cells that CAN be unfixed on neighbor conflict
+    this.neighborData = new Map()     // cubeKey → { q,r,s, anchors: [...], original: {type,rotation,level} }
+    this.neighborOriginals = new Map() // cubeKey → { q,r,s, type, rotation, level } — preserved after unfixing
+    this.unfixedKeys = []              // cubeKeys of neighbor cells that were converted to solve cells
+    this.changedFixedCells = []        // neighbor cells that ended up with different tiles
+    this.filterMasks = new Map()       // constraint kind → Uint32Array of the states it allows
+  }
+
+  init(solveCells, fixedCells) {
+    this.collapseOrder = []
+    const types = this.options.tileTypes ?? TILE_LIST.map((_, i) => i)
+
+    // Create solve cells with full possibility space (limited to solveTypes if given)
+    const initialBits = this.getSolveMask()
+    this.cells = new Map()
+    this.cellKeys = []
+    for (const { q, r, s } of solveCells) {
+      const key = cubeKey(q, r, s)
+      if (this.cells.has(key)) continue
+      const cell = new HexWFCCell(this.rules, initialBits)
+      cell.id = this.cellKeys.length
+      this.cellKeys.push(key)
+      this.cells.set(key, cell)
+    }
+
+    // Prune constrained cells to the states their filter allows (before the heap reads their entropy)
+    for (const { q, r, s, filter } of this.options.cellFilters) {
+      const cell = this.cells.get(cubeKey(q, r, s))
+      if (!cell) continue
+      const mask = this.getFilterMask(filter)
+      for (let w = 0; w < mask.length; w++) {
+        const removed = cell.bits[w] & ~mask[w]
+        if (removed) cell.removeWord(w, removed)
+      }
+    }
+    this.initHeap()
+
+    // Store fixed cells
+    this.fixedCells = new Map()
+    for (const fc of fixedCells) {
+      const key = cubeKey(fc.q, fc.r, fc.s)
+      const index = this.rules.stateIndex.get(HexWFCCell.stateKey(fc))
+      this.fixedCells.set(key, { type: fc.type, rotation: fc.rotation, level: fc.level, index })
+    }
+
+    // Precompute neighbors for all solve cells
+    this.neighbors = new Map()
+    for (const { q, r, s } of solveCells) {
+      const key = cubeKey(q, r, s)
+      const nbrs = []
+      for (let i = 0; i < 6; i++) {
+        const dir = CUBE_DIRS[i]
+        const nq = q + dir.dq
+        const nr = r + dir.dr
+        const ns = s + dir.ds
+        const nKey = cubeKey(nq, nr, ns)
+        // Neighbor can be in cells (constrainable) or fixedCells (read-only) or absent (open)
+        if (this.cells.has(nKey) || this.fixedCells.has(nKey)) {
+          nbrs.push({ key: nKey, dir: HexDir[i], dirIndex: i, returnDir: HexOpposite[HexDir[i]] })
+        }
+      }
+      this.neighbors.set(key, nbrs)
+    }
+
+    // Also build neighbor entries for fixed cells (pointing to solve cells only)
+    // so propagation FROM fixed cells can constrain adjacent solve cells
+    for (const fc of fixedCells) {
+      const key = cubeKey(fc.q, fc.r, fc.s)
+      const nbrs = []
+      for (let i = 0; i < 6; i++) {
+        const dir = CUBE_DIRS[i]
+        const nq = fc.q + dir.dq
+        const nr = fc.r + dir.dr
+        const ns = fc.s + dir.ds
+        const nKey = cubeKey(nq, nr, ns)
+        if (this.cells.has(nKey)) {
+          nbrs.push({ key: nKey, dir: HexDir[i], dirIndex: i, returnDir: HexOpposite[HexDir[i]] })
+        }
+      }
+      this.neighbors.set(key, nbrs)
+    }
+
+    this.propagationStack = []
+
+    // Precompute set of tile types that prevent self-adjacency
+    this.noChainTypes = new Set()
+    for (const type of types) {
+      if (TILE_LIST[type]?.preventChaining) {
+        this.noChainTypes.add(type)
+      }
+    }
+
+    // Prune chaining from fixed cells into adjacent solve cells
+    for (const fc of fixedCells) {
+      if (this.noChainTypes.has(fc.type)) {
+        const key = cubeKey(fc.q, fc.r, fc.s)
+        this._pruneChaining(key, fc.type)
+      }
+    }
+  }
+
+  /** Starting possibilities of a solve cell: every state, or the states of options.solveTypes */
+  getSolveMask() {
+    const { solveTypes } = this.options
+    if (!solveTypes) return this.rules.allMask
+    const mask = new Uint32Array(this.rules.wordCount)
+    for (const type of solveTypes) {
+      const typeMask = this.rules.typeMasks.get(type)
+      if (!typeMask) continue
+      for (let w = 0; w < mask.length; w++) mask[w] |= typeMask[w]
+    }
+    return mask
+  }
+
+  /** States a cell filter allows (see CellConstraints.js), built once per kind */
+  getFilterMask(kind) {
+    let mask = this.filterMasks.get(kind)
+    if (!mask) {
+      mask = new Uint32Array(this.rules.wordCount)
+      this.rules.states.forEach((state, i) => {
+        if (stateMatchesConstraint(kind, state)) mask[i >>> 5] |= 1 << (i & 31)
+      })
+      this.filterMasks.set(kind, mask)
+    }
+    return mask
+  }
+
+  /**
+   * Build the selection heap for the current cells
+   * shannon — weighted Shannon entropy, tiny random tie-break
+   * mrv — fewest remaining states, tiny random tie-break
+   * scanline — row by row (r, then q), ignoring entropy
+   */
+  initHeap() {
+    const count = this.cellKeys.length
+    this.heap = new CellHeap(count)
+    this.cellPriorityBias = new Float64Array(count)
+    if (this.options.heuristic === 'scanline') {
+      const order = this.cellKeys.map((key, id) => ({ id, ...parseCubeKey(key) }))
+      order.sort((a, b) => a.r - b.r || a.q - b.q)
+      order.forEach(({ id }, rank) => { this.cellPriorityBias[id] = rank })
+    } else {
+      for (let id = 0; id < count; id++) this.cellPriorityBias[id] = this.random() * 0.001
+    }
+    for (const cell of this.cells.values()) this.updateCellPriority(cell)
+  }
+
+  /**
+   * Re-key a cell in the heap after its possibilities changed (drops collapsed/empty cells)
+   */
+  updateCellPriority(cell) {
+    if (cell.collapsed || cell.size === 0) {
+      this.heap.remove(cell.id)
+      return
+    }
+    const bias = this.cellPriorityBias[cell.id]
+    switch (this.options.heuristic) {
+      case 'scanline': this.heap.set(cell.id, bias); break
+      case 'mrv': this.heap.set(cell.id, cell.size + bias); break
+      default: this.heap.set(cell.id, cell.entropy + bias)
+    }
+  }
+
+  findLowestEntropyCell() {
+    const id = this.heap.peek()
+    return id === -1 ? null : this.cellKeys[id]
+  }
+
+  collapse(key) {
+    const cell = this.cells.get(key)
+    if (!cell || cell.collapsed || cell.size === 0) return false
+
+    const index = this._pickWeighted(cell.indices())
+    this._collapseTo(key, cell, index)
+    return true
+  }
+
+  /**
+   * Weighted random pick from a list of state indices
+   */
+  _pickWeighted(indices) {
+    const weights = this.rules.weights
+    let totalWeight = 0
+    for (const i of indices) totalWeight += weights[i]
+    let r = this.random() * totalWeight
+    for (const i of indices) {
+      r -= weights[i]
+      if (r <= 0) return i
+    }
+    return indices[0]
+  }
+
+  /**
+   * Collapse a cell to a state index, queue propagation and record collapse order
+   */
+  _collapseTo(key, cell, index) {
+    const state = this.rules.states[index]
+    cell.collapse(state, index)
+    cell.decisionIndex = this.decisions.length - 1
+    this.heap.remove(cell.id)
+    this.propagationStack.push(key)
+    const { q, r, s } = parseCubeKey(key)
+    this.collapseOrder.push({ q, r, s, type: state.type, rotation: state.rotation, level: state.level })
+
+    // Prevent chaining: remove same tile type from all neighbors
+    if (this.noChainTypes.has(state.type)) {
+      this._pruneChaining(key, state.type)
+    }
+  }
+
+  /**
+   * Remove all states of the given tile type from neighbors of key
+   */
+  _pruneChaining(key, type) {
+    const nbrs = this.neighbors.get(key)
+    if (!nbrs) return
+    const typeMask = this.rules.typeMasks.get(type)
+    if (!typeMask) return
+    for (const { key: nKey } of nbrs) {
+      const neighbor = this.cells.get(nKey)
+      if (!neighbor || neighbor.collapsed) continue
+      const bits = neighbor.bits
+      for (let w = 0; w < bits.length; w++) {
+        const removed = bits[w] & typeMask[w]
+        if (removed !== 0) neighbor.removeWord(w, removed)
+      }
+      this.updateCellPriority(neighbor)
+      if (neighbor.size > 0) {
+        this.propagationStack.push(nKey)
+      }
+    }
+  }
+
+  saveDecision(targetKey) {
+    const cell = this.cells.get(targetKey)
+    this.decisions.push({
+      targetKey,
+      prevPossibilities: cell.snapshot(),
+      trailStart: this.trail.length,
+      collapseOrderLen: this.collapseOrder.length,
+      triedStates: new Set(),
+      // Earlier decision indices blamed for this decision's failures (backjump mode)
+      conflictSet: new Set(),
+    })
+  }
+
+  undoLastDecision() {
+    const decision = this.decisions[this.decisions.length - 1]
+    if (!decision) return null
+
+    // Undo propagation: re-add all removed possibilities
+    for (let i = this.trail.length - 1; i >= decision.trailStart; i--) {
+      const { key, word, removed } = this.trail[i]
+      const cell = this.cells.get(key)
+      cell.addWord(word, removed)
+      this.updateCellPriority(cell)
+    }
+    this.trail.length = decision.trailStart
+
+    // Restore the collapsed cell
+    const cell = this.cells.get(decision.targetKey)
+    cell.restore(decision.prevPossibilities)
+    cell.collapsed = false
+    cell.tile = null
+    this.updateCellPriority(cell)
+
+    // Restore collapseOrder (tiles already reported as progress are reported as undone)
+    for (let i = decision.collapseOrderLen; i < this.progressSent; i++) {
+      const { q, r, s } = this.collapseOrder[i]
+      this.progressUndone.push({ q, r, s })
+    }
+    this.progressSent = Math.min(this.progressSent, decision.collapseOrderLen)
+    this.collapseOrder.length = decision.collapseOrderLen
+    this.propagationStack = []
+    return decision
+  }
+
+  collapseWithExclusions(key, excludeSet) {
+    const cell = this.cells.get(key)
+    const available = cell.indices().filter(i => !excludeSet.has(i))
+    if (available.length === 0) return false
+
+    const index = this._pickWeighted(available)
+    excludeSet.add(index)
+    this._collapseTo(key, cell, index)
+    return true
+  }
+
+  backtrack(conflictKey = null) {
+    this.backtracks++
+    if (this.backtracks >= this.maxBacktracks) {
+      if (!this.options.quiet) this.log(`${this.options.gridId ? `[${this.options.gridId}] ` : ''}WFC FAIL [backtrack limit reached]`, 'red')
+      return false
+    }
+
+    if (this.options.backtrackMode === 'backjump') return this.backjump(conflictKey)
+
+    const decision = this.undoLastDecision()
+    if (!decision) return false
+
+    const cell = this.cells.get(decision.targetKey)
+    const available = cell.indices().filter(i => !decision.triedStates.has(i))
+
+    if (available.length === 0) {
+      // All states exhausted for this cell — pop and backtrack further
+      this.decisions.pop()
+      return this.backtrack()
+    }
+
+    return true
+  }
+
+  /**
+   * Conflict-directed backjumping: blame the decisions that emptied the failed cell, and once a
+   * decision has no states left, jump straight to the most recent decision it blames.
+   * Decisions in between are undone without being retried (counted in skippedDecisions).
+   * @param {string|null} conflictKey - cubeKey of the cell that reached 0 possibilities
+   * @returns {boolean} true if a decision is ready to be retried with another state
+   */
+  backjump(conflictKey) {
+    let level = this.decisions.length - 1
+    if (level < 0) return false
+    let decision = this.decisions[level]
+
+    if (conflictKey) {
+      for (const blamed of this.getConflictLevels(conflictKey)) {
+        if (blamed < level) decision.conflictSet.add(blamed)
+      }
+    }
+
+    while (true) {
+      this.undoLastDecision()
+      const cell = this.cells.get(decision.targetKey)
+      if (cell.indices().some(i => !decision.triedStates.has(i))) {
+        this.resumeDecision = true
+        return true
+      }
+
+      // Exhausted — jump to the latest blamed decision, skipping everything after it
+      this.decisions.pop()
+      const conflictSet = decision.conflictSet
+      const target = conflictSet.size > 0 ? Math.max(...conflictSet) : -1
+      while (this.decisions.length - 1 > target) {
+        this.undoLastDecision()
+        this.decisions.pop()
+        this.skippedDecisions++
+      }
+      if (target < 0) return false
+
+      level = target
+      decision = this.decisions[level]
+      for (const blamed of conflictSet) {
+        if (blamed < level) decision.conflictSet.add(blamed)
+      }
+    }
+  }
+
+  /**
+   * Decision indices that explain why a cell ran out of states: decisions whose propagation
+   * removed states from it or from its uncollapsed neighbors, and decisions that collapsed its
+   * neighbors (this also covers chaining pruning, which is not on the trail)
+   */
+  getConflictLevels(key) {
+    const levels = new Set()
+    const keys = new Set([key])
+    for (const { key: nKey } of this.neighbors.get(key) ?? []) {
+      const neighbor = this.cells.get(nKey)
+      if (!neighbor) continue
+      if (neighbor.collapsed) {
+        if (neighbor.decisionIndex >= 0) levels.add(neighbor.decisionIndex)
+      } else {
+        keys.add(nKey)
+      }
+    }
+    for (const entry of this.trail) {
+      if (entry.level >= 0 && keys.has(entry.key)) levels.add(entry.level)
+    }
+    return levels
+  }
+
+  /**
+   * Get edge info for a given state at a given direction.
+   * Works for both solve cells (by stateKey) and fixed cells (by stored data).
+   */
+  getFixedCellEdge(key, dir) {
+    const fc = this.fixedCells.get(key)
+    if (!fc) return null
+    const stateKey = HexWFCCell.stateKey(fc)
+    const edgeInfo = this.rules.stateEdges.get(stateKey)?.[dir]
+    return edgeInfo
+  }
+
+  propagate() {
+    const { edgeIds, compat, wordCount } = this.rules
+    const allowed = new Uint32Array(wordCount)
+    // Per-edge "already OR'd" stamps so each (edgeType, level) mask is applied once per neighbor
+    const edgeSeen = new Uint32Array(compat[0].length)
+    let stamp = 0
+
+    while (this.propagationStack.length > 0) {
+      const key = this.propagationStack.pop()
+
+      // Determine if this is a solve cell or fixed cell
+      const cell = this.cells.get(key)
+      let sourceIndices
+
+      if (!cell) {
+        // Fixed cell: a single state (no states if it is outside the rule set)
+        const fc = this.fixedCells.get(key)
+        if (!fc) continue
+        sourceIndices = fc.index === undefined ? [] : [fc.index]
+      } else {
+        sourceIndices = cell.indices()
+      }
+
+      const nbrs = this.neighbors.get(key)
+      if (!nbrs) continue
+
+      for (const { key: nKey, dir, dirIndex } of nbrs) {
+        const neighbor = this.cells.get(nKey)
+        // Only constrain solve cells (never modify fixed cells)
+        if (!neighbor || neighbor.collapsed) continue
+
+        // Union of neighbor states compatible with any source state
+        allowed.fill(0)
+        stamp++
+        const dirMasks = compat[dirIndex]
+        for (const i of sourceIndices) {
+          const edgeId = edgeIds[i * 6 + dirIndex]
+          if (edgeSeen[edgeId] === stamp) continue
+          edgeSeen[edgeId] = stamp
+          const mask = dirMasks[edgeId]
+          for (let w = 0; w < wordCount; w++) allowed[w] |= mask[w]
+        }
+
+        let changed = false
+        const bits = neighbor.bits
+        for (let w = 0; w < wordCount; w++) {
+          const removed = bits[w] & ~allowed[w]
+          if (removed !== 0) {
+            neighbor.removeWord(w, removed)
+            this.trail.push({ key: nKey, word: w, removed, level: this.decisions.length - 1 })
+            changed = true
+          }
+        }
+        if (changed) this.updateCellPriority(neighbor)
+
+        if (neighbor.size === 0) {
+          const { q, r, s } = parseCubeKey(nKey)
+          const failedOffset = cubeToOffset(q, r, s)
+          this.lastConflict = {
+            failedKey: nKey,
+            failedQ: q, failedR: r, failedS: s,
+            failedCol: failedOffset.col, failedRow: failedOffset.row,
+            sourceKey: key,
+            dir,
+          }
+          return false
+        }
+
+        if (changed) {
+          this.propagationStack.push(nKey)
+        }
+      }
+    }
+    return true
+  }
+
+  /**
+   * Store neighbor cell data for the solver (locked cells are left out, so they're never unfixed)
+   * @param {Array} neighborCells - [{q,r,s,type,rotation,level, locked?, anchors:[{q,r,s,type,rotation,level}]}]
+   */
+  initNeighborData(neighborCells) {
+    this.neighborData = new Map()
+    this.neighborOriginals = new Map()
+    this.unfixedKeys = []
+    this.changedFixedCells = []
+    if (!neighborCells) return
+    for (const sfc of neighborCells) {
+      if (sfc.locked) continue
+      const key = cubeKey(sfc.q, sfc.r, sfc.s)
+      this.neighborData.set(key, {
+        q: sfc.q, r: sfc.r, s: sfc.s,
+        original: { type: sfc.type, rotation: sfc.rotation, level: sfc.level },
+        anchors: sfc.anchors || [],
+      })
+      this.neighborOriginals.set(key, {
+        q: sfc.q, r: sfc.r, s: sfc.s,
+        type: sfc.type, rotation: sfc.rotation, level: sfc.level,
+      })
+    }
+  }
+
+  /**
+   * Find neighbor cells adjacent to a conflict cell
+   * @param {string} failedKey - cubeKey of the cell that reached 0 possibilities
+   * @param {string} sourceKey - cubeKey of the cell that caused the conflict
+   * @returns {string[]} cubeKeys of adjacent neighbor cells
+   */
+  findAdjacentNeighbors(failedKey, sourceKey) {
+    const candidates = []
+    // Check if the source of the conflict was a fixed cell
+    if (sourceKey && this.fixedCells.has(sourceKey) && this.neighborData.has(sourceKey)) {
+      candidates.push(sourceKey)
+    }
+    // Also check all fixed neighbors of the failed cell
+    const { q, r, s } = parseCubeKey(failedKey)
+    for (let i = 0; i < 6; i++) {
+      const dir = CUBE_DIRS[i]
+      const nKey = cubeKey(q + dir.dq, r + dir.dr, s + dir.ds)
+      if (nKey !== sourceKey && this.fixedCells.has(nKey) && this.neighborData.has(nKey)) {
+        candidates.push(nKey)
+      }
+    }
+    return candidates
+  }
+
+  /**
+   * Unfix a neighbor cell: remove from fixedCells, add as a solve cell
+   * Its anchors become new fixed cells to maintain compatibility with the original grid.
+   * @param {string} key - cubeKey of the neighbor cell to unfix
+   * @param {Array} solveCells - mutable array of solve cells to add to
+   * @param {Array} fixedCells - mutable array of fixed cells to modify
+   */
+  unfixNeighbor(key, solveCells, fixedCells) {
+    const softData = this.neighborData.get(key)
+    if (!softData) return
+
+    const { q, r, s } = parseCubeKey(key)
+
+    // Remove from fixed cells array
+    const fixedIdx = fixedCells.findIndex(fc => cubeKey(fc.q, fc.r, fc.s) === key)
+    if (fixedIdx !== -1) fixedCells.splice(fixedIdx, 1)
+
+    // Add to solve cells (if not already there)
+    const alreadySolve = solveCells.some(c => cubeKey(c.q, c.r, c.s) === key)
+    if (!alreadySolve) solveCells.push({ q, r, s })
+
+    // Add anchors as new fixed cells (if not already fixed or solve)
+    for (const anchor of softData.anchors) {
+      const aKey = cubeKey(anchor.q, anchor.r, anchor.s)
+      const alreadyFixed = fixedCells.some(fc => cubeKey(fc.q, fc.r, fc.s) === aKey)
+      const alreadySolveCell = solveCells.some(c => cubeKey(c.q, c.r, c.s) === aKey)
+      if (!alreadyFixed && !alreadySolveCell) {
+        fixedCells.push({
+          q: anchor.q, r: anchor.r, s: anchor.s,
+          type: anchor.type, rotation: anchor.rotation, level: anchor.level
+        })
+      }
+    }
+
+    // Remove from neighborData so it won't be unfixed again
+    this.neighborData.delete(key)
+    this.unfixedKeys.push(key)
+  }
+
+  /** Forget reported progress — the next report tells the listener to start over */
+  resetProgress() {
+    this.progressSent = 0
+    this.progressUndone = []
+    this.progressRestart = true
+  }
+
+  /**
+   * Report tiles collapsed since the last report via options.onProgress, at most once per progressInterval
+   */
+  reportProgress() {
+    const { onProgress, progressInterval } = this.options
+    if (!onProgress) return
+    const now = performance.now()
+    if (now - this.lastProgressTime < progressInterval) return
+    this.lastProgressTime = now
+
+    onProgress({
+      collapsed: this.collapseOrder.slice(this.progressSent),
+      undone: this.progressUndone,
+      restart: this.progressRestart,
+      backtracks: this.progressBacktracks + this.backtracks,
+      remaining: this.cells.size - this.collapseOrder.length,
+      total: this.cells.size,
+    })
+    this.progressSent = this.collapseOrder.length
+    this.progressUndone = []
+    this.progressRestart = false
+  }
+
+  /** True (and logged) once options.isCancelled reports the request was cancelled */
+  checkCancelled() {
+    if (!this.cancelled && this.options.isCancelled?.()) {
+      this.cancelled = true
+      if (!this.options.quiet) this.log(`${this.options.gridId ? `[${this.options.gridId}] ` : ''}WFC CANCELLED`, 'gray')
+    }
+    return this.cancelled
+  }
+
+  solve(solveCells, fixedCells, initialCollapses = []) {
+    const steps = this.solveSteps(solveCells, fixedCells, initialCollapses)
+    let step = steps.next()
+    while (!step.done) step = steps.next()
+    return step.value
+  }
+
+  *solveSteps(solveCells, fixedCells, initialCollapses = []) {
+    if (this.checkCancelled()) return null
+
+    // Work with mutable copies so unfixing can modify them
+    let currentSolveCells = [...solveCells]
+    let currentFixedCells = [...fixedCells]
+
+    let totalBacktracks = 0
+    let totalSkipped = 0
+    let lastYield = performance.now()
+    for (let attempt = 1; attempt <= this.options.maxTries; attempt++) {
+      const baseAttempt = this.options.attemptNum || 0
+      const tryNum = baseAttempt + attempt - 1
+      if (!this.options.quiet) {
+        const prefix = this.options.gridId ? `[${this.options.gridId}] ` : ''
+        this.log(`${prefix}WFC START [try ${tryNum}]`, 'green')
+      }
+
+      this.init(currentSolveCells, currentFixedCells)
+      this.trail = []
+      this.decisions = []
+      this.backtracks = 0
+      this.skippedDecisions = 0
+      this.resumeDecision = false
+      this.progressBacktracks = totalBacktracks
+      this.resetProgress()
+
+      // Apply initial collapses (e.g. center grass, water edge for first grid)
+      for (const ic of initialCollapses) {
+        const key = cubeKey(ic.q, ic.r, ic.s)
+        const cell = this.cells.get(key)
+        if (cell && !cell.collapsed) {
+          const state = { type: ic.type, rotation: ic.rotation ?? 0, level: ic.level ?? 0 }
+          cell.collapse(state, this.rules.stateIndex.get(HexWFCCell.stateKey(state)))
+          cell.decisionIndex = -1
+          this.heap.remove(cell.id)
+          this.collapseOrder.push({ q: ic.q, r: ic.r, s: ic.s, type: state.type, rotation: state.rotation, level: state.level })
+          this.propagationStack.push(key)
+        }
+      }
+
+      // Propagate from fixed cells into adjacent solve cells
+      for (const fc of currentFixedCells) {
+        const key = cubeKey(fc.q, fc.r, fc.s)
+        this.propagationStack.push(key)
+      }
+
+      // Neighbor propagation with neighbor cell unfixing loop
+      let neighborSeedingOk = true
+      if (currentFixedCells.length > 0 || initialCollapses.length > 0) {
+        neighborSeedingOk = this.propagate()
+
+        // On neighbor failure, try unfixing neighbor cells
+        let maxUnfixes = this.neighborData.size
+        const unfixedBefore = this.unfixedKeys.length
+        while (!neighborSeedingOk && maxUnfixes > 0) {
+          maxUnfixes--
+          const conflict = this.lastConflict
+          if (!conflict) break
+
+          // Find neighbor cells adjacent to the conflict
+          const softCandidates = this.findAdjacentNeighbors(conflict.failedKey, conflict.sourceKey)
+          if (softCandidates.length === 0) break
+
+          // Unfix the first candidate
+          this.unfixNeighbor(softCandidates[0], currentSolveCells, currentFixedCells)
+
+          // Full re-init with updated solve/fixed cells
+          this.init(currentSolveCells, currentFixedCells)
+          this.trail = []
+          this.decisions = []
+          this.backtracks = 0
+          this.collapseOrder = []
+          this.resetProgress()
+
+          // Re-apply initial collapses
+          for (const ic of initialCollapses) {
+            const key = cubeKey(ic.q, ic.r, ic.s)
+            const cell = this.cells.get(key)
+            if (cell && !cell.collapsed) {
+              const state = { type: ic.type, rotation: ic.rotation ?? 0, level: ic.level ?? 0 }
+              cell.collapse(state, this.rules.stateIndex.get(HexWFCCell.stateKey(state)))
+              cell.decisionIndex = -1
+              this.heap.remove(cell.id)
+              this.collapseOrder.push({ q: ic.q, r: ic.r, s: ic.s, type: state.type, rotation: state.rotation, level: state.level })
+              this.propagationStack.push(key)
+            }
+          }
+
+          // Re-seed from fixed cells
+          for (const fc of currentFixedCells) {
+            const key = cubeKey(fc.q, fc.r, fc.s)
+            this.propagationStack.push(key)
+          }
+
+          neighborSeedingOk = this.propagate()
+        }
+        const unfixedCount = this.unfixedKeys.length - unfixedBefore
+        if (unfixedCount > 0) {
+          this.log(`Unfixed ${unfixedCount} neighbor(s)`)
+        }
+      }
+
+      if (!neighborSeedingOk) {
+        this.neighborConflict = this.lastConflict
+        if (!this.options.quiet) {
+          const c = this.lastConflict
+          const loc = c ? ` at (${c.failedCol},${c.failedRow})` : ''
+          const prefix = this.options.gridId ? `[${this.options.gridId}] ` : ''
+          this.log(`${prefix}WFC FAIL [neighbor conflict${loc}]`, 'red')
+        }
+        return null
+      }
+
+      // Main solve loop with backtracking
+      let solved = false
+      let failed = false
+
+      while (true) {
+        let targetKey
+        if (this.resumeDecision) {
+          // Backjump left an undone decision on the stack — retry it with its next state
+          this.resumeDecision = false
+          targetKey = this.decisions[this.decisions.length - 1].targetKey
+        } else {
+          targetKey = this.findLowestEntropyCell()
+
+          if (!targetKey) {
+            solved = true
+            break
+          }
+
+          // Record decision point before collapsing
+          this.saveDecision(targetKey)
+        }
+        const decision = this.decisions[this.decisions.length - 1]
+
+        // Collapse with weighted random selection (excluding tried states)
+        if (!this.collapseWithExclusions(targetKey, decision.triedStates)) {
+          // No untried states left for this cell — backtrack further
+          if (!this.backtrack()) { failed = true; break }
+          continue
+        }
+
+        if (!this.propagate()) {
+          // Conflict — backtrack
+          if (!this.backtrack(this.lastConflict?.failedKey)) { failed = true; break }
+        }
+
+        this.reportProgress()
+
+        // Give an async driver a chance to handle messages, then stop if the request was cancelled
+        if (performance.now() - lastYield >= this.options.yieldInterval) {
+          yield
+          lastYield = performance.now()
+          if (this.checkCancelled()) {
+            this.tryCount = attempt
+            this.backtracks += totalBacktracks
+            this.skippedDecisions += totalSkipped
+            return null
+          }
+        }
+      }
+
+      totalBacktracks += this.backtracks
+      totalSkipped += this.skippedDecisions
+      if (solved) {
+        this.tryCount = attempt
+        this.backtracks = totalBacktracks
+        this.skippedDecisions = totalSkipped
+        return this.extractResult()
+      }
+
+      // Backtrack limit reached — full restart
+      this.tryCount = attempt
+    }
+
+    this.backtracks = totalBacktracks
+    this.skippedDecisions = totalSkipped
+    return null
+  }
+
+  extractResult() {
+    const result = []
+    for (const [key, cell] of this.cells) {
+      if (cell.tile) {
+        const { q, r, s } = parseCubeKey(key)
+        result.push({
+          q, r, s,
+          type: cell.tile.type,
+          rotation: cell.tile.rotation,
+          level: cell.tile.level,
+        })
+      }
+    }
+
+    // Check which unfixed neighbor cells ended up with different tiles
+    this.changedFixedCells = []
+    for (const unfixedKey of this.unfixedKeys) {
+      const cell = this.cells.get(unfixedKey)
+      if (!cell?.tile) continue
+
+      const original = this.neighborOriginals.get(unfixedKey)
+      if (!original) continue
+
+      if (cell.tile.type !== original.type ||
+          cell.tile.rotation !== original.rotation ||
+          cell.tile.level !== original.level) {
+        this.changedFixedCells.push({
+          q: original.q, r: original.r, s: original.s,
+          type: cell.tile.type,
+          rotation: cell.tile.rotation,
+          level: cell.tile.level,
+        })
+      }
+    }
+
+    return result
+  }
+}
+
+// River repair rounds per request (see the riverFlow option); round n re-solves n cells around each bad river cell
+const RIVER_REPAIR_ROUNDS = 3
+
+/** Create a solver for a solve request, with neighbor cell data initialized */
+function createRequestSolver(options, log) {
+  const tileTypes = options?.tileTypes ?? null
+  const rules = HexWFCAdjacencyRules.fromTileDefinitions(tileTypes)
+
+  // A seeded request gets its own RNG stream instead of the worker's shared one
+  const seeded = options?.seed !== null && options?.seed !== undefined
+  const solver = new HexWFCSolver(rules, { ...options, log, random: seeded ? createRandom(options.seed) : undefined })
+
+  // Initialize neighbor cell data before solving
+  solver.initNeighborData(options?.neighborCells)
+  return solver
+}
+
+/** Build the result payload posted back to the main thread */
+function buildRequestResult(solver, result) {
+  return {
+    success: result !== null,
+    tiles: result,
+    collapseOrder: solver.collapseOrder || [],
+    neighborConflict: solver.neighborConflict,
+    lastConflict: solver.lastConflict,
+    changedFixedCells: solver.changedFixedCells || [],
+    unfixedKeys: solver.unfixedKeys || [],
+    backtracks: solver.backtracks || 0,
+    skippedDecisions: solver.skippedDecisions || 0,
+    tries: solver.tryCount || 0,
+    cancelled: solver.cancelled,
+  }
+}
+
+/** Solved cells on a river with no downhill path to an outlet (see the riverFlow option) */
+function findInvalidRivers(tiles, fixedCells, { riverCells = [], riverDeadEnds = [] }) {
+  const cells = new Map()
+  for (const c of [...riverCells, ...fixedCells, ...tiles]) cells.set(cubeKey(c.q, c.r, c.s), c)
+  const deadEnds = new Set(riverDeadEnds.map(c => cubeKey(c.q, c.r, c.s)))
+  const solved = new Set(tiles.map(t => cubeKey(t.q, t.r, t.s)))
+  return traceRiverFlow(cells, c => !deadEnds.has(cubeKey(c.q, c.r, c.s)))
+    .invalid.filter(key => solved.has(key)).map(parseCubeKey)
+}
+
+/**
+ * Solve a request, then repair its rivers (see the riverFlow option). Yields between solver chunks
+ * like solveSteps(), and returns the result payload.
+ */
+function* solveRequestSteps(solveCells, fixedCells, options, log) {
+  const solver = createRequestSolver(options, log)
+  const tiles = yield* solver.solveSteps(solveCells, fixedCells, options.initialCollapses ?? [])
+  const result = buildRequestResult(solver, tiles)
+  if (!tiles || options.riverFlow === false) return result
+
+  // Only the request's own solve cells are repaired, not unfixed neighbors or initial collapses
+  const repairable = new Set(solveCells.map(c => cubeKey(c.q, c.r, c.s)))
+  for (const ic of options.initialCollapses ?? []) repairable.delete(cubeKey(ic.q, ic.r, ic.s))
+  const solved = new Map(tiles.map(t => [cubeKey(t.q, t.r, t.s), t]))
+  let invalid = findInvalidRivers(tiles, fixedCells, options)
+  let repairs = 0
+  while (invalid.length > 0 && repairs < RIVER_REPAIR_ROUNDS) {
+    repairs++
+    // Re-solve the bad river cells river-free, with the cells around them (wider each round)
+    const region = new Map()
+    for (const c of invalid) {
+      for (const n of cubeCoordsInRadius(c.q, c.r, c.s, repairs)) {
+        const key = cubeKey(n.q, n.r, n.s)
+        if (repairable.has(key)) region.set(key, n)
+      }
+    }
+    const context = new Map()
+    for (const c of [...fixedCells, ...solved.values()]) {
+      const key = cubeKey(c.q, c.r, c.s)
+      if (!region.has(key)) context.set(key, c)
+    }
+    const repair = createRequestSolver({
+      ...options,
+      cellFilters: [...(options.cellFilters ?? []), ...invalid.map(c => ({ ...c, filter: 'no-river' }))],
+      neighborCells: null,
+      onProgress: null,
+      quiet: true,
+    }, log)
+    const repaired = yield* repair.solveSteps([...region.values()], [...context.values()], [])
+    result.backtracks += repair.backtracks || 0
+    if (repair.cancelled) return buildRequestResult(repair, null)
+    if (!repaired) continue
+
+    const next = new Map(solved)
+    for (const t of repaired) next.set(cubeKey(t.q, t.r, t.s), t)
+    const nextInvalid = findInvalidRivers([...next.values()], fixedCells, options)
+    if (nextInvalid.length >= invalid.length) continue
+    for (const [key, t] of next) solved.set(key, t)
+    invalid = nextInvalid
+  }
+
+  return {
+    ...result,
+    tiles: [...solved.values()],
+    collapseOrder: result.collapseOrder.map(c => solved.get(cubeKey(c.q, c.r, c.s)) ?? c),
+    riverRepairs: repairs,
+    riverIssues: invalid.length,
+  }
+}
+
+/**
+ * Run a single solve request and build the result payload posted back to the main thread
+ * Shared by WFCManager's sync fallback and headless tools
+ * @param {Array} solveCells - [{q,r,s}] cells to solve
+ * @param {Array} fixedCells - [{q,r,s,type,rotation,level}] collapsed neighbor constraints
+ * @param {Object} options - Solver options (tileTypes, maxTries, neighborCells, initialCollapses, ...)
+ * @param {Function} log - (message, color) logger
+ * @returns {Object} { success, tiles, collapseOrder, neighborConflict, lastConflict, changedFixedCells, unfixedKeys, backtracks, skippedDecisions, tries, cancelled,
+ *   riverRepairs (river re-solves run), riverIssues (solved river cells still with no way to the sea) }
+ */
+export function runSolveRequest(solveCells, fixedCells, options, log) {
+  const steps = solveRequestSteps(solveCells, fixedCells, options ?? {}, log)
+  let step = steps.next()
+  while (!step.done) step = steps.next()
+  return step.value
+}
+
+/**
+ * Async form of runSolveRequest used by the WFC worker: yields to the event loop between
+ * solveSteps() chunks so cancel messages are received while solving
+ * @returns {Promise<Object>} Same payload as runSolveRequest
+ */
+export async function runSolveRequestAsync(solveCells, fixedCells, options, log) {
+  const steps = solveRequestSteps(solveCells, fixedCells, options ?? {}, log)
+  let step = steps.next()
+  while (!step.done) {
+    await new Promise(resolve => setTimeout(resolve, 0))
+    step = steps.next()
+  }
+  return step.value
+}
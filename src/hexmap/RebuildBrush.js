@@ -0,0 +1,87 @@
+/**
+ * Rebuild-WFC brush - which cells a Rebuild-WFC click re-solves and which tiles they may become
+ * Pure data helpers (no Three.js), so tools and the action log replay can use them too.
+ *
+ * Brush: { radius, shape, direction, filter, edges }
+ *   radius     1..BRUSH_MAX_RADIUS
+ *   shape      'hex' (every cell within radius), 'ring' (cells exactly radius away) or
+ *              'line' (2·radius + 1 cells through the center along one axis)
+ *   direction  line axis: 0 = NE–SW, 1 = E–W, 2 = SE–NW
+ *   filter     'all', 'allow' (only tiles whose edges are all checked, e.g. grass + road) or
+ *              'deny' (no tile with a checked edge, e.g. river)
+ *   edges      { grass, water, road, river, coast } edge types checked for the filter
+ */
+
+import { TILE_LIST } from './HexTileData.js'
+import { CUBE_DIRS, cubeCoordsInRadius, cubeDistance } from './HexWFCCore.js'
+
+export const BRUSH_SHAPES = ['hex', 'ring', 'line']
+export const BRUSH_FILTERS = ['all', 'allow', 'deny']
+export const BRUSH_EDGE_TYPES = ['grass', 'water', 'road', 'river', 'coast']
+export const BRUSH_MAX_RADIUS = 6
+const AXIS_NAMES = ['NE–SW', 'E–W', 'SE–NW']
+
+export const BRUSH_DEFAULTS = {
+  radius: 2,
+  shape: 'hex',
+  direction: 0,
+  filter: 'all',
+  edges: Object.fromEntries(BRUSH_EDGE_TYPES.map(e => [e, false])),
+}
+
+/** Independent copy of a brush, with defaults for missing fields (e.g. from older session logs) */
+export function cloneBrush(brush = {}) {
+  return { ...BRUSH_DEFAULTS, ...brush, edges: { ...BRUSH_DEFAULTS.edges, ...brush.edges } }
+}
+
+/**
+ * Cells covered by the brush (whether they exist or are locked is up to the caller)
+ * @param {{q, r, s}} center - Global cube coords
+ * @param {Object} brush
+ * @returns {Array<{q, r, s}>}
+ */
+export function getBrushCells(center, { radius, shape, direction }) {
+  if (shape === 'line') {
+    const { dq, dr, ds } = CUBE_DIRS[((direction % 3) + 3) % 3]
+    const cells = []
+    for (let k = -radius; k <= radius; k++) {
+      cells.push({ q: center.q + dq * k, r: center.r + dr * k, s: center.s + ds * k })
+    }
+    return cells
+  }
+  const cells = cubeCoordsInRadius(center.q, center.r, center.s, radius)
+  if (shape === 'ring') {
+    return cells.filter(c => cubeDistance(c.q, c.r, c.s, center.q, center.r, center.s) === radius)
+  }
+  return cells
+}
+
+/**
+ * Tile types the brush lets solve cells take
+ * @param {Object} brush
+ * @returns {number[]|null} TILE_LIST indices, or null for every tile
+ */
+export function getBrushTileTypes({ filter, edges }) {
+  const checked = new Set(BRUSH_EDGE_TYPES.filter(e => edges?.[e]))
+  if (filter === 'all' || (filter === 'deny' && checked.size === 0)) return null
+
+  const types = []
+  TILE_LIST.forEach((def, type) => {
+    const tileEdges = Object.values(def.edges)
+    const keep = filter === 'allow'
+      ? tileEdges.every(e => checked.has(e))
+      : !tileEdges.some(e => checked.has(e))
+    if (keep) types.push(type)
+  })
+  return types
+}
+
+/** Short label for logs, e.g. 'line r3 E–W, no river' */
+export function describeBrush({ radius, shape, direction, filter, edges }) {
+  let text = `${shape} r${radius}`
+  if (shape === 'line') text += ` ${AXIS_NAMES[((direction % 3) + 3) % 3]}`
+  const checked = BRUSH_EDGE_TYPES.filter(e => edges?.[e])
+  if (filter === 'allow') text += `, ${checked.join(' + ') || 'nothing'} only`
+  if (filter === 'deny' && checked.length > 0) text += `, no ${checked.join(' / ')}`
+  return text
+}
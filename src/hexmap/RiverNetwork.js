@@ -0,0 +1,96 @@
+/**
+ * River network - which way solved rivers flow, and which can't reach the sea
+ * Pure data helpers (no Three.js), so the WFC solver can validate rivers in the worker.
+ *
+ * Two neighboring cells are linked when both have a river edge on their shared side, at the same level.
+ * Rivers drain through an outlet:
+ *   - a RIVER_INTO_COAST tile, which flows out through its water side
+ *   - a river edge facing a water edge
+ *   - a river edge facing a cell that isn't solved yet but can be (the river may reach the sea there)
+ * Flow is traced upstream from the outlets and never climbs: a cell's outflow edge is at or below
+ * each edge the river comes in by, so river slopes only run downhill. River cells no outlet reaches
+ * are invalid: dead ends on a plateau, loops that lead nowhere, or stretches that would flow uphill.
+ */
+
+import { TILE_LIST, TileType, HexDir, rotateHexEdges } from './HexTileData.js'
+import { CUBE_DIRS, cubeKey, getEdgeLevel } from './HexWFCCore.js'
+
+/** World-space unit vector {x, z} of each HexDir (E is +x, N is -z), e.g. FLOW_VECTORS[tile.flow] */
+export const FLOW_VECTORS = HexDir.map((_, i) => {
+  const angle = (i - 1) * Math.PI / 3
+  return { x: Math.cos(angle), z: Math.sin(angle) }
+})
+
+/**
+ * River edge directions of a tile
+ * @param {{type, rotation}} cell
+ * @returns {number[]} HexDir / CUBE_DIRS indices
+ */
+export function getRiverDirs({ type, rotation }) {
+  const edges = rotateHexEdges(TILE_LIST[type]?.edges ?? {}, rotation)
+  const dirs = []
+  HexDir.forEach((dir, i) => {
+    if (edges[dir] === 'river') dirs.push(i)
+  })
+  return dirs
+}
+
+/**
+ * Trace flow directions upstream from every outlet
+ * @param {Map} cells - cube key → {q, r, s, type, rotation, level} (globalCells, or a solve's cells)
+ * @param {Function} canExtend - ({q, r, s}) => whether a missing cell may still be solved
+ *   (default every missing cell; false makes rivers into it dead ends, like the map edge)
+ * @returns {{ flow: Map<string, number>, invalid: string[] }} flow: cube key → HexDir index the
+ *   river leaves the cell by; invalid: keys of river cells with no downhill path to an outlet
+ */
+export function traceRiverFlow(cells, canExtend = () => true) {
+  const flow = new Map()
+  const outLevel = new Map()  // cube key → level of the edge the river leaves by
+  const queue = []
+  const reach = (key, dir, level) => {
+    if (outLevel.has(key) && outLevel.get(key) <= level) return
+    outLevel.set(key, level)
+    flow.set(key, dir)
+    queue.push(key)
+  }
+  const edgeLevel = (cell, d) => getEdgeLevel(cell.type, cell.rotation, HexDir[d], cell.level ?? 0)
+
+  const rivers = []
+  for (const [key, cell] of cells) {
+    const dirs = getRiverDirs(cell)
+    if (dirs.length === 0) continue
+    rivers.push(key)
+    if (cell.type === TileType.RIVER_INTO_COAST) {
+      reach(key, (dirs[0] + 3) % 6, cell.level ?? 0)
+      continue
+    }
+    for (const d of dirs) {
+      const { dq, dr, ds } = CUBE_DIRS[d]
+      const n = { q: cell.q + dq, r: cell.r + dr, s: cell.s + ds }
+      const neighbor = cells.get(cubeKey(n.q, n.r, n.s))
+      const outlet = neighbor
+        ? rotateHexEdges(TILE_LIST[neighbor.type]?.edges ?? {}, neighbor.rotation)[HexDir[(d + 3) % 6]] === 'water'
+        : canExtend(n)
+      if (outlet) reach(key, d, edgeLevel(cell, d))
+    }
+  }
+
+  // Walk upstream: a river edge at or above the cell's outflow level can feed it
+  for (let i = 0; i < queue.length; i++) {
+    const key = queue[i]
+    const cell = cells.get(key)
+    const level = outLevel.get(key)
+    for (const d of getRiverDirs(cell)) {
+      if (d === flow.get(key) || edgeLevel(cell, d) < level) continue
+      const { dq, dr, ds } = CUBE_DIRS[d]
+      const nKey = cubeKey(cell.q + dq, cell.r + dr, cell.s + ds)
+      const neighbor = cells.get(nKey)
+      const back = (d + 3) % 6
+      if (!neighbor || !getRiverDirs(neighbor).includes(back)) continue
+      if (edgeLevel(neighbor, back) !== edgeLevel(cell, d)) continue
+      reach(nKey, back, edgeLevel(neighbor, back))
+    }
+  }
+
+  return { flow, invalid: rivers.filter(key => !flow.has(key)) }
+}
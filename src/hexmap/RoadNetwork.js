@@ -0,0 +1,125 @@
+/**
+ * Road network - the road graph of solved cells and its connected components
+ * Pure data helpers (no Three.js), so WFCManager and Node tools can use them.
+ *
+ * Two neighboring cells are linked when both have a road edge on their shared side.
+ * A component is open when one of its road edges faces a cell that isn't solved yet but can be (an
+ * unbuilt grid): it may still lead somewhere, so only closed components count as disconnected.
+ * The largest component is the main network; every other closed component is disconnected.
+ */
+
+import { TILE_LIST, HexDir, rotateHexEdges } from './HexTileData.js'
+import { CUBE_DIRS, cubeKey, parseCubeKey, cubeDistance } from './HexWFCCore.js'
+
+export const ROAD_CONNECTIVITY_MODES = ['off', 'repair', 'strict']
+
+/**
+ * Road edge directions of a tile
+ * @param {{type, rotation}} cell
+ * @returns {number[]} HexDir / CUBE_DIRS indices
+ */
+export function getRoadDirs({ type, rotation }) {
+  const edges = rotateHexEdges(TILE_LIST[type]?.edges ?? {}, rotation)
+  const dirs = []
+  HexDir.forEach((dir, i) => {
+    if (edges[dir] === 'road') dirs.push(i)
+  })
+  return dirs
+}
+
+/**
+ * Connected road components, largest first
+ * @param {Map} cells - cube key → {q, r, s, type, rotation} (globalCells)
+ * @param {Function} canExtend - ({q, r, s}) => whether a missing cell may still be solved
+ *   (default every missing cell; false makes roads into it dead ends, like the map edge)
+ * @returns {Array<{ keys: string[], open: boolean }>}
+ */
+export function getRoadComponents(cells, canExtend = () => true) {
+  const seen = new Set()
+  const components = []
+  for (const [key, cell] of cells) {
+    if (seen.has(key) || getRoadDirs(cell).length === 0) continue
+    const keys = []
+    let open = false
+    const stack = [key]
+    seen.add(key)
+    while (stack.length > 0) {
+      const k = stack.pop()
+      keys.push(k)
+      const c = cells.get(k)
+      for (const d of getRoadDirs(c)) {
+        const { dq, dr, ds } = CUBE_DIRS[d]
+        const nKey = cubeKey(c.q + dq, c.r + dr, c.s + ds)
+        const neighbor = cells.get(nKey)
+        if (!neighbor) {
+          if (!open && canExtend({ q: c.q + dq, r: c.r + dr, s: c.s + ds })) open = true
+          continue
+        }
+        // A road edge facing a non-road edge (a dropped cell's mismatch) is a dead end
+        if (seen.has(nKey) || !getRoadDirs(neighbor).includes((d + 3) % 6)) continue
+        seen.add(nKey)
+        stack.push(nKey)
+      }
+    }
+    components.push({ keys, open })
+  }
+  return components.sort((a, b) => b.keys.length - a.keys.length)
+}
+
+/**
+ * Disconnected components: closed components other than the main (largest) one
+ * @param {Array} components - From getRoadComponents
+ */
+export function getDisconnectedComponents(components) {
+  return components.slice(1).filter(c => !c.open)
+}
+
+/**
+ * Closest pair of cells between a component and the cells of other components
+ * @param {{keys}} component
+ * @param {Array<{keys}>} others
+ * @returns {{ from: {q,r,s}, to: {q,r,s}, distance: number }|null}
+ */
+export function findRoadLink(component, others) {
+  const targets = others.flatMap(c => c.keys.map(parseCubeKey))
+  let best = null
+  for (const from of component.keys.map(parseCubeKey)) {
+    for (const to of targets) {
+      const distance = cubeDistance(from.q, from.r, from.s, to.q, to.r, to.s)
+      if (!best || distance < best.distance) best = { from, to, distance }
+    }
+  }
+  return best
+}
+
+/**
+ * Cells on the straight hex line between two cells, both included
+ * @returns {Array<{q, r, s}>}
+ */
+export function cubeLine(a, b) {
+  const n = cubeDistance(a.q, a.r, a.s, b.q, b.r, b.s)
+  const cells = []
+  for (let i = 0; i <= n; i++) {
+    const t = n === 0 ? 0 : i / n
+    // Nudge off exact ties so the rounding is consistent along the line
+    cells.push(cubeRound(
+      a.q + (b.q - a.q) * t + 1e-6,
+      a.r + (b.r - a.r) * t + 2e-6,
+      a.s + (b.s - a.s) * t - 3e-6,
+    ))
+  }
+  return cells
+}
+
+function cubeRound(fq, fr, fs) {
+  let q = Math.round(fq)
+  let r = Math.round(fr)
+  let s = Math.round(fs)
+  const dq = Math.abs(q - fq)
+  const dr = Math.abs(r - fr)
+  const ds = Math.abs(s - fs)
+  if (dq > dr && dq > ds) q = -r - s
+  else if (dr > ds) r = -q - s
+  else s = -q - r
+  return { q, r, s }
+}
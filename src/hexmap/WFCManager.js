@@ -1,21 +1,74 @@
-import WFCWorker from '../workers/wfc.worker.js?worker'
-import { HexWFCAdjacencyRules, CUBE_DIRS, cubeKey, parseCubeKey } from './HexWFCCore.js'
-import { TILE_LIST, HexDir, HexOpposite, rotateHexEdges, LEVELS_COUNT } from './HexTileData.js'
-import { log } from '../App.js'
-import { getSeed } from '../SeededRandom.js'
+import {
+  HexWFCAdjacencyRules,
+  CUBE_DIRS,
+  cubeKey,
+  parseCubeKey,
+  cubeCoordsInRadius,
+  cubeDistance,
+  cubeToOffset,
+} from './HexWFCCore.js'
+import { TILE_LIST, TileType, HexDir } from './HexTileData.js'
+import { calculateGridWorldOffset, worldOffsetToGlobalCube, getGridLayout } from './HexGridConnector.js'
+import { runSolveRequest } from './HexWFCSolver.js'
+import { stateMatchesConstraint } from './CellConstraints.js'
+import { getBrushTileTypes } from './RebuildBrush.js'
+import { traceRiverFlow, getRiverDirs } from './RiverNetwork.js'
+import {
+  getRoadComponents, getDisconnectedComponents, findRoadLink, cubeLine,
+} from './RoadNetwork.js'
+import { getSeed, deriveSeed, createStream } from '../SeededRandom.js'
+
+// How far outside its grid a Grid-WFC job reaches (see getSolveZone)
+const SOLVE_ZONE_REACH = 4
+// Road connectivity: longest gap a link re-solve tries to bridge, and seeds tried per link
+const MAX_ROAD_LINK = 8
+const ROAD_LINK_TRIES = 2
+// Map-wide river repair: re-solve passes, each reaching one cell further around the cut-off rivers
+const RIVER_REPAIR_PASSES = 3
 
 /**
- * WFCManager — owns the WFC Web Worker and adjacency rules.
+ * WFCManager — owns the WFC Web Worker pool, adjacency rules and the Grid-WFC recovery flow.
  * Receives `globalCells` (shared Map) by reference.
+ * No Three.js or DOM dependencies, so tools can drive it from Node.
  */
 export class WFCManager {
-  constructor(globalCells) {
+  /**
+   * @param {Map} globalCells - Shared global cell map
+   * @param {Object} options
+   * @param {Function} options.log - (text, style) logger, defaults to console.log
+   * @param {number} options.poolSize - Number of WFC workers (default 1)
+   */
+  constructor(globalCells, { log, poolSize = 1 } = {}) {
     this.globalCells = globalCells
+    this.log = log ?? ((text) => console.log(text))
 
     this.hexWfcRules = null
+    // Worker pool. wfcWorker is the primary: unseeded solves (global-stream mode) always run on it
+    // so they share one RNG stream; seeded solves go to the least busy worker.
+    this.poolSize = Math.max(1, poolSize)
+    this.wfcWorkers = []
     this.wfcWorker = null
+    this.workerLoad = new Map()       // worker → pending request count
+    this.retiredWorkers = new Set()   // removed from the pool, terminated once idle
     this.wfcPendingResolvers = new Map()
+    this.wfcProgressHandlers = new Map()  // request id → onProgress callback
     this.wfcRequestId = 0
+
+    // Extra solver options applied to every solve, e.g. { heuristic: 'mrv', backtrackMode: 'backjump' } (see HexWFCSolver)
+    this.solverOptions = {}
+
+    // Side of the map the ocean seeds go on (picked by the first grid, reset with the map)
+    this.waterSideIndex = null
+
+    // Region constraints: cube key → kind (see CellConstraints.js). Painted on placeholders and
+    // kept once their cells are solved, so later solves of those cells honor them too.
+    this.cellConstraints = new Map()
+
+    // River flow: cube key → HexDir index each river cell drains by (see updateRiverFlow)
+    this.riverFlow = new Map()
+    // Cube keys of every cell the map can hold (see setMapBounds); null = unbounded, so rivers
+    // leaving the known cells count as open
+    this.mapCells = null
   }
 
   /** Initialize shared WFC rules */
@@ -24,51 +77,141 @@ export class WFCManager {
     this.hexWfcRules = HexWFCAdjacencyRules.fromTileDefinitions(tileTypes)
   }
 
-  /** Terminate current worker, reject pending solves, and start a fresh worker */
-  cancelAndRestart() {
-    if (this.wfcWorker) {
-      this.wfcWorker.terminate()
-      this.wfcWorker = null
+  /**
+   * Restart the workers' RNG streams from the current seed (after setSeed) without restarting them.
+   * Runs after any solve already queued in a worker.
+   */
+  resetWorkerSeed() {
+    for (const worker of this.wfcWorkers) {
+      worker.postMessage({ type: 'init', seed: getSeed() })
     }
+  }
+
+  /**
+   * Snapshot each pool worker's RNG stream, taken after the solves already queued on it
+   * @returns {Promise<Array<{seed, state}|null>>} One per worker, in pool order (empty when solving synchronously)
+   */
+  getWorkerStates() {
+    return Promise.all(this.wfcWorkers.map((worker) => new Promise((resolve) => {
+      const id = `wfc_${++this.wfcRequestId}`
+      // Terminating the pool resolves pending requests with a failed result, which has no state
+      this.wfcPendingResolvers.set(id, (result) => resolve(result.state ?? null))
+      worker.postMessage({ type: 'getState', id })
+    })))
+  }
+
+  /**
+   * Restore pool workers' RNG streams from getWorkerStates (after the solves already queued).
+   * Workers without a saved state (pool grew since the snapshot) keep their current stream.
+   * @param {Array<{seed, state}|null>} states
+   */
+  setWorkerStates(states) {
+    this.wfcWorkers.forEach((worker, i) => {
+      if (states[i]) worker.postMessage({ type: 'setState', state: states[i] })
+    })
+  }
+
+  /** Terminate all workers, reject pending solves, and start a fresh pool */
+  cancelAndRestart() {
+    this.terminateWorkers()
+    this.wfcRequestId = 0
+    this.initWfcWorker()
+  }
+
+  /** Terminate every worker and resolve pending solves as failed */
+  terminateWorkers() {
     // Resolve all pending promises as failed
     for (const [id, resolve] of this.wfcPendingResolvers) {
       resolve({ success: false, tiles: null, collapseOrder: [] })
     }
     this.wfcPendingResolvers.clear()
-    this.wfcRequestId = 0
-    this.initWfcWorker()
+    this.wfcProgressHandlers.clear()
+    for (const worker of [...this.wfcWorkers, ...this.retiredWorkers]) worker.terminate()
+    this.wfcWorkers = []
+    this.wfcWorker = null
+    this.workerLoad.clear()
+    this.retiredWorkers.clear()
   }
 
-  /** Initialize WFC Web Worker */
+  /** Initialize the WFC Web Worker pool */
   initWfcWorker() {
     try {
-      this.wfcWorker = new WFCWorker()
-      this.wfcWorker.postMessage({ type: 'init', seed: getSeed() })
-      this.wfcWorker.onmessage = (e) => this.handleWfcMessage(e)
-      this.wfcWorker.onerror = (e) => {
-        console.error('WFC Worker error:', e)
-        for (const [id, resolve] of this.wfcPendingResolvers) {
-          resolve({ success: false, tiles: null, collapseOrder: [] })
-        }
-        this.wfcPendingResolvers.clear()
+      while (this.wfcWorkers.length < this.poolSize) {
+        this.wfcWorkers.push(this.createWfcWorker())
       }
+      this.wfcWorker = this.wfcWorkers[0]
     } catch (e) {
       console.warn('Failed to create WFC worker, will use sync solver:', e)
-      this.wfcWorker = null
+      this.terminateWorkers()
+    }
+  }
+
+  /** Create one WFC worker seeded with the current seed */
+  createWfcWorker() {
+    const worker = new Worker(new URL('../workers/wfc.worker.js', import.meta.url), { type: 'module' })
+    worker.postMessage({ type: 'init', seed: getSeed() })
+    worker.onmessage = (e) => this.handleWfcMessage(e)
+    worker.onerror = (e) => {
+      console.error('WFC Worker error, falling back to sync solver:', e)
+      this.terminateWorkers()
+    }
+    this.workerLoad.set(worker, 0)
+    return worker
+  }
+
+  /**
+   * Resize the worker pool. Removed workers finish their queued solves before terminating.
+   * Takes effect on the next initWfcWorker when the pool isn't running (sync fallback, Node).
+   * @param {number} size - Number of workers (min 1)
+   */
+  setPoolSize(size) {
+    this.poolSize = Math.max(1, Math.floor(size))
+    if (!this.wfcWorker) return
+    this.initWfcWorker()
+    for (const worker of this.wfcWorkers.splice(this.poolSize)) {
+      this.retiredWorkers.add(worker)
+      this.adjustWorkerLoad(worker, 0)
+    }
+  }
+
+  /** Update a worker's pending request count; terminates retired workers once idle */
+  adjustWorkerLoad(worker, delta) {
+    const load = Math.max(0, (this.workerLoad.get(worker) ?? 0) + delta)
+    this.workerLoad.set(worker, load)
+    if (load === 0 && this.retiredWorkers.has(worker)) {
+      worker.terminate()
+      this.retiredWorkers.delete(worker)
+      this.workerLoad.delete(worker)
+    }
+  }
+
+  /** Least busy worker in the pool (first wins ties) */
+  getIdlestWorker() {
+    let best = this.wfcWorker
+    for (const worker of this.wfcWorkers) {
+      if (this.workerLoad.get(worker) < this.workerLoad.get(best)) best = worker
     }
+    return best
   }
 
-  /** Handle messages from WFC worker */
+  /** Handle messages from WFC workers (request ids are unique across the pool) */
   handleWfcMessage(e) {
     const { type, id, message, success, tiles, collapseOrder } = e.data
 
     if (type === 'log') {
-      log(e.data.message, `color: ${e.data.color || 'black'}`)
+      this.log(e.data.message, `color: ${e.data.color || 'black'}`)
+    } else if (type === 'progress') {
+      const { collapsed, undone, restart, backtracks, remaining, total } = e.data
+      this.wfcProgressHandlers.get(id)?.({ collapsed, undone, restart, backtracks, remaining, total })
+    } else if (type === 'state') {
+      this.wfcPendingResolvers.get(id)?.({ state: e.data.state })
+      this.wfcPendingResolvers.delete(id)
     } else if (type === 'result') {
+      this.wfcProgressHandlers.delete(id)
       const resolve = this.wfcPendingResolvers.get(id)
       if (resolve) {
-        const { neighborConflict, lastConflict, changedFixedCells, unfixedKeys, backtracks, tries } = e.data
-        resolve({ success, tiles, collapseOrder, neighborConflict, lastConflict, changedFixedCells, unfixedKeys, backtracks, tries })
+        const { neighborConflict, lastConflict, changedFixedCells, unfixedKeys, backtracks, skippedDecisions, tries, cancelled, riverRepairs, riverIssues } = e.data
+        resolve({ success, tiles, collapseOrder, neighborConflict, lastConflict, changedFixedCells, unfixedKeys, backtracks, skippedDecisions, tries, cancelled, riverRepairs, riverIssues })
         this.wfcPendingResolvers.delete(id)
       }
     }
@@ -76,30 +219,53 @@ export class WFCManager {
 
   /**
    * Solve WFC using Web Worker (async, cube-coordinate based)
+   * Runs the solver synchronously on this thread when there is no worker (creation failed, or Node)
    * @param {Array} solveCells - [{q,r,s}] cells to solve
    * @param {Array} fixedCells - [{q,r,s,type,rotation,level}] collapsed neighbor constraints
    * @param {Object} options - WFC options
-   * @returns {Promise<{success, tiles, collapseOrder}>}
+   * @param {number} options.seed - Per-request RNG seed; seeded solves can run on any worker in the pool
+   * @param {Function} options.onProgress - ({ collapsed, undone, restart, backtracks, remaining, total }) throttled solve progress (see HexWFCSolver)
+   * @param {AbortSignal} options.signal - Aborting cancels just this solve; it resolves with { success: false, cancelled: true }
+   * @param {Array} options.riverCells - River context (see getRiverContext); defaults to the solve and fixed cells' own
+   * @returns {Promise<{success, tiles, collapseOrder, cancelled}>}
    */
   solveWfcAsync(solveCells, fixedCells, options) {
-    return new Promise((resolve) => {
-      if (!this.wfcWorker) {
-        resolve({ success: false, tiles: null, collapseOrder: [] })
-        return
-      }
+    const { onProgress, signal, ...solverOptions } = { ...this.solverOptions, ...options }
+    if (solverOptions.riverFlow !== false && !solverOptions.riverCells) {
+      Object.assign(solverOptions, this.getRiverContext([...solveCells, ...fixedCells].map(c => cubeKey(c.q, c.r, c.s))))
+    }
+    if (signal?.aborted) {
+      return Promise.resolve({ success: false, tiles: null, collapseOrder: [], cancelled: true })
+    }
+    if (!this.wfcWorker) {
+      const result = runSolveRequest(solveCells, fixedCells, { ...solverOptions, onProgress }, (message, color) => {
+        this.log(message, `color: ${color || 'black'}`)
+      })
+      return Promise.resolve(result)
+    }
 
+    return new Promise((resolve) => {
       const id = `wfc_${++this.wfcRequestId}`
+      const worker = solverOptions.seed != null ? this.getIdlestWorker() : this.wfcWorker
+      this.adjustWorkerLoad(worker, 1)
+
+      // The worker checks for cancel messages between solver chunks
+      const onAbort = () => worker.postMessage({ type: 'cancel', id })
+      signal?.addEventListener('abort', onAbort, { once: true })
 
       this.wfcPendingResolvers.set(id, (result) => {
+        signal?.removeEventListener('abort', onAbort)
+        this.adjustWorkerLoad(worker, -1)
         resolve(result)
       })
+      if (onProgress) this.wfcProgressHandlers.set(id, onProgress)
 
-      this.wfcWorker.postMessage({
+      worker.postMessage({
         type: 'solve',
         id,
         solveCells,
         fixedCells,
-        options
+        options: { ...solverOptions, progress: !!onProgress }
       })
     })
   }
@@ -150,7 +316,8 @@ export class WFCManager {
         if (existing) {
           fixedMap.set(nKey, {
             q: nq, r: nr, s: ns,
-            type: existing.type, rotation: existing.rotation, level: existing.level
+            type: existing.type, rotation: existing.rotation, level: existing.level,
+            ...(existing.locked && { locked: true }),
           })
         }
       }
@@ -159,6 +326,100 @@ export class WFCManager {
     return [...fixedMap.values()]
   }
 
+  /**
+   * Cells a local solve (Local-WFC, Rebuild-WFC, paint) may change: the existing, unlocked cells
+   * within radius of a center. Locked cells inside the region become fixed cells instead.
+   * @param {Object} center - {q,r,s} global cube coords
+   * @param {number} radius - Region radius (default 2)
+   * @returns {Array} [{q,r,s}]
+   */
+  getLocalSolveCells(center, radius = 2) {
+    return this.filterSolveCells(cubeCoordsInRadius(center.q, center.r, center.s, radius))
+  }
+
+  /**
+   * Keep the cells a local solve may change: existing and unlocked
+   * @param {Array} cells - [{q,r,s}]
+   * @returns {Array} [{q,r,s}]
+   */
+  filterSolveCells(cells) {
+    return cells.filter(c => {
+      const cell = this.globalCells.get(cubeKey(c.q, c.r, c.s))
+      return cell && !cell.locked
+    })
+  }
+
+  /** Whether a cell is locked (see setLocked) */
+  isLocked(key) {
+    return !!this.globalCells.get(key)?.locked
+  }
+
+  /**
+   * Lock or unlock a cell. Locked cells are hard constraints: never unfixed, dropped,
+   * re-solved by Local-WFC / Rebuild-WFC or replaced.
+   * @param {string} key - Cube key of a cell in globalCells
+   * @param {boolean} locked
+   * @returns {boolean} False if there is no such cell
+   */
+  setLocked(key, locked) {
+    const cell = this.globalCells.get(key)
+    if (!cell) return false
+    if (locked) cell.locked = true
+    else delete cell.locked
+    return true
+  }
+
+  /**
+   * Set or clear a cell's region constraint
+   * @param {string} key - Cube key
+   * @param {string|null} kind - CONSTRAINT_KINDS entry, or null to clear
+   */
+  setConstraint(key, kind) {
+    if (kind) this.cellConstraints.set(key, kind)
+    else this.cellConstraints.delete(key)
+  }
+
+  /**
+   * Possibility filters for the constrained cells among `cells` (solver option cellFilters)
+   * @param {Array} cells - [{q,r,s}]
+   * @returns {Array} [{q,r,s,filter}]
+   */
+  getCellFilters(cells) {
+    if (this.cellConstraints.size === 0) return []
+    const filters = []
+    for (const { q, r, s } of cells) {
+      const filter = this.cellConstraints.get(cubeKey(q, r, s))
+      if (filter) filters.push({ q, r, s, filter })
+    }
+    return filters
+  }
+
+  /** Whether a tile fits its cell's constraint (unconstrained cells take anything) */
+  allowsTile(tile) {
+    const kind = this.cellConstraints.get(cubeKey(tile.q, tile.r, tile.s))
+    return !kind || stateMatchesConstraint(kind, tile)
+  }
+
+  /**
+   * Describe locked fixed cells for a failure report, nearest to the failed cell first
+   * @param {Array} fixedCells - [{q,r,s,type,locked?}]
+   * @param {Object} failedCell - {q,r,s} or null
+   * @returns {string[]} e.g. ['(3,-2) WATER']
+   */
+  describeLocks(fixedCells, failedCell = null) {
+    const locks = fixedCells.filter(fc => fc.locked)
+    if (failedCell) {
+      locks.sort((a, b) =>
+        cubeDistance(a.q, a.r, a.s, failedCell.q, failedCell.r, failedCell.s) -
+        cubeDistance(b.q, b.r, b.s, failedCell.q, failedCell.r, failedCell.s)
+      )
+    }
+    return locks.map(fc => {
+      const co = cubeToOffset(fc.q, fc.r, fc.s)
+      return `(${co.col},${co.row}) ${TILE_LIST[fc.type]?.name ?? fc.type}`
+    })
+  }
+
   /**
    * Get anchor cells for a fixed cell — neighbors in globalCells that are NOT
    * in the solve set and NOT already a fixed cell.
@@ -185,13 +446,152 @@ export class WFCManager {
     return anchors
   }
 
+  /**
+   * Cells a Grid-WFC job can read or write: the grid plus everything within SOLVE_ZONE_REACH of it
+   * (neighbor cells 1, their anchors 2, Local-WFC regions of radius 2 around a neighbor cell 3,
+   * and those regions' own neighbor cells 4). Jobs whose zones don't overlap can run in parallel.
+   * @param {Object} center - {q,r,s} grid center in global cube coords
+   * @param {number} gridRadius - Grid cell radius
+   * @returns {Set<string>} cubeKeys
+   */
+  getSolveZone(center, gridRadius) {
+    const cells = cubeCoordsInRadius(center.q, center.r, center.s, gridRadius + SOLVE_ZONE_REACH)
+    return new Set(cells.map(c => cubeKey(c.q, c.r, c.s)))
+  }
+
+  /**
+   * Build the context object used by runWfcAttempt, runWfcWithRecovery and commitPopulateResult
+   * @param {string} gridKey - Grid key of the grid being populated
+   * @param {Object} center - {q,r,s} grid center in global cube coords
+   * @param {number} gridRadius - Grid cell radius
+   * @param {Object} options - { initialCollapses, rings, seed }
+   *   seed: job seed — every solve of this grid derives its own RNG stream from it, so the result
+   *   doesn't depend on which worker runs it or what else is solving (omit to use the worker's stream)
+   */
+  setupPopulateContext(gridKey, center, gridRadius, options = {}) {
+    const solveCells = cubeCoordsInRadius(center.q, center.r, center.s, gridRadius)
+    const fixedCells = this.getFixedCellsForRegion(solveCells)
+
+    const initialCollapses = options.initialCollapses ?? []
+    if (fixedCells.length === 0 && initialCollapses.length === 0) {
+      initialCollapses.push({ q: center.q, r: center.r, s: center.s, type: TileType.GRASS, rotation: 0, level: 0 })
+      this.addWaterEdgeSeeds(initialCollapses, center, gridRadius)
+    }
+
+    // Seed ocean at map corners that fall within this grid
+    const solveSet = new Set(solveCells.map(c => cubeKey(c.q, c.r, c.s)))
+    const fixedSet = new Set(fixedCells.map(fc => cubeKey(fc.q, fc.r, fc.s)))
+    for (const seed of this.getMapCornerOceanSeeds(gridRadius, options.rings)) {
+      const key = cubeKey(seed.q, seed.r, seed.s)
+      if (solveSet.has(key) && !fixedSet.has(key)) {
+        initialCollapses.push(seed)
+      }
+    }
+
+    const tileTypes = this.getDefaultTileTypes()
+    const anchorMap = new Map()
+    for (const fc of fixedCells) {
+      anchorMap.set(cubeKey(fc.q, fc.r, fc.s), this.getAnchorsForCell(fc, solveSet, fixedSet))
+    }
+
+    // Seeds that break a painted constraint are left out: the constraint wins
+    const solveZone = this.getSolveZone(center, gridRadius)
+    return {
+      gridKey, center, solveCells, fixedCells, tileTypes, solveZone,
+      riverContext: this.getRiverContext(solveZone),
+      initialCollapses: initialCollapses.filter(ic => this.allowsTile(ic)),
+      anchorMap,
+      persistedUnfixedKeys: new Set(),
+      persistedUnfixedOriginals: new Map(),
+      initialFixedCount: fixedCells.length,
+      attempt: 0,
+      seed: options.seed ?? null,
+      options,
+    }
+  }
+
+  /**
+   * Add a single ocean seed at a random corner of the first grid
+   * @param {Array} initialCollapses - Array to push water seeds into
+   * @param {Object} center - {q,r,s} grid center cube coords
+   * @param {number} radius - Grid radius
+   */
+  addWaterEdgeSeeds(initialCollapses, center, radius) {
+    // 6 cube directions
+    const dirs = [
+      { q: 1, r: -1, s: 0 }, { q: 1, r: 0, s: -1 }, { q: 0, r: 1, s: -1 },
+      { q: -1, r: 1, s: 0 }, { q: -1, r: 0, s: 1 }, { q: 0, r: -1, s: 1 },
+    ]
+    this.waterSideIndex = this.pickWaterSide()
+    // Midpoint of hex edge between vertex d and vertex (d+1)%6
+    const d = dirs[this.waterSideIndex]
+    const d2 = dirs[(this.waterSideIndex + 1) % 6]
+    const half = Math.floor(radius / 2)
+    const q = center.q + d.q * (radius - half) + d2.q * half
+    const r = center.r + d.r * (radius - half) + d2.r * half
+    const s = center.s + d.s * (radius - half) + d2.s * half
+    initialCollapses.push({ q, r, s, type: TileType.WATER, rotation: 0, level: 0 })
+  }
+
+  /**
+   * Pick the ocean side from its own stream, so it doesn't depend on which grid is built first
+   * @returns {number} Cube direction index 0-5
+   */
+  pickWaterSide() {
+    return Math.floor(createStream(getSeed(), 'water-side')() * 6)
+  }
+
+  /**
+   * Get ocean seeds at the center of 3 contiguous outer-ring grids on one side of the map.
+   * Uses the same side direction as the first grid's water edge seed.
+   * @param {number} gridRadius - Grid cell radius
+   * @param {number} rings - Number of grid rings around the center grid (2 = 19 grids)
+   */
+  getMapCornerOceanSeeds(gridRadius, rings = 2) {
+    const cubeDirs = [
+      { q: 1, r: -1, s: 0 },  { q: 1, r: 0, s: -1 },
+      { q: 0, r: 1, s: -1 },  { q: -1, r: 1, s: 0 },
+      { q: -1, r: 0, s: 1 },  { q: 0, r: -1, s: 1 },
+    ]
+    // Grid-cube to grid-offset conversion
+    const gridCubeToOffset = (q, r) => [q, r + Math.floor((q - (q & 1)) / 2)]
+
+    // Use same side as first grid's water seed (or pick one for Build All)
+    const d = this.waterSideIndex ?? this.pickWaterSide()
+    this.waterSideIndex = d
+
+    // Vertex grid (outer ring) in direction d, plus its two ring neighbors
+    const dir = cubeDirs[d]
+    const prevStep = cubeDirs[(d + 4) % 6]
+    const nextStep = cubeDirs[(d + 2) % 6]
+    const sideGrids = [
+      gridCubeToOffset(dir.q * rings + prevStep.q, dir.r * rings + prevStep.r),
+      gridCubeToOffset(dir.q * rings, dir.r * rings),
+      gridCubeToOffset(dir.q * rings + nextStep.q, dir.r * rings + nextStep.r),
+    ]
+
+    // Also seed the ring-1 grid in the same direction
+    const innerGrid = gridCubeToOffset(dir.q, dir.r)
+
+    const seeds = []
+    for (const [gx, gz] of [...sideGrids, innerGrid]) {
+      const worldOffset = calculateGridWorldOffset(gx, gz, gridRadius)
+      const c = worldOffsetToGlobalCube(worldOffset)
+      seeds.push({ q: c.q, r: c.r, s: c.s, type: TileType.WATER, rotation: 0, level: 0 })
+    }
+    return seeds
+  }
+
   /**
    * Run a single WFC attempt using the populate context.
    * Handles persisted-unfixed cells, neighbor cell construction, and failure tracking.
-   * @param {Object} ctx - Populate context from HexMap._setupPopulateContext
-   * @returns {Object} { success, tiles?, collapseOrder?, changedFixedCells?, unfixedKeys?, isNeighborConflict?, failedCell?, sourceKey?, neighborConflict?, lastConflict? }
+   * @param {Object} ctx - Populate context from setupPopulateContext
+   * @param {Object} options
+   * @param {Function} options.onProgress - Solve progress callback (see solveWfcAsync)
+   * @param {AbortSignal} options.signal - Cancels the solve (see solveWfcAsync)
+   * @returns {Object} { success, cancelled?, tiles?, collapseOrder?, changedFixedCells?, unfixedKeys?, isNeighborConflict?, failedCell?, sourceKey?, neighborConflict?, lastConflict? }
    */
-  async runWfcAttempt(ctx) {
+  async runWfcAttempt(ctx, { onProgress, signal } = {}) {
     ctx.attempt++
     let activeFixed = ctx.fixedCells.filter(fc => !fc.dropped)
 
@@ -225,9 +625,10 @@ export class WFCManager {
       activeFixed = [...activeFixed, ...anchorFixed]
     }
 
-    // Build neighbor cells, excluding already-unfixed cells from previous attempts
+    // Build neighbor cells, excluding already-unfixed cells from previous attempts and locked cells
+    // (locked cells stay hard fixed constraints)
     const activeNeighborCells = activeFixed
-      .filter(fc => !ctx.persistedUnfixedKeys.has(cubeKey(fc.q, fc.r, fc.s)))
+      .filter(fc => !fc.locked && !ctx.persistedUnfixedKeys.has(cubeKey(fc.q, fc.r, fc.s)))
       .map(fc => ({
         q: fc.q, r: fc.r, s: fc.s,
         type: fc.type, rotation: fc.rotation, level: fc.level,
@@ -241,8 +642,17 @@ export class WFCManager {
       gridId: ctx.gridKey,
       attemptNum: ctx.attempt,
       neighborCells: activeNeighborCells,
+      cellFilters: this.getCellFilters([...activeSolveCells, ...activeNeighborCells]),
+      seed: deriveSeed(ctx.seed, `attempt:${ctx.attempt}`),
+      ...ctx.riverContext,
+      onProgress,
+      signal,
     })
 
+    if (wfcResult.cancelled) {
+      return { success: false, cancelled: true, backtracks: wfcResult.backtracks || 0, skippedDecisions: wfcResult.skippedDecisions || 0, tries: wfcResult.tries || 0 }
+    }
+
     // Account for extra tries so next attempt's try number continues incrementally
     ctx.attempt += Math.max(0, (wfcResult.tries || 1) - 1)
 
@@ -254,7 +664,9 @@ export class WFCManager {
         changedFixedCells: wfcResult.changedFixedCells || [],
         unfixedKeys: wfcResult.unfixedKeys || [],
         backtracks: wfcResult.backtracks || 0,
+        skippedDecisions: wfcResult.skippedDecisions || 0,
         tries: wfcResult.tries || 0,
+        riverRepairs: wfcResult.riverRepairs || 0,
       }
     }
 
@@ -277,10 +689,459 @@ export class WFCManager {
       neighborConflict: wfcResult.neighborConflict,
       lastConflict: wfcResult.lastConflict,
       backtracks: wfcResult.backtracks || 0,
+      skippedDecisions: wfcResult.skippedDecisions || 0,
       tries: wfcResult.tries || 0,
     }
   }
 
+  /**
+   * Run WFC with recovery: initial attempt → local-WFC → drop
+   * Locked fixed cells are never Local-WFC centers or dropped; if only locked ones are left to drop,
+   * blockingLocks names them (see describeLocks).
+   * Grid side effects (re-rendering neighbor tiles, debug labels) are left to the caller via hooks.
+   * @param {Object} ctx - Populate context from setupPopulateContext
+   * @param {Object} hooks
+   * @param {Function} hooks.onFailure - (attemptResult) called after each failed Grid-WFC attempt
+   * @param {Function} hooks.onLocalResult - (tiles) called before Local-WFC tiles are written to globalCells
+   * @param {Function} hooks.onDrop - (fixedCell) called when a neighbor cell is dropped
+   * @param {Function} hooks.onProgress - Solve progress of each Grid-WFC attempt (see solveWfcAsync); Local-WFC solves don't report
+   * @param {AbortSignal} hooks.signal - Cancels the in-flight solve and stops recovery (result is null, cancelled is true)
+   * @returns {{ result, resultCollapseOrder, changedFixedCells, unfixedKeys, droppedFixedCubes, blockingLocks, stats, cancelled }}
+   */
+  async runWfcWithRecovery(ctx, { onFailure, onLocalResult, onDrop, onProgress, signal } = {}) {
+    const stats = { postDroppedCount: 0, localWfcAttempts: 0, backtracks: 0, skippedDecisions: 0, tries: 0, riverRepairs: 0 }
+    const droppedFixedCubes = []
+    let result = null
+    let resultCollapseOrder = []
+    let changedFixedCells = []
+    let unfixedKeys = []
+    let blockingLocks = []
+    // Cancelled: stop before Local-WFC or drops touch globalCells
+    const cancelledResult = () => ({ result: null, resultCollapseOrder: [], changedFixedCells: [], unfixedKeys: [], droppedFixedCubes, blockingLocks, stats, cancelled: true })
+
+    // Phase 0: Initial attempt (solver handles neighbor cell unfixing internally)
+    const initialResult = await this.runWfcAttempt(ctx, { onProgress, signal })
+    if (initialResult.success) {
+      result = initialResult.tiles
+      resultCollapseOrder = initialResult.collapseOrder
+      changedFixedCells = initialResult.changedFixedCells || []
+      unfixedKeys = initialResult.unfixedKeys || []
+      stats.backtracks += initialResult.backtracks || 0
+      stats.skippedDecisions += initialResult.skippedDecisions || 0
+      stats.tries += initialResult.tries || 0
+      stats.riverRepairs += initialResult.riverRepairs
+
+    } else {
+      stats.backtracks += initialResult.backtracks || 0
+      stats.skippedDecisions += initialResult.skippedDecisions || 0
+      stats.tries += initialResult.tries || 0
+      if (initialResult.cancelled) return cancelledResult()
+
+      onFailure?.(initialResult)
+      let failedCell = initialResult.failedCell
+      let isNeighborConflict = initialResult.isNeighborConflict
+      let sourceKey = initialResult.sourceKey
+
+      // Local-WFC recovery: resolve neighbor regions around the failure
+      const maxLocalAttempts = 5
+      const resolvedRegions = new Set()
+      let localAttempts = 0
+
+      while (!result && localAttempts < maxLocalAttempts) {
+        if (!failedCell) break
+
+        // Pick center: sourceKey first if neighbor conflict, then nearest fixed cell (never a locked one)
+        let centerQ, centerR, centerS
+        if (localAttempts === 0 && isNeighborConflict && sourceKey && !this.isLocked(sourceKey)) {
+          ;({ q: centerQ, r: centerR, s: centerS } = parseCubeKey(sourceKey))
+          resolvedRegions.add(sourceKey)
+        } else {
+          const candidates = ctx.fixedCells.filter(fc =>
+            !fc.dropped && !fc.locked && !resolvedRegions.has(cubeKey(fc.q, fc.r, fc.s))
+          )
+          if (candidates.length === 0) break
+          candidates.sort((a, b) =>
+            cubeDistance(a.q, a.r, a.s, failedCell.q, failedCell.r, failedCell.s) -
+            cubeDistance(b.q, b.r, b.s, failedCell.q, failedCell.r, failedCell.s)
+          )
+          centerQ = candidates[0].q; centerR = candidates[0].r; centerS = candidates[0].s
+          resolvedRegions.add(cubeKey(centerQ, centerR, centerS))
+        }
+
+        localAttempts++
+        stats.localWfcAttempts++
+        const co = cubeToOffset(centerQ, centerR, centerS)
+        this.log(`[${ctx.gridKey}] Local-WFC resolving around (${co.col},${co.row})`, 'color: blue')
+
+        // Mini-WFC on radius-2 region (locked cells in it stay fixed)
+        const localSolveCells = this.getLocalSolveCells({ q: centerQ, r: centerR, s: centerS })
+        const localFixedCells = this.getFixedCellsForRegion(localSolveCells)
+        const localResult = await this.solveWfcAsync(localSolveCells, localFixedCells, {
+          tileTypes: ctx.tileTypes, maxTries: 5, quiet: true, signal,
+          cellFilters: this.getCellFilters(localSolveCells),
+          seed: deriveSeed(ctx.seed, `local:${localAttempts}`),
+        })
+        if (localResult.cancelled) return cancelledResult()
+
+        if (!localResult.success || !localResult.tiles) {
+          this.log(`[${ctx.gridKey}] Local-WFC failed`, 'color: red')
+          continue
+        }
+
+        // Apply local results to neighbor grids
+        onLocalResult?.(localResult.tiles)
+        this.addToGlobalCells('local-wfc', localResult.tiles)
+        this.log(`[${ctx.gridKey}] Local-WFC re-solved ${localResult.tiles.length} cells`, 'color: blue')
+
+        // Rebuild context from updated globalCells
+        ctx.fixedCells = this.getFixedCellsForRegion(ctx.solveCells)
+        ctx.riverContext = this.getRiverContext(ctx.solveZone)
+        const newSolveSet = new Set(ctx.solveCells.map(c => cubeKey(c.q, c.r, c.s)))
+        const newFixedSet = new Set(ctx.fixedCells.map(fc => cubeKey(fc.q, fc.r, fc.s)))
+        ctx.anchorMap.clear()
+        for (const fc of ctx.fixedCells) {
+          ctx.anchorMap.set(cubeKey(fc.q, fc.r, fc.s), this.getAnchorsForCell(fc, newSolveSet, newFixedSet))
+        }
+        ctx.persistedUnfixedKeys.clear()
+        ctx.persistedUnfixedOriginals.clear()
+
+        // Retry main grid WFC
+        const retryResult = await this.runWfcAttempt(ctx, { onProgress, signal })
+        if (retryResult.success) {
+          result = retryResult.tiles
+          resultCollapseOrder = retryResult.collapseOrder
+          changedFixedCells = retryResult.changedFixedCells || []
+          unfixedKeys = retryResult.unfixedKeys || []
+          stats.backtracks += retryResult.backtracks || 0
+          stats.skippedDecisions += retryResult.skippedDecisions || 0
+          stats.tries += retryResult.tries || 0
+          stats.riverRepairs += retryResult.riverRepairs
+          break
+        }
+
+        stats.backtracks += retryResult.backtracks || 0
+        stats.skippedDecisions += retryResult.skippedDecisions || 0
+        stats.tries += retryResult.tries || 0
+        if (retryResult.cancelled) return cancelledResult()
+        onFailure?.(retryResult)
+        failedCell = retryResult.failedCell
+        isNeighborConflict = retryResult.isNeighborConflict
+        sourceKey = retryResult.sourceKey
+      }
+
+      // Drop phase: Drop fixed cells one by one, sorted by proximity to failed cell
+      // Clear persisted-unfixed state — their anchors create undroppable constraints
+      ctx.persistedUnfixedKeys.clear()
+      ctx.persistedUnfixedOriginals.clear()
+      while (!result) {
+        const dropCandidates = ctx.fixedCells.filter(fc => !fc.dropped && !fc.locked)
+        if (dropCandidates.length === 0) {
+          blockingLocks = this.describeLocks(ctx.fixedCells, failedCell)
+          break
+        }
+
+        if (failedCell) {
+          dropCandidates.sort((a, b) => {
+            const distA = cubeDistance(a.q, a.r, a.s, failedCell.q, failedCell.r, failedCell.s)
+            const distB = cubeDistance(b.q, b.r, b.s, failedCell.q, failedCell.r, failedCell.s)
+            return distA - distB
+          })
+        }
+
+        const fcToDrop = dropCandidates[0]
+        const co = cubeToOffset(fcToDrop.q, fcToDrop.r, fcToDrop.s)
+        onDrop?.(fcToDrop)
+        droppedFixedCubes.push({ q: fcToDrop.q, r: fcToDrop.r, s: fcToDrop.s })
+        fcToDrop.dropped = true
+        stats.postDroppedCount++
+        const tileName = TILE_LIST[fcToDrop.type]?.name ?? fcToDrop.type
+        this.log(`[${ctx.gridKey}] Dropped (${co.col},${co.row}) ${tileName}`, 'color: red')
+
+        const wfcResult = await this.runWfcAttempt(ctx, { onProgress, signal })
+        if (wfcResult.success) {
+          result = wfcResult.tiles
+          resultCollapseOrder = wfcResult.collapseOrder
+          changedFixedCells = wfcResult.changedFixedCells || []
+          unfixedKeys = wfcResult.unfixedKeys || []
+          stats.backtracks += wfcResult.backtracks || 0
+          stats.skippedDecisions += wfcResult.skippedDecisions || 0
+          stats.tries += wfcResult.tries || 0
+          stats.riverRepairs += wfcResult.riverRepairs
+
+        } else {
+          stats.backtracks += wfcResult.backtracks || 0
+          stats.skippedDecisions += wfcResult.skippedDecisions || 0
+          stats.tries += wfcResult.tries || 0
+          if (wfcResult.cancelled) return cancelledResult()
+
+          onFailure?.(wfcResult)
+          if (wfcResult.failedCell) failedCell = wfcResult.failedCell
+        }
+      }
+    }
+
+    return { result, resultCollapseOrder, changedFixedCells, unfixedKeys, droppedFixedCubes, blockingLocks, stats, cancelled: false }
+  }
+
+  /**
+   * Write a successful Grid-WFC result into globalCells.
+   * Changed neighbor cells are updated in place and keep their original gridKey;
+   * unfixed cells stay in their source grid.
+   * @param {Object} ctx - Populate context from setupPopulateContext
+   * @param {Object} solveResult - Result of runWfcWithRecovery (result must be non-null)
+   * @param {Function} onReplaced - (existing, tile) called before a neighbor cell is overwritten
+   * @returns {Set<string>} cubeKeys of unfixed cells (not added under ctx.gridKey)
+   */
+  commitPopulateResult(ctx, solveResult, onReplaced) {
+    const { result, changedFixedCells, unfixedKeys } = solveResult
+
+    const replaceCell = (key, tile) => {
+      const existing = this.globalCells.get(key)
+      if (!existing) return
+      onReplaced?.(existing, tile)
+      existing.type = tile.type
+      existing.rotation = tile.rotation
+      existing.level = tile.level
+    }
+
+    // Process changed fixed cells BEFORE addToGlobalCells (which would overwrite gridKey)
+    for (const changed of changedFixedCells) {
+      replaceCell(cubeKey(changed.q, changed.r, changed.s), changed)
+    }
+
+    // Persisted-unfixed cells — compare solved result with originals
+    for (const [key, original] of ctx.persistedUnfixedOriginals) {
+      const solvedTile = result.find(t => cubeKey(t.q, t.r, t.s) === key)
+      if (!solvedTile) continue
+      if (solvedTile.type !== original.type || solvedTile.rotation !== original.rotation || solvedTile.level !== original.level) {
+        replaceCell(key, solvedTile)
+      }
+    }
+
+    // Add results to global cell map (exclude unfixed cells — they stay in their source grid)
+    const unfixedSet = new Set([...unfixedKeys, ...ctx.persistedUnfixedKeys])
+    const resultForGlobal = unfixedSet.size > 0
+      ? result.filter(t => !unfixedSet.has(cubeKey(t.q, t.r, t.s)))
+      : result
+    this.addToGlobalCells(ctx.gridKey, resultForGlobal)
+    return unfixedSet
+  }
+
+  /**
+   * Road connectivity pass (see RoadNetwork.js). 'repair' re-solves the cells between each
+   * disconnected component and its nearest other component, with the cells on the line between
+   * them required to carry a road along it. 'strict' also re-solves the components still disconnected
+   * afterwards without road tiles. A re-solve is only applied if it leaves fewer components disconnected.
+   * @param {'off'|'repair'|'strict'} mode
+   * @param {Object} options
+   * @param {number} options.seed - Pass seed (each re-solve derives its own), or null for the worker's stream
+   * @param {AbortSignal} options.signal - Cancels the pass (see solveWfcAsync)
+   * @param {Function} options.applyResult - (result, seed, label) commits a re-solve to globalCells
+   *   (defaults to addToGlobalCells; HexMap also renders it)
+   * @param {Function} options.canExtend - ({q, r, s}) => whether an unsolved cell can still be built
+   *   (see getRoadComponents; default any)
+   * @returns {Promise<Object>} { linked, pruned, components, open, remaining, cancelled }
+   */
+  async enforceRoadConnectivity(mode, { seed = null, signal, applyResult, canExtend } = {}) {
+    const apply = applyResult ?? ((result) => this.addToGlobalCells('road-wfc', result.tiles))
+    const report = { linked: 0, pruned: 0, components: 0, open: 0, remaining: 0, cancelled: false }
+    const components = (cells) => getRoadComponents(cells, canExtend)
+    const countDisconnected = (cells) => getDisconnectedComponents(components(cells)).length
+    let solveCount = 0
+
+    // Solve, then apply only if fewer components are left disconnected
+    const tryResolve = async (solveCells, options, label) => {
+      const solveSeed = deriveSeed(seed, `roads:${++solveCount}`)
+      const result = await this.solveWfcAsync(solveCells, this.getFixedCellsForRegion(solveCells), {
+        tileTypes: this.getDefaultTileTypes(), maxTries: 5, quiet: true, signal, seed: solveSeed, ...options,
+      })
+      if (result.cancelled) {
+        report.cancelled = true
+        return false
+      }
+      if (!result.success || !result.tiles) return false
+      const after = new Map(this.globalCells)
+      for (const t of result.tiles) after.set(cubeKey(t.q, t.r, t.s), { ...after.get(cubeKey(t.q, t.r, t.s)), ...t })
+      if (countDisconnected(after) >= countDisconnected(this.globalCells)) return false
+      await apply(result, solveSeed, label)
+      return true
+    }
+
+    // Components already given up on, by any of their cells
+    const skipped = new Set()
+    const nextComponent = () => {
+      const all = components(this.globalCells)
+      const comp = getDisconnectedComponents(all).reverse().find(c => !c.keys.some(k => skipped.has(k)))
+      return comp ? { comp, others: all.filter(c => c !== comp) } : null
+    }
+
+    if (mode === 'repair' || mode === 'strict') {
+      for (let next = nextComponent(); next && !report.cancelled; next = nextComponent()) {
+        const { comp, others } = next
+        const link = findRoadLink(comp, others)
+        let linked = false
+        if (link && link.distance <= MAX_ROAD_LINK) {
+          const path = cubeLine(link.from, link.to)
+          const region = new Map()
+          for (const c of path) {
+            for (const n of cubeCoordsInRadius(c.q, c.r, c.s, 1)) region.set(cubeKey(n.q, n.r, n.s), n)
+          }
+          const solveCells = this.filterSolveCells([...region.values()])
+          // Painted constraints win over the road requirement
+          const cellFilters = this.getCellFilters(solveCells)
+          const constrained = new Set(cellFilters.map(f => cubeKey(f.q, f.r, f.s)))
+          path.forEach((c, i) => {
+            const key = cubeKey(c.q, c.r, c.s)
+            if (constrained.has(key) || !this.globalCells.has(key)) return
+            // Road edges toward the previous and next cells on the line, so a solve joins them up
+            const sides = [path[i - 1], path[i + 1]].filter(Boolean).map(n =>
+              HexDir[CUBE_DIRS.findIndex(d => d.dq === n.q - c.q && d.dr === n.r - c.r)]
+            )
+            cellFilters.push({ ...c, filter: `road:${sides.join(',')}` })
+          })
+          const co = cubeToOffset(link.from.q, link.from.r, link.from.s)
+          for (let i = 0; i < ROAD_LINK_TRIES && !linked && !report.cancelled; i++) {
+            linked = await tryResolve(solveCells, { cellFilters }, `roads link (${co.col},${co.row})`)
+          }
+        }
+        if (linked) report.linked++
+        else for (const k of comp.keys) skipped.add(k)
+      }
+    }
+
+    if (mode === 'strict') {
+      const noRoadTypes = getBrushTileTypes({ filter: 'deny', edges: { road: true } })
+      skipped.clear()
+      for (let next = nextComponent(); next && !report.cancelled; next = nextComponent()) {
+        const { comp } = next
+        const solveCells = this.filterSolveCells(comp.keys.map(parseCubeKey))
+        const first = parseCubeKey(comp.keys[0])
+        const co = cubeToOffset(first.q, first.r, first.s)
+        const pruned = solveCells.length > 0 && await tryResolve(solveCells, {
+          solveTypes: noRoadTypes, cellFilters: this.getCellFilters(solveCells),
+        }, `roads prune (${co.col},${co.row})`)
+        if (pruned) report.pruned++
+        else for (const k of comp.keys) skipped.add(k)
+      }
+    }
+
+    const final = components(this.globalCells)
+    report.components = final.length
+    report.open = final.filter(c => c.open).length
+    report.remaining = getDisconnectedComponents(final).length
+    return report
+  }
+
+  /**
+   * Set the map shape: rivers leaving it are dead ends
+   * @param {number} gridRadius
+   * @param {number} rings - Grid rings around the center grid (2 = 19 grids)
+   */
+  setMapBounds(gridRadius, rings) {
+    this.mapCells = new Set()
+    for (const { cells } of getGridLayout(gridRadius, rings)) {
+      for (const c of cells) this.mapCells.add(cubeKey(c.q, c.r, c.s))
+    }
+  }
+
+  /**
+   * River context for a solve's river check (see HexWFCSolver): the solved river cells inside a zone,
+   * and the cells of the zone and its boundary that lie outside the map (rivers into them are dead
+   * ends). Limited to the zone so the result only depends on cells the solving job owns.
+   * @param {Set<string>|string[]} zone - cubeKeys (e.g. getSolveZone)
+   * @returns {{ riverCells: Array, riverDeadEnds: Array }}
+   */
+  getRiverContext(zone) {
+    const riverCells = []
+    const deadEnds = new Map()
+    const addDeadEnd = (q, r, s) => {
+      const key = cubeKey(q, r, s)
+      if (!this.mapCells.has(key)) deadEnds.set(key, { q, r, s })
+    }
+    for (const key of zone) {
+      const cell = this.globalCells.get(key)
+      if (cell && getRiverDirs(cell).length > 0) {
+        const { q, r, s, type, rotation, level } = cell
+        riverCells.push({ q, r, s, type, rotation, level })
+      }
+      if (!this.mapCells) continue
+      const { q, r, s } = parseCubeKey(key)
+      addDeadEnd(q, r, s)
+      for (const { dq, dr, ds } of CUBE_DIRS) addDeadEnd(q + dq, r + dr, s + ds)
+    }
+    return { riverCells, riverDeadEnds: [...deadEnds.values()] }
+  }
+
+  /**
+   * Trace river flow (see RiverNetwork.js). Unsolved cells inside the map count as open, since a
+   * river may still reach the sea through them.
+   * @param {Map} cells - cube key → cell (default globalCells)
+   */
+  traceRivers(cells = this.globalCells) {
+    return traceRiverFlow(cells, ({ q, r, s }) => !this.mapCells || this.mapCells.has(cubeKey(q, r, s)))
+  }
+
+  /**
+   * Trace river flow over globalCells into riverFlow
+   * @returns {string[]} Keys of river cells with no downhill path to the sea
+   */
+  updateRiverFlow() {
+    const { flow, invalid } = this.traceRivers()
+    this.riverFlow = flow
+    return invalid
+  }
+
+  /**
+   * Map-wide river repair. Each solve repairs its own rivers (see the riverFlow solver option), but a
+   * grid's river can run into a placeholder and only dead-end once that grid is built, partly in
+   * cells the second solve can't change. This re-solves every river cell with no downhill path to the
+   * sea river-free, with the cells around it (wider each pass), keeping a re-solve only if fewer
+   * such cells are left.
+   * @param {Object} options
+   * @param {number} options.seed - Pass seed (each re-solve derives its own), or null for the worker's stream
+   * @param {AbortSignal} options.signal - Cancels the pass (see solveWfcAsync)
+   * @param {Function} options.applyResult - (result, seed, label) commits a re-solve to globalCells
+   *   (defaults to addToGlobalCells; HexMap also renders it)
+   * @returns {Promise<Object>} { repaired, remaining, cancelled } — remaining: river cells still cut off
+   */
+  async repairRivers({ seed = null, signal, applyResult } = {}) {
+    const apply = applyResult ?? ((result) => this.addToGlobalCells('river-wfc', result.tiles))
+    const report = { repaired: 0, remaining: 0, cancelled: false }
+    let invalid = this.updateRiverFlow()
+    for (let pass = 1; invalid.length > 0 && pass <= RIVER_REPAIR_PASSES; pass++) {
+      const region = new Map()
+      for (const key of invalid) {
+        const c = parseCubeKey(key)
+        for (const n of cubeCoordsInRadius(c.q, c.r, c.s, pass)) region.set(cubeKey(n.q, n.r, n.s), n)
+      }
+      const solveCells = this.filterSolveCells([...region.values()])
+      if (solveCells.length === 0) break
+      // Painted constraints win over keeping the cell dry
+      const cellFilters = this.getCellFilters(solveCells)
+      const constrained = new Set(cellFilters.map(f => cubeKey(f.q, f.r, f.s)))
+      for (const key of invalid) {
+        if (!constrained.has(key) && !this.isLocked(key)) cellFilters.push({ ...parseCubeKey(key), filter: 'no-river' })
+      }
+      const solveSeed = deriveSeed(seed, `rivers:${pass}`)
+      const result = await this.solveWfcAsync(solveCells, this.getFixedCellsForRegion(solveCells), {
+        tileTypes: this.getDefaultTileTypes(), maxTries: 5, quiet: true, signal, seed: solveSeed, cellFilters,
+      })
+      if (result.cancelled) {
+        report.cancelled = true
+        break
+      }
+      if (!result.success || !result.tiles) continue
+      const after = new Map(this.globalCells)
+      for (const t of result.tiles) after.set(cubeKey(t.q, t.r, t.s), { ...after.get(cubeKey(t.q, t.r, t.s)), ...t })
+      if (this.traceRivers(after).invalid.length >= invalid.length) continue
+      await apply(result, solveSeed, `rivers (${invalid.length} cells)`)
+      report.repaired++
+      invalid = this.updateRiverFlow()
+    }
+    report.remaining = invalid.length
+    return report
+  }
+
   /** Get default tile types for WFC */
   getDefaultTileTypes() {
     return TILE_LIST.map((_, i) => i)
@@ -0,0 +1,84 @@
+import { Group, InstancedMesh, Mesh, MeshStandardMaterial, Scene } from 'three/webgpu'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import { HexTileGeometry } from '../HexTiles.js'
+import { collectMapInstances } from './MapInstances.js'
+
+/**
+ * Export the map as a binary glTF (.glb)
+ * @param {HexMap} hexMap
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function exportGLB(hexMap) {
+  return new GLTFExporter().parseAsync(buildExportScene(hexMap), { binary: true })
+}
+
+/**
+ * Build a plain three.js scene for export: one node per populated grid (named by grid key) with
+ * tiles, bottom fills and decorations as one InstancedMesh per mesh type, which GLTFExporter
+ * writes as EXT_mesh_gpu_instancing nodes. Meshes use the GLB's own materials, not the TSL
+ * biome blend (whose instance colors encode level, not color). Geometry is shared, not copied.
+ * @param {HexMap} hexMap
+ * @returns {Scene}
+ */
+export function buildExportScene(hexMap) {
+  const scene = new Scene()
+  const materials = new Map()  // mesh name → GLB material
+
+  // grid key → part → mesh name → { geometry, matrices }
+  const grids = new Map()
+  for (const { gridKey, gridPosition, part, name, geometry, matrix } of collectMapInstances(hexMap)) {
+    if (!grids.has(gridKey)) grids.set(gridKey, { position: gridPosition, parts: new Map() })
+    const parts = grids.get(gridKey).parts
+    if (!parts.has(part)) parts.set(part, new Map())
+    if (!parts.get(part).has(name)) parts.get(part).set(name, { geometry, matrices: [] })
+    parts.get(part).get(name).matrices.push(matrix)
+  }
+
+  for (const [gridKey, { position, parts }] of grids) {
+    const gridNode = new Group()
+    gridNode.name = gridKey
+    gridNode.position.copy(position)
+    for (const [part, meshes] of parts) {
+      const partNode = new Group()
+      partNode.name = part
+      for (const [name, { geometry, matrices }] of meshes) {
+        const mesh = new InstancedMesh(geometry, getGlbMaterial(name, materials), matrices.length)
+        mesh.name = name
+        matrices.forEach((m, i) => mesh.setMatrixAt(i, m))
+        partNode.add(mesh)
+      }
+      gridNode.add(partNode)
+    }
+    scene.add(gridNode)
+  }
+
+  // Water plane: the app's water is an animated TSL shader, so export a plain translucent surface
+  const waterPlane = hexMap.waterPlane
+  if (waterPlane) {
+    const water = new Mesh(waterPlane.geometry, new MeshStandardMaterial({
+      name: 'water',
+      color: 0x9fd3e6,
+      roughness: 0.1,
+      transparent: true,
+      opacity: 0.3,
+    }))
+    water.name = 'water'
+    water.position.copy(waterPlane.position)
+    water.quaternion.copy(waterPlane.quaternion)
+    scene.add(water)
+  }
+
+  return scene
+}
+
+/** Material of the named mesh in the tiles GLB (falls back to the first GLB material) */
+function getGlbMaterial(meshName, materials) {
+  if (!materials.has(meshName)) {
+    let material = null
+    HexTileGeometry.gltfScene?.traverse((child) => {
+      if (!material && child.name === meshName && child.material) material = child.material
+    })
+    materials.set(meshName, material ?? HexTileGeometry.material)
+  }
+  return materials.get(meshName)
+}
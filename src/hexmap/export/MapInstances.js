@@ -0,0 +1,77 @@
+import { Matrix4 } from 'three/webgpu'
+import { TILE_LIST } from '../HexTileData.js'
+import { HexTileGeometry } from '../HexTiles.js'
+import { Decorations } from '../Decorations.js'
+import { HexGridState } from '../HexGrid.js'
+import { getGridKey } from '../HexGridConnector.js'
+
+const BOTTOM_MESH = 'hex_grass_bottom'
+
+// Decorations arrays whose items hold an instanceId in the decorations BatchedMesh
+const DECORATION_LISTS = ['trees', 'buildings', 'windmillFans', 'bridges', 'waterlilies', 'flowers', 'rocks', 'hills', 'mountains']
+
+/**
+ * Every visible tile, bottom fill and decoration instance of the populated grids, read back from
+ * their BatchedMeshes (so mid-animation transforms are exported as shown)
+ * @param {HexMap} hexMap
+ * @param {Object} options - { decorations }: include decorations (default true)
+ * @returns {Array<{ gridKey, gridPosition: Vector3, part: 'tiles'|'bottom_fills'|'decorations', name, geometry, matrix: Matrix4 }>}
+ *   matrix is relative to the grid's group (at gridPosition); geometry is shared, not copied
+ */
+export function collectMapInstances(hexMap, { decorations = true } = {}) {
+  const instances = []
+  for (const grid of hexMap.grids.values()) {
+    if (grid.state !== HexGridState.POPULATED || !grid.hexMesh) continue
+    const gridKey = getGridKey(grid.gridCoords.x, grid.gridCoords.z)
+    const add = (part, batched, ids, geoms, names) => {
+      for (const instance of readInstances(batched, ids, geoms, names)) {
+        instances.push({ gridKey, gridPosition: grid.group.position, part, ...instance })
+      }
+    }
+
+    // Tiles and bottom fills share the grid's BatchedMesh
+    const tileNames = new Map()
+    const tileGeoms = new Map()
+    for (const [type, geomId] of grid.geomIds) {
+      tileNames.set(geomId, TILE_LIST[type].mesh)
+      tileGeoms.set(geomId, HexTileGeometry.geoms.get(type))
+    }
+    const tileIds = grid.hexTiles.map(t => t.instanceId).filter(id => id !== null && id !== undefined)
+    add('tiles', grid.hexMesh, tileIds, tileGeoms, tileNames)
+
+    if (grid.bottomGeomId !== null && grid.bottomFills.size > 0) {
+      add('bottom_fills', grid.hexMesh, grid.bottomFills.values(),
+        new Map([[grid.bottomGeomId, HexTileGeometry.bottomGeom]]),
+        new Map([[grid.bottomGeomId, BOTTOM_MESH]]))
+    }
+
+    const dec = grid.decorations
+    if (decorations && dec?.mesh) {
+      const decNames = new Map()
+      const decGeoms = new Map()
+      for (const [name, geomId] of dec.geomIds) {
+        decNames.set(geomId, name)
+        decGeoms.set(geomId, Decorations.cachedGeoms.get(name))
+      }
+      // Windmill fans are also in buildings, so dedupe
+      const decIds = new Set(DECORATION_LISTS.flatMap(list => dec[list].map(item => item.instanceId)))
+      add('decorations', dec.mesh, decIds, decGeoms, decNames)
+    }
+  }
+  return instances
+}
+
+/** Visible, non-zero-scale instances of a BatchedMesh with their source geometry */
+function readInstances(batched, instanceIds, geoms, names) {
+  const out = []
+  for (const id of instanceIds) {
+    if (id < 0 || !batched.getVisibleAt(id)) continue
+    const matrix = batched.getMatrixAt(id, new Matrix4())
+    if (matrix.determinant() === 0) continue
+    const geomId = batched.getGeometryIdAt(id)
+    const geometry = geoms.get(geomId)
+    if (!geometry) continue
+    out.push({ name: names.get(geomId), geometry, matrix })
+  }
+  return out
+}
@@ -0,0 +1,87 @@
+/**
+ * Minimal grayscale PNG encoder - no browser/Three.js dependencies
+ * Deflates with CompressionStream (browsers, Node 18+)
+ */
+
+const SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]
+
+let crcTable = null
+
+/**
+ * Encode a grayscale image as PNG
+ * @param {Uint8Array|Uint16Array} pixels - Row-major, one value per pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bitDepth - 8 or 16
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeGrayscalePNG(pixels, width, height, bitDepth = 8) {
+  const bytesPerPixel = bitDepth / 8
+  const stride = width * bytesPerPixel + 1
+  const raw = new Uint8Array(stride * height)
+  for (let y = 0; y < height; y++) {
+    // Filter byte 0 (none) per row, then big-endian samples
+    const row = y * stride + 1
+    for (let x = 0; x < width; x++) {
+      const v = pixels[y * width + x]
+      if (bitDepth === 16) {
+        raw[row + x * 2] = v >> 8
+        raw[row + x * 2 + 1] = v & 0xFF
+      } else {
+        raw[row + x] = v
+      }
+    }
+  }
+
+  const header = new Uint8Array(13)
+  const view = new DataView(header.buffer)
+  view.setUint32(0, width)
+  view.setUint32(4, height)
+  header[8] = bitDepth
+  header[9] = 0  // Grayscale
+
+  const parts = [
+    new Uint8Array(SIGNATURE),
+    chunk('IHDR', header),
+    chunk('IDAT', await deflate(raw)),
+    chunk('IEND', new Uint8Array(0)),
+  ]
+  const png = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0))
+  let offset = 0
+  for (const p of parts) {
+    png.set(p, offset)
+    offset += p.length
+  }
+  return png
+}
+
+/** Length + type + data + CRC */
+function chunk(type, data) {
+  const out = new Uint8Array(data.length + 12)
+  const view = new DataView(out.buffer)
+  view.setUint32(0, data.length)
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i)
+  out.set(data, 8)
+  view.setUint32(8 + data.length, crc32(out, 4, 8 + data.length))
+  return out
+}
+
+/** zlib-wrapped deflate (what IDAT expects) */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+function crc32(bytes, start, end) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let c = 0xFFFFFFFF
+  for (let i = start; i < end; i++) c = crcTable[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8)
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
@@ -0,0 +1,808 @@
+/**
+ * 3D-print export (STL / OBJ) - one closed, manifold solid on a flat base plate
+ *
+ * Tiles are welded from their own geometry: every tile is a closed prism, so each hex is kept as
+ * its tile's top surface, filled straight down to the base plate (which is what the bottom fills
+ * under raised tiles describe). The prisms' side walls and bottoms are dropped. Seams between
+ * neighbours share vertices, with T-junctions split, and walls are only built where neighbouring
+ * tops differ (level cliffs, river and coast banks) and around the outer boundary. A tile whose
+ * mesh has no clean top surface (the river end) is sampled on a fine lattice over its hex instead.
+ *
+ * Decoration meshes are open shells that sink into the tiles, so they can't be welded. With
+ * decorations on, everything is instead rasterized top-down into a max-height grid and
+ * triangulated as a solid. That is an approximation: detail smaller than a sample is lost, cliffs
+ * become one-sample ramps and overhangs (tree canopies, bridges) fill down to the ground.
+ *
+ * Output is in millimetres, Z up, with the base plate from Z = 0 to baseMm.
+ */
+
+import { BufferAttribute, BufferGeometry, Matrix4, Mesh, Vector3 } from 'three/webgpu'
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js'
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js'
+import { HexTileGeometry } from '../HexTiles.js'
+import { collectMapInstances } from './MapInstances.js'
+
+export const PRINT_FORMATS = ['stl', 'obj']
+
+export const PRINT_DEFAULTS = {
+  widthMm: 150,        // Print size along X
+  baseMm: 3,           // Base plate thickness
+  decorations: false,  // Include trees, buildings, mountains... (switches to the sampled heightfield)
+  samplesPerHex: 12,   // Heightfield resolution with decorations: samples across one hex
+}
+
+// Barycentric tolerance, so samples on shared tile edges are covered by both tiles
+const EDGE_EPSILON = 1e-6
+
+// Welding (world units): a tile's vertices closer than TILE_WELD_DISTANCE are merged, top edges
+// within SNAP_DISTANCE of the hex outline are moved onto it (one tile's side is slightly inset),
+// seam vertices closer than 1 / WELD_PRECISION are merged, and seam positions closer than
+// PARAM_EPSILON (along the edge, 0 to 1) share a station
+const TILE_WELD_DISTANCE = 2e-3
+const SNAP_DISTANCE = 0.15
+const WELD_PRECISION = 1e4
+const PARAM_EPSILON = 1e-4
+
+// Lattice divisions per hex side for tiles whose top can't be taken from their own triangles
+const TOP_SAMPLES = 12
+
+/**
+ * Export the populated grids as a printable file
+ * @param {HexMap} hexMap
+ * @param {Object} options - { format: 'stl'|'obj', ...PRINT_DEFAULTS }
+ * @returns {ArrayBuffer|string} Binary STL or OBJ text
+ */
+export function exportPrint(hexMap, { format = 'stl', ...options } = {}) {
+  if (!PRINT_FORMATS.includes(format)) throw new Error(`Unknown print format "${format}"`)
+  const mesh = new Mesh(buildPrintGeometry(hexMap, options))
+  if (format === 'obj') return new OBJExporter().parse(mesh)
+  return new STLExporter().parse(mesh, { binary: true }).buffer
+}
+
+/**
+ * Build the print solid for the populated grids
+ * @param {HexMap} hexMap
+ * @param {Object} options - PRINT_DEFAULTS
+ * @returns {BufferGeometry} Indexed, in mm, Z up
+ */
+export function buildPrintGeometry(hexMap, options = {}) {
+  const { decorations } = { ...PRINT_DEFAULTS, ...options }
+  const meshes = collectMapInstances(hexMap, { decorations })
+    .filter(i => decorations || i.part === 'tiles')
+    .map(i => ({
+      name: i.name,
+      geometry: i.geometry,
+      matrix: new Matrix4().makeTranslation(i.gridPosition.x, i.gridPosition.y, i.gridPosition.z).multiply(i.matrix),
+    }))
+  return decorations ? buildHeightfieldSolid(meshes, options) : buildWeldedSolid(meshes, options)
+}
+
+/**
+ * Weld tile instances (world Y up, on the hex lattice) into a closed solid on a base plate
+ * @param {Array<{ name, geometry: BufferGeometry, matrix: Matrix4 }>} tiles
+ * @param {Object} options - PRINT_DEFAULTS (decorations and samplesPerHex are ignored)
+ * @returns {BufferGeometry} Indexed, in mm, Z up
+ */
+export function buildWeldedSolid(tiles, options = {}) {
+  const { widthMm, baseMm } = { ...PRINT_DEFAULTS, ...options }
+  if (tiles.length === 0) return new BufferGeometry()
+
+  const columns = tiles.map(tileColumn)
+  let minX = Infinity, maxX = -Infinity, maxZ = -Infinity
+  for (const { corners } of columns) {
+    for (const [x, z] of corners) {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x); maxZ = Math.max(maxZ, z)
+    }
+  }
+  const scale = widthMm / (maxX - minX)
+  const bottomY = -baseMm / scale
+
+  const solid = new SolidBuilder()
+  for (const column of columns) solid.addColumn(column)
+  solid.weldSeams(bottomY)
+
+  const positions = new Float32Array(solid.positions.length)
+  for (let i = 0; i < positions.length; i += 3) {
+    // World (x, y, z) Y up → print (X, Y, Z) Z up: a rotation about X, so winding is kept
+    const [x, y, z] = solid.positions.slice(i, i + 3)
+    positions[i] = (x - minX) * scale
+    positions[i + 1] = (maxZ - z) * scale
+    positions[i + 2] = baseMm + y * scale
+  }
+  const geometry = new BufferGeometry()
+  geometry.setAttribute('position', new BufferAttribute(positions, 3))
+  geometry.setIndex(new BufferAttribute(new Uint32Array(solid.indices), 1))
+  return geometry
+}
+
+/** Corners of the hex around (x, z), counter-clockwise from the +Z point; edge e runs from corner e to e + 1 */
+function hexCorners(x, z) {
+  const w = HexTileGeometry.HEX_WIDTH / 2, h = HexTileGeometry.HEX_HEIGHT / 2
+  return [[x, z + h], [x - w, z + h / 2], [x - w, z - h / 2], [x, z - h], [x + w, z - h / 2], [x + w, z + h / 2]]
+}
+
+/**
+ * A tile's top surface in world space and its boundary loop, snapped onto the hex outline. The
+ * tile's own triangles are used, minus the prism's side walls and bottom; a few meshes have slivers
+ * or stray walls in their top, and those are sampled on a fine triangular lattice instead.
+ * @returns {{ center, corners, vertices: number[][], triangles: number[][], loop: Array<{ id, edge, t, corner }> }}
+ *   loop: boundary vertices in order; edge/t place them on the outline, corner is -1 or a corner index
+ */
+function tileColumn({ name, geometry, matrix }) {
+  const center = new Vector3().setFromMatrixPosition(matrix)
+  const corners = hexCorners(center.x, center.z)
+  const { vertices, triangles } = weldTriangles(geometry, matrix)
+  const top = topTriangles(vertices, triangles, corners)
+  const loop = outlineLoop(vertices, top, corners)
+  if (loop) return { center, corners, vertices, triangles: top, loop }
+
+  const sampled = sampleTop(vertices, triangles, center, corners)
+  const sampledLoop = outlineLoop(sampled.vertices, sampled.triangles, corners)
+  if (!sampledLoop) throw new Error(`Print export: couldn't build the top surface of ${name}`)
+  return { center, corners, ...sampled, loop: sampledLoop }
+}
+
+/**
+ * World-space triangles of a tile, with vertices closer than TILE_WELD_DISTANCE welded (they are
+ * split by normals and UVs, and some meshes have near-duplicates joined by slivers)
+ */
+function weldTriangles(geometry, matrix) {
+  const vertices = []
+  const cells = new Map()  // grid cell → [vertex id]
+  const position = geometry.attributes.position
+  const index = geometry.index
+  const v = new Vector3()
+  const vertexAt = (k) => {
+    v.fromBufferAttribute(position, index ? index.getX(k) : k).applyMatrix4(matrix)
+    const cell = [v.x, v.y, v.z].map(c => Math.round(c / TILE_WELD_DISTANCE))
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const near = cells.get(`${cell[0] + dx},${cell[1] + dy},${cell[2] + dz}`) ?? []
+          const id = near.find(i => v.distanceTo(new Vector3(...vertices[i])) < TILE_WELD_DISTANCE)
+          if (id !== undefined) return id
+        }
+      }
+    }
+    const key = cell.join(',')
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(vertices.length)
+    vertices.push([v.x, v.y, v.z])
+    return vertices.length - 1
+  }
+  const triangles = []
+  const count = index ? index.count : position.count
+  for (let k = 0; k < count; k += 3) triangles.push([vertexAt(k), vertexAt(k + 1), vertexAt(k + 2)])
+  return { vertices, triangles }
+}
+
+/** The triangles left once the side walls (facing out near an outline edge, or lying on one), the bottom and slivers are dropped */
+function topTriangles(vertices, triangles, corners) {
+  const baseY = Math.min(...vertices.map(p => p[1]))
+  return triangles.filter((tri) => {
+    if (tri[0] === tri[1] || tri[1] === tri[2] || tri[2] === tri[0]) return false
+    const [a, b, c] = tri.map(i => vertices[i])
+    const n = triangleNormal(a, b, c)
+    if (!n) return false
+    if ([a, b, c].every(p => p[1] - baseY < 1e-3)) return false
+    const height = Math.max(a[1], b[1], c[1]) - Math.min(a[1], b[1], c[1])
+    return height < 1e-3 || !corners.some((p, e) => {
+      const q = corners[(e + 1) % 6]
+      const out = [q[1] - p[1], p[0] - q[0]]  // Edge direction turned clockwise, seen from above
+      const facing = (n[0] * out[0] + n[2] * out[1]) / Math.hypot(...out)
+      const distance = Math.max(...[a, b, c].map(v => outlineDistance(v, p, q)))
+      return (facing > 0.9 && distance < SNAP_DISTANCE) || distance < TILE_WELD_DISTANCE
+    })
+  })
+}
+
+/**
+ * The single boundary loop of a surface, snapped onto the hex outline (the vertices are moved)
+ * @returns {Array<{ id, edge, t, corner }>|null} null if the surface isn't one disc reaching the outline
+ */
+function outlineLoop(vertices, triangles, corners) {
+  // Boundary: directed edges with no twin
+  const directed = new Set()
+  for (const [a, b, c] of triangles) directed.add(`${a},${b}`).add(`${b},${c}`).add(`${c},${a}`)
+  const next = new Map()
+  for (const key of directed) {
+    const [a, b] = key.split(',').map(Number)
+    if (directed.has(`${b},${a}`)) continue
+    if (next.has(a)) return null
+    next.set(a, b)
+  }
+  const ids = []
+  let id = next.keys().next().value
+  while (id !== undefined && ids.length <= next.size) {
+    ids.push(id)
+    id = next.get(id)
+    if (id === ids[0]) break
+  }
+  if (ids.length === 0 || ids.length !== next.size) return null
+
+  const loop = []
+  for (const id of ids) {
+    const p = vertices[id]
+    let best = null
+    corners.forEach((a, edge) => {
+      const b = corners[(edge + 1) % 6]
+      const d = outlineDistance(p, a, b)
+      if (!best || d < best.d) best = { d, edge, t: edgeParam(p, a, b) }
+    })
+    if (best.d > SNAP_DISTANCE) return null
+    const length = Math.hypot(corners[(best.edge + 1) % 6][0] - corners[best.edge][0], corners[(best.edge + 1) % 6][1] - corners[best.edge][1])
+    let { edge, t } = best
+    let corner = -1
+    if (t * length < 1e-3) { t = 0; corner = edge }
+    else if ((1 - t) * length < 1e-3) { edge = (edge + 1) % 6; t = 0; corner = edge }
+    loop.push({ id, edge, t, corner })
+  }
+  for (const { id, edge, t } of loop) {
+    const [x, z] = lerp2(corners[edge], corners[(edge + 1) % 6], t)
+    vertices[id][0] = x; vertices[id][2] = z
+  }
+  return loop
+}
+
+/**
+ * Top surface sampled on a triangular lattice: each of the hex's six center triangles is split
+ * TOP_SAMPLES times per side, and every lattice point takes the highest of the tile's triangles above it
+ */
+function sampleTop(meshVertices, meshTriangles, center, corners) {
+  const n = TOP_SAMPLES
+  const vertices = []
+  const ids = new Map()
+  // Point i steps out from the center and j along the outline, in the sector from corner e to e + 1
+  const point = (e, i, j) => {
+    const key = i === 0 ? 'center' : j === i ? `${(e + 1) % 6},${i},0` : `${e},${i},${j}`
+    if (!ids.has(key)) {
+      const a = corners[e], b = corners[(e + 1) % 6]
+      ids.set(key, vertices.length)
+      vertices.push([
+        center.x + (a[0] - center.x) * i / n + (b[0] - a[0]) * j / n,
+        null,
+        center.z + (a[1] - center.z) * i / n + (b[1] - a[1]) * j / n,
+      ])
+    }
+    return ids.get(key)
+  }
+  const triangles = []
+  const addTriangle = (a, b, c) => {
+    const [p, q, r] = [a, b, c].map(id => vertices[id])
+    const up = (q[2] - p[2]) * (r[0] - p[0]) - (q[0] - p[0]) * (r[2] - p[2]) > 0
+    triangles.push(up ? [a, b, c] : [a, c, b])
+  }
+  for (let e = 0; e < 6; e++) {
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j <= i; j++) {
+        addTriangle(point(e, i, j), point(e, i + 1, j), point(e, i + 1, j + 1))
+        if (j < i) addTriangle(point(e, i, j), point(e, i + 1, j + 1), point(e, i, j + 1))
+      }
+    }
+  }
+
+  for (const p of vertices) {
+    for (const tri of meshTriangles) {
+      const y = heightAt(tri.map(i => meshVertices[i]), p[0], p[2])
+      if (y !== null && (p[1] === null || y > p[1])) p[1] = y
+    }
+  }
+  // Points the mesh doesn't cover (an inset side) take their highest sampled neighbour
+  const neighbours = vertices.map(() => new Set())
+  for (const tri of triangles) {
+    for (const a of tri) for (const b of tri) if (a !== b) neighbours[a].add(b)
+  }
+  let missing = vertices.filter(p => p[1] === null)
+  while (missing.length > 0) {
+    const heights = vertices.map((p, id) => p[1] ?? Math.max(...[...neighbours[id]].map(k => vertices[k][1] ?? -Infinity)))
+    heights.forEach((y, id) => { if (y !== -Infinity) vertices[id][1] = y })
+    const left = vertices.filter(p => p[1] === null)
+    if (left.length === missing.length) throw new Error('Print export: tile has no top surface')
+    missing = left
+  }
+  return { vertices, triangles }
+}
+
+/** Height of triangle a-b-c ([x, y, z] arrays) above (x, z), or null if it isn't there or is vertical */
+function heightAt([a, b, c], x, z) {
+  const det = (b[2] - c[2]) * (a[0] - c[0]) + (c[0] - b[0]) * (a[2] - c[2])
+  if (Math.abs(det) < 1e-12) return null
+  const u = ((b[2] - c[2]) * (x - c[0]) + (c[0] - b[0]) * (z - c[2])) / det
+  const v = ((c[2] - a[2]) * (x - c[0]) + (a[0] - c[0]) * (z - c[2])) / det
+  const w = 1 - u - v
+  if (u < -EDGE_EPSILON || v < -EDGE_EPSILON || w < -EDGE_EPSILON) return null
+  return u * a[1] + v * b[1] + w * c[1]
+}
+
+/** Distance in XZ from point p ({x,y,z} array) to the segment a-b ([x, z] arrays) */
+function outlineDistance(p, a, b) {
+  const [x, z] = lerp2(a, b, Math.min(1, Math.max(0, edgeParam(p, a, b))))
+  return Math.hypot(p[0] - x, p[2] - z)
+}
+
+/** Position of p along a-b (0 at a, 1 at b), in XZ */
+function edgeParam(p, a, b) {
+  const dx = b[0] - a[0], dz = b[1] - a[1]
+  return ((p[0] - a[0]) * dx + (p[2] - a[1]) * dz) / (dx * dx + dz * dz)
+}
+
+/** Unit normal of triangle a-b-c ([x, y, z] arrays), or null if it has no area */
+function triangleNormal(a, b, c) {
+  const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]], v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]]
+  const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]]
+  const length = Math.hypot(...n)
+  return length < 1e-6 * Math.hypot(...u) * Math.hypot(...v) ? null : n.map(x => x / length)
+}
+
+function lerp2(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]
+}
+
+/**
+ * Indexed triangle soup for the welded solid. Vertices on the hex outline sit on vertical lines
+ * (a hex corner, or a point along a seam) and are shared by height, and every vertex on a line is
+ * tracked, so walls and steps on that line can be split wherever another vertex sits on it.
+ */
+class SolidBuilder {
+  constructor() {
+    this.positions = []
+    this.indices = []
+    this.shared = new Map()   // line key + height → vertex id
+    this.lineOf = []          // vertex id → line key (outline vertices only)
+    this.lines = new Map()    // line key → [vertex id]
+    this.corners = new Map()  // corner key → [x, z], so neighbours use the same corner position
+    this.edges = new Map()    // outline edge key → { a, b, aKey, bKey, sides: [{ column, profile }] }
+    this.columns = []
+  }
+
+  vertex(x, y, z) {
+    this.positions.push(x, y, z)
+    return this.positions.length / 3 - 1
+  }
+
+  y(id) {
+    return this.positions[id * 3 + 1]
+  }
+
+  /** Shared vertex at height y on a vertical line */
+  lineVertex(line, x, z, y) {
+    // Check the neighbouring keys too, so heights either side of a rounding boundary still merge
+    const step = Math.round(y * WELD_PRECISION)
+    const key = `${line}|${step}`
+    let id = this.shared.get(key) ?? this.shared.get(`${line}|${step - 1}`) ?? this.shared.get(`${line}|${step + 1}`)
+    if (id === undefined) {
+      id = this.vertex(x, y, z)
+      this.shared.set(key, id)
+      this.lineOf[id] = line
+      if (!this.lines.has(line)) this.lines.set(line, [])
+      this.lines.get(line).push(id)
+    }
+    return id
+  }
+
+  /** Every vertex on the vertical line between two vertices on it, bottom to top */
+  chain(p, q) {
+    if (p === q) return [p]
+    const lo = Math.min(this.y(p), this.y(q)), hi = Math.max(this.y(p), this.y(q))
+    return this.lines.get(this.lineOf[p])
+      .filter(v => this.y(v) >= lo && this.y(v) <= hi)
+      .sort((u, w) => this.y(u) - this.y(w))
+  }
+
+  corner(p) {
+    const key = `${Math.round(p[0] * 1e3)},${Math.round(p[1] * 1e3)}`
+    if (!this.corners.has(key)) this.corners.set(key, p)
+    return { key, p: this.corners.get(key) }
+  }
+
+  edgeRecord(a, b) {
+    const key = a.key < b.key ? `${a.key}|${b.key}` : `${b.key}|${a.key}`
+    if (!this.edges.has(key)) {
+      const [first, second] = a.key < b.key ? [a, b] : [b, a]
+      this.edges.set(key, { key, a: first.p, b: second.p, aKey: first.key, bKey: second.key, sides: [] })
+    }
+    return this.edges.get(key)
+  }
+
+  /** Add a tile column, and its top boundary as one profile per outline edge */
+  addColumn({ center, corners, vertices, triangles, loop }) {
+    const column = {
+      center, vertices, triangles, loop,
+      corners: corners.map(p => this.corner(p)),
+      global: new Map(),      // tile vertex → solid vertex
+      insertions: new Map(),  // boundary edge key → [vertex id] added on it
+    }
+    this.columns.push(column)
+
+    for (const { id, corner } of loop) {
+      if (corner === -1) continue
+      const { key, p } = column.corners[corner]
+      column.global.set(id, this.lineVertex(key, p[0], p[1], vertices[id][1]))
+    }
+    for (let edge = 0; edge < 6; edge++) {
+      const a = column.corners[edge], b = column.corners[(edge + 1) % 6]
+      const record = this.edgeRecord(a, b)
+      const profile = edgeProfile(loop, edge)
+      // Profiles run from the record's first corner
+      record.sides.push({
+        column,
+        profile: a.key === record.aKey ? profile : profile.map(p => ({ id: p.id, t: 1 - p.t })).reverse(),
+      })
+    }
+  }
+
+  /** Split seams so neighbours share vertices, then add the walls, the tops and the bottom */
+  weldSeams(bottomY) {
+    for (const record of this.edges.values()) this.addStations(record, bottomY)
+    for (const record of this.edges.values()) this.addWalls(record)
+    for (const column of this.columns) {
+      this.addTop(column)
+      this.addBottom(column, bottomY)
+    }
+  }
+
+  /**
+   * Seam stations: one per vertex position along the edge on either side (plus where the two tops
+   * cross), each on its own vertical line, with the vertices each side has there. A side without a
+   * vertex at a station gets one inserted on its top's boundary edge.
+   */
+  addStations(record, bottomY) {
+    const { a, b, sides } = record
+    const lineAt = t => t === 0 ? record.aKey : t === 1 ? record.bKey : `${record.key}@${Math.round(t * 1e6)}`
+    const ts = sides.flatMap(side => side.profile.map(p => p.t)).sort((u, w) => u - w)
+    const stations = ts.filter((t, i) => i === 0 || t - ts[i - 1] > PARAM_EPSILON).map(t => ({ t }))
+    stations[0].t = 0
+    stations[stations.length - 1].t = 1
+
+    // Snap each side's vertices onto their station's line
+    for (const side of sides) {
+      const { column } = side
+      side.points = side.profile.map((p) => {
+        const { t } = stations.reduce((best, s) => Math.abs(s.t - p.t) < Math.abs(best.t - p.t) ? s : best)
+        if (!column.global.has(p.id)) {
+          const [x, z] = lerp2(a, b, t)
+          column.global.set(p.id, this.lineVertex(lineAt(t), x, z, column.vertices[p.id][1]))
+        }
+        return { t, id: column.global.get(p.id) }
+      })
+    }
+
+    if (sides.length === 2) {
+      for (let i = stations.length - 2; i >= 0; i--) {
+        const t0 = stations[i].t, t1 = stations[i + 1].t
+        const [p0, q0] = sides.map(s => this.profileAt(s.points, t0))
+        const [p1, q1] = sides.map(s => this.profileAt(s.points, t1))
+        const d0 = p0.exitY - q0.exitY, d1 = p1.entryY - q1.entryY
+        if (d0 * d1 < 0 && Math.abs(d0) > 1 / WELD_PRECISION && Math.abs(d1) > 1 / WELD_PRECISION) {
+          const f = d0 / (d0 - d1)
+          stations.splice(i + 1, 0, { t: t0 + (t1 - t0) * f, y: p0.exitY + (p1.entryY - p0.exitY) * f })
+        }
+      }
+    }
+
+    for (const station of stations) {
+      const { t, y } = station
+      const [x, z] = lerp2(a, b, t)
+      station.sides = sides.map(({ column, points }) => {
+        const at = this.profileAt(points, t)
+        if (at.ids) return { entry: at.ids[0], exit: at.ids[at.ids.length - 1] }
+        const id = this.lineVertex(lineAt(t), x, z, y ?? at.entryY)
+        const key = edgeKey(at.before, at.after)
+        if (!column.insertions.has(key)) column.insertions.set(key, [])
+        column.insertions.get(key).push(id)
+        return { entry: id, exit: id }
+      })
+      if (sides.length === 1) {
+        const id = this.lineVertex(lineAt(t), x, z, bottomY)
+        station.sides.push({ entry: id, exit: id })
+      }
+    }
+    record.stations = stations
+  }
+
+  /** A side's vertices at station t, or the height between the two around it */
+  profileAt(points, t) {
+    const ids = points.filter(p => p.t === t).map(p => p.id)
+    if (ids.length > 0) return { ids, entryY: this.y(ids[0]), exitY: this.y(ids[ids.length - 1]) }
+    const i = points.findIndex(p => p.t > t)
+    const p0 = points[i - 1], p1 = points[i]
+    const y = this.y(p0.id) + (this.y(p1.id) - this.y(p0.id)) * (t - p0.t) / (p1.t - p0.t)
+    return { before: p0.id, after: p1.id, entryY: y, exitY: y }
+  }
+
+  /** Walls between the two sides of a seam (or a side and the base, on the outer boundary) */
+  addWalls({ a, b, sides, stations }) {
+    const mid = lerp2(a, b, 0.5)
+    const toward = ({ column }, sign) => [(column.center.x - mid[0]) * sign, (column.center.z - mid[1]) * sign]
+    for (let i = 0; i < stations.length - 1; i++) {
+      const [p0, q0] = stations[i].sides
+      const [p1, q1] = stations[i + 1].sides
+      const left = this.chain(p0.exit, q0.exit)
+      const right = this.chain(p1.entry, q1.entry)
+      if (left.length === 1 && right.length === 1) continue
+
+      // The wall faces the lower side: the other column, or out of the map over the base
+      const firstLower = this.y(p0.exit) + this.y(p1.entry) < this.y(q0.exit) + this.y(q1.entry)
+      const facing = sides.length === 1 ? toward(sides[0], -1) : toward(sides[firstLower ? 0 : 1], 1)
+
+      let l = 0, r = 0
+      while (l < left.length - 1 || r < right.length - 1) {
+        if (r === right.length - 1 || (l < left.length - 1 && this.y(left[l + 1]) <= this.y(right[r + 1]))) {
+          this.face(left[l], left[l + 1], right[r], facing)
+          l++
+        } else {
+          this.face(left[l], right[r + 1], right[r], facing)
+          r++
+        }
+      }
+    }
+  }
+
+  /** Triangle wound so its normal points along facing ([x, z], horizontal) */
+  face(i, j, k, facing) {
+    const pos = this.positions
+    const ux = pos[j * 3] - pos[i * 3], uy = pos[j * 3 + 1] - pos[i * 3 + 1], uz = pos[j * 3 + 2] - pos[i * 3 + 2]
+    const vx = pos[k * 3] - pos[i * 3], vy = pos[k * 3 + 1] - pos[i * 3 + 1], vz = pos[k * 3 + 2] - pos[i * 3 + 2]
+    const nx = uy * vz - uz * vy, nz = ux * vy - uy * vx
+    if (nx * facing[0] + nz * facing[1] >= 0) this.indices.push(i, j, k)
+    else this.indices.push(i, k, j)
+  }
+
+  /** The column's top triangles, with boundary edges split at seam insertions and vertical steps */
+  addTop({ vertices, triangles, loop, global, insertions }) {
+    const toGlobal = (id) => {
+      if (!global.has(id)) global.set(id, this.vertex(...vertices[id]))
+      return global.get(id)
+    }
+    const tris = triangles.map(tri => tri.map(toGlobal))
+    const owner = new Map()
+    tris.forEach(([a, b, c], k) => {
+      owner.set(`${a},${b}`, k).set(`${b},${c}`, k).set(`${c},${a}`, k)
+    })
+    const ring = loop.map(p => global.get(p.id))
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i], b = ring[(i + 1) % ring.length]
+      if (a === b) continue
+      let points
+      if (this.lineOf[a] === this.lineOf[b]) {
+        // A step on a vertical line: split it wherever another wall has a vertex
+        points = this.chain(a, b).filter(v => v !== a && v !== b)
+        if (this.y(a) > this.y(b)) points.reverse()
+      } else {
+        const pa = this.positions.slice(a * 3, a * 3 + 3)
+        const dist = v => Math.hypot(this.positions[v * 3] - pa[0], this.positions[v * 3 + 2] - pa[2])
+        points = [...(insertions.get(edgeKey(a, b)) ?? [])].sort((u, w) => dist(u) - dist(w))
+      }
+      if (points.length === 0) continue
+
+      const k = owner.get(`${a},${b}`)
+      const tri = tris[k]
+      const c = tri[(tri.indexOf(a) + 2) % 3]
+      const fan = [a, ...points, b]
+      tris[k] = [fan[0], fan[1], c]
+      for (let j = 1; j < fan.length - 1; j++) tris.push([fan[j], fan[j + 1], c])
+      if (owner.has(`${b},${c}`)) owner.set(`${b},${c}`, tris.length - 1)
+    }
+    for (const tri of tris) {
+      if (tri[0] !== tri[1] && tri[1] !== tri[2] && tri[2] !== tri[0]) this.indices.push(...tri)
+    }
+  }
+
+  /** Flat bottom under the column: a fan over its outline, through the outer seams' base vertices */
+  addBottom({ center, corners }, bottomY) {
+    const ring = []
+    for (let edge = 0; edge < 6; edge++) {
+      const a = corners[edge], b = corners[(edge + 1) % 6]
+      ring.push(this.lineVertex(a.key, a.p[0], a.p[1], bottomY))
+      const record = this.edgeRecord(a, b)
+      if (record.sides.length !== 1) continue
+      const inner = record.stations.slice(1, -1).map(s => s.sides[1].entry)
+      ring.push(...(a.key === record.aKey ? inner : inner.reverse()))
+    }
+    const hub = this.vertex(center.x, bottomY, center.z)
+    for (let i = 0; i < ring.length; i++) this.indices.push(hub, ring[i], ring[(i + 1) % ring.length])
+  }
+}
+
+function edgeKey(a, b) {
+  return a < b ? `${a},${b}` : `${b},${a}`
+}
+
+/**
+ * One outline edge of a tile's top boundary, from its first to its last corner: the loop's run of
+ * vertices on the edge. Where the loop steps up or down at a corner, the edge starts after the
+ * step (and ends before the next), so each corner step stays a vertical edge of its own.
+ */
+function edgeProfile(loop, edge) {
+  const end = (edge + 1) % 6
+  const on = p => p.corner === -1 ? p.edge === edge : p.corner === edge || p.corner === end
+  const n = loop.length
+  const start = loop.findIndex((p, i) => on(p) && !on(loop[(i - 1 + n) % n]))
+  if (start === -1) throw new Error('Print export: tile top surface misses a hex edge')
+  let run = []
+  for (let i = 0; i < n && on(loop[(start + i) % n]); i++) run.push(loop[(start + i) % n])
+  if (run.filter(p => p.corner !== -1).length < 2) throw new Error('Print export: tile top surface misses a hex corner')
+
+  // Keep the last vertex of the leading corner group and the first of the trailing one
+  const first = run[0].corner
+  while (run.length > 1 && run[1].corner === first) run.shift()
+  const last = run[run.length - 1].corner
+  while (run.length > 1 && run[run.length - 2].corner === last) run.pop()
+  run = run.map(p => ({ id: p.id, t: p.corner === -1 ? p.t : p.corner === edge ? 0 : 1 }))
+  return run[0].t > run[run.length - 1].t ? run.reverse() : run
+}
+
+/**
+ * Rasterize meshes (world Y up) into a height grid and triangulate it as a closed solid
+ * @param {Array<{ geometry: BufferGeometry, matrix: Matrix4 }>} meshes
+ * @param {Object} options - PRINT_DEFAULTS (decorations is ignored)
+ * @returns {BufferGeometry} Indexed, in mm, Z up
+ */
+export function buildHeightfieldSolid(meshes, options = {}) {
+  const { widthMm, baseMm, samplesPerHex } = { ...PRINT_DEFAULTS, ...options }
+  const triangles = worldTriangles(meshes)
+  if (triangles.length === 0) return new BufferGeometry()
+
+  let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity
+  for (let i = 0; i < triangles.length; i += 3) {
+    minX = Math.min(minX, triangles[i]); maxX = Math.max(maxX, triangles[i])
+    minZ = Math.min(minZ, triangles[i + 2]); maxZ = Math.max(maxZ, triangles[i + 2])
+  }
+  const step = HexTileGeometry.HEX_WIDTH / samplesPerHex
+  const grid = {
+    minX, minZ, step,
+    nx: Math.floor((maxX - minX) / step + EDGE_EPSILON) + 1,
+    nz: Math.floor((maxZ - minZ) / step + EDGE_EPSILON) + 1,
+  }
+  const heights = rasterizeHeights(triangles, grid)
+  const squares = findSquares(heights, grid)
+
+  const scale = widthMm / (maxX - minX)
+  return triangulateSolid(heights, squares, grid, {
+    // World (x, y, z) Y up → print (X, Y, Z) Z up: a rotation about X, so winding is kept
+    toPrint: (x, y, z) => [(x - minX) * scale, (maxZ - z) * scale, baseMm + y * scale],
+    bottomY: -baseMm / scale,
+  })
+}
+
+/** Flat array of world-space triangle vertices (x, y, z × 3 per triangle) */
+function worldTriangles(meshes) {
+  let count = 0
+  for (const { geometry } of meshes) count += geometry.index ? geometry.index.count : geometry.attributes.position.count
+  const out = new Float32Array(count * 3)
+  const v = new Vector3()
+  let o = 0
+  for (const { geometry, matrix } of meshes) {
+    const position = geometry.attributes.position
+    const index = geometry.index
+    const n = index ? index.count : position.count
+    for (let k = 0; k < n; k++) {
+      v.fromBufferAttribute(position, index ? index.getX(k) : k).applyMatrix4(matrix)
+      out[o++] = v.x
+      out[o++] = v.y
+      out[o++] = v.z
+    }
+  }
+  return out
+}
+
+/** Highest surface at each grid point (-Infinity where nothing is above it) */
+function rasterizeHeights(triangles, { minX, minZ, step, nx, nz }) {
+  const heights = new Float32Array(nx * nz).fill(-Infinity)
+  for (let t = 0; t < triangles.length; t += 9) {
+    const x0 = triangles[t], y0 = triangles[t + 1], z0 = triangles[t + 2]
+    const x1 = triangles[t + 3], y1 = triangles[t + 4], z1 = triangles[t + 5]
+    const x2 = triangles[t + 6], y2 = triangles[t + 7], z2 = triangles[t + 8]
+    const area = (x1 - x0) * (z2 - z0) - (x2 - x0) * (z1 - z0)
+    if (Math.abs(area) < 1e-9) continue  // Vertical (wall) triangle
+
+    const i0 = Math.max(0, Math.ceil((Math.min(x0, x1, x2) - minX) / step - EDGE_EPSILON))
+    const i1 = Math.min(nx - 1, Math.floor((Math.max(x0, x1, x2) - minX) / step + EDGE_EPSILON))
+    const j0 = Math.max(0, Math.ceil((Math.min(z0, z1, z2) - minZ) / step - EDGE_EPSILON))
+    const j1 = Math.min(nz - 1, Math.floor((Math.max(z0, z1, z2) - minZ) / step + EDGE_EPSILON))
+    for (let j = j0; j <= j1; j++) {
+      const z = minZ + j * step
+      for (let i = i0; i <= i1; i++) {
+        const x = minX + i * step
+        const w1 = ((x - x0) * (z2 - z0) - (x2 - x0) * (z - z0)) / area
+        const w2 = ((x1 - x0) * (z - z0) - (x - x0) * (z1 - z0)) / area
+        const w0 = 1 - w1 - w2
+        if (w0 < -EDGE_EPSILON || w1 < -EDGE_EPSILON || w2 < -EDGE_EPSILON) continue
+        const y = w0 * y0 + w1 * y1 + w2 * y2
+        const k = j * nx + i
+        if (y > heights[k]) heights[k] = y
+      }
+    }
+  }
+  return heights
+}
+
+/**
+ * Grid squares in the solid (all four corners covered), indexed by their min corner. Squares that
+ * touch only diagonally at a vertex would make that vertex non-manifold, so one of the two empty
+ * squares between them is filled in (its missing corner takes the average of the other three).
+ */
+function findSquares(heights, { nx, nz }) {
+  const squares = new Uint8Array(nx * nz)
+  const covered = (i, j) => heights[j * nx + i] > -Infinity
+  const isSquare = (i, j) => i >= 0 && j >= 0 && i < nx - 1 && j < nz - 1 && squares[j * nx + i] === 1
+  const updateSquare = (i, j) => {
+    if (i < 0 || j < 0 || i >= nx - 1 || j >= nz - 1) return
+    squares[j * nx + i] = covered(i, j) && covered(i + 1, j) && covered(i, j + 1) && covered(i + 1, j + 1) ? 1 : 0
+  }
+  for (let j = 0; j < nz - 1; j++) {
+    for (let i = 0; i < nx - 1; i++) updateSquare(i, j)
+  }
+
+  const fillSquare = (i, j) => {
+    const corners = [[i, j], [i + 1, j], [i, j + 1], [i + 1, j + 1]]
+    const known = corners.filter(([ci, cj]) => covered(ci, cj)).map(([ci, cj]) => heights[cj * nx + ci])
+    const fill = known.reduce((a, b) => a + b, 0) / known.length
+    for (const [ci, cj] of corners) {
+      if (!covered(ci, cj)) heights[cj * nx + ci] = fill
+    }
+    // The new corner can complete neighbouring squares too
+    for (let dj = -1; dj <= 1; dj++) {
+      for (let di = -1; di <= 1; di++) updateSquare(i + di, j + dj)
+    }
+  }
+
+  let changed = true
+  while (changed) {
+    changed = false
+    for (let j = 1; j < nz - 1; j++) {
+      for (let i = 1; i < nx - 1; i++) {
+        // Squares around vertex (i, j): a = up-left, b = up-right, c = down-left, d = down-right
+        const a = isSquare(i - 1, j - 1), b = isSquare(i, j - 1)
+        const c = isSquare(i - 1, j), d = isSquare(i, j)
+        if (a && d && !b && !c) { fillSquare(i, j - 1); changed = true }
+        else if (b && c && !a && !d) { fillSquare(i - 1, j - 1); changed = true }
+      }
+    }
+  }
+  return squares
+}
+
+/** Top surface, boundary walls and flat bottom for the solid squares */
+function triangulateSolid(heights, squares, { minX, minZ, step, nx, nz }, { toPrint, bottomY }) {
+  const isSquare = (i, j) => i >= 0 && j >= 0 && i < nx - 1 && j < nz - 1 && squares[j * nx + i] === 1
+
+  // One top and one bottom vertex per grid point used by a square
+  const topIndex = new Int32Array(nx * nz).fill(-1)
+  const positions = []
+  let vertexCount = 0
+  const vertex = (i, j) => {
+    const k = j * nx + i
+    if (topIndex[k] === -1) {
+      const x = minX + i * step, z = minZ + j * step
+      positions.push(...toPrint(x, heights[k], z), ...toPrint(x, bottomY, z))
+      topIndex[k] = vertexCount
+      vertexCount += 2
+    }
+    return topIndex[k]
+  }
+
+  const indices = []
+  const quad = (a, b, c, d) => indices.push(a, b, c, a, c, d)
+  for (let j = 0; j < nz - 1; j++) {
+    for (let i = 0; i < nx - 1; i++) {
+      if (!isSquare(i, j)) continue
+      const v00 = vertex(i, j), v10 = vertex(i + 1, j)
+      const v01 = vertex(i, j + 1), v11 = vertex(i + 1, j + 1)
+      // Top faces up (+Y world), bottom faces down
+      indices.push(v00, v01, v10, v10, v01, v11)
+      indices.push(v00 + 1, v10 + 1, v01 + 1, v10 + 1, v11 + 1, v01 + 1)
+
+      // Walls on edges with no square on the other side, facing out
+      if (!isSquare(i, j - 1)) quad(v00, v10, v10 + 1, v00 + 1)   // -Z
+      if (!isSquare(i, j + 1)) quad(v01, v01 + 1, v11 + 1, v11)   // +Z
+      if (!isSquare(i - 1, j)) quad(v00, v00 + 1, v01 + 1, v01)   // -X
+      if (!isSquare(i + 1, j)) quad(v10, v11, v11 + 1, v10 + 1)   // +X
+    }
+  }
+
+  const geometry = new BufferGeometry()
+  geometry.setAttribute('position', new BufferAttribute(new Float32Array(positions), 3))
+  geometry.setIndex(new BufferAttribute(new Uint32Array(indices), 1))
+  return geometry
+}
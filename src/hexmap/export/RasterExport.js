@@ -0,0 +1,221 @@
+/**
+ * CPU rasterization of globalCells to PNG data maps - no browser/Three.js dependencies
+ *
+ * Each pixel is assigned to its hex by cube rounding, then shaded from the tile definition:
+ *   height   — level * LEVEL_HEIGHT + surface height, plus a linear ramp across slope tiles
+ *              toward their (rotated) highEdges
+ *   category — grass / water / coast / road / river; roads and rivers are bands from the hex
+ *              center to their edges, coast tiles are water in the sectors facing water edges
+ *
+ * Pixels are sampled in world XZ (+X east, +Z south), so image up is north.
+ */
+
+import { TILE_LIST, LEVELS_COUNT, HexDir } from '../HexTileData.js'
+import { encodeGrayscalePNG } from './PNGEncoder.js'
+
+export const RASTER_CATEGORIES = ['none', 'grass', 'water', 'coast', 'road', 'river']
+const NONE = 0, GRASS = 1, WATER = 2, COAST = 3, ROAD = 4, RIVER = 5
+
+// Hex geometry in world units (must match HexGridConnector / HexGrid)
+const HEX_RADIUS = 2 / Math.sqrt(3)  // Center to vertex
+const APOTHEM = 1                    // Center to edge
+const ROW_DEPTH = HEX_RADIUS * 1.5
+const LEVEL_HEIGHT = 0.5
+
+// Surface height above the tile base per category (see docs/NOTES.md "Tile Surface Heights")
+const SURFACE = { [GRASS]: 1, [ROAD]: 1, [COAST]: 0.9, [RIVER]: 0.9, [WATER]: 0.8 }
+const BAND_HALF_WIDTH = { road: 0.25, river: 0.3 }
+
+/** Tallest surface: top level plus land surface */
+export const MAX_HEIGHT = (LEVELS_COUNT - 1) * LEVEL_HEIGHT + SURFACE[GRASS]
+
+// Unit vector of each HexDir edge normal in XZ (E = +X, then clockwise seen from above)
+const EDGE_DIRS = HexDir.map((_, i) => {
+  const angle = (i - 1) * Math.PI / 3
+  return { x: Math.cos(angle), z: Math.sin(angle) }
+})
+
+const shapeCache = new Map()
+
+/**
+ * Rasterize solved cells
+ * @param {Map} globalCells - cube key → { q, r, s, type, rotation, level }
+ * @param {Object} options - { pixelsPerHex }: pixels across one hex (2 WU)
+ * @returns {{ width, height, pixelsPerHex, origin: {x, z}, heights: Uint16Array, categories: Uint8Array }}
+ *   heights are 0..65535 for 0..MAX_HEIGHT WU; origin is the world XZ of the top-left image corner
+ */
+export function rasterizeMap(globalCells, { pixelsPerHex = 16 } = {}) {
+  const cells = [...globalCells.values()]
+  if (cells.length === 0) {
+    return { width: 0, height: 0, pixelsPerHex, origin: { x: 0, z: 0 }, heights: new Uint16Array(0), categories: new Uint8Array(0) }
+  }
+
+  // Cells in a dense axial-coordinate lookup
+  let minQ = Infinity, maxQ = -Infinity, minR = Infinity, maxR = -Infinity
+  let minX = Infinity, maxX = -Infinity
+  for (const c of cells) {
+    minQ = Math.min(minQ, c.q); maxQ = Math.max(maxQ, c.q)
+    minR = Math.min(minR, c.r); maxR = Math.max(maxR, c.r)
+    minX = Math.min(minX, 2 * c.q + c.r); maxX = Math.max(maxX, 2 * c.q + c.r)
+  }
+  const spanQ = maxQ - minQ + 1
+  const lookup = new Array(spanQ * (maxR - minR + 1)).fill(null)
+  for (const c of cells) lookup[(c.r - minR) * spanQ + c.q - minQ] = c
+
+  const pixelsPerUnit = pixelsPerHex / (2 * APOTHEM)
+  const origin = { x: minX - APOTHEM, z: minR * ROW_DEPTH - HEX_RADIUS }
+  const width = Math.ceil((maxX - minX + 2 * APOTHEM) * pixelsPerUnit)
+  const height = Math.ceil(((maxR - minR) * ROW_DEPTH + 2 * HEX_RADIUS) * pixelsPerUnit)
+  const heights = new Uint16Array(width * height)
+  const categories = new Uint8Array(width * height)
+
+  for (let py = 0; py < height; py++) {
+    const z = origin.z + (py + 0.5) / pixelsPerUnit
+    for (let px = 0; px < width; px++) {
+      const x = origin.x + (px + 0.5) / pixelsPerUnit
+
+      // World → axial (x = 2q + r, z = 1.5 * radius * r), then cube round
+      const rf = z / ROW_DEPTH
+      const qf = (x - rf) / 2
+      const sf = -qf - rf
+      let q = Math.round(qf), r = Math.round(rf)
+      const s = Math.round(sf)
+      const dq = Math.abs(q - qf), dr = Math.abs(r - rf), ds = Math.abs(s - sf)
+      if (dq > dr && dq > ds) q = -r - s
+      else if (dr > ds) r = -q - s
+      if (q < minQ || q > maxQ || r < minR || r > maxR) continue
+      const cell = lookup[(r - minR) * spanQ + q - minQ]
+      if (!cell) continue
+
+      const i = py * width + px
+      const { category, height: h } = shadePoint(cell, x - (2 * q + r), z - r * ROW_DEPTH)
+      categories[i] = category
+      heights[i] = Math.round(Math.min(h / MAX_HEIGHT, 1) * 65535)
+    }
+  }
+
+  return { width, height, pixelsPerHex, origin, heights, categories }
+}
+
+/**
+ * Rasterize and encode every map as a named file
+ * @param {Map} globalCells
+ * @param {Object} options - { pixelsPerHex }
+ * @returns {Promise<Array<{ name: string, data: Uint8Array|string }>>}
+ *   heightmap.png (16-bit), categories.png (RASTER_CATEGORIES index), splat_<category>.png (8-bit masks)
+ *   and raster.json (scale, origin and category table)
+ */
+export async function exportRasters(globalCells, options = {}) {
+  const raster = rasterizeMap(globalCells, options)
+  const { width, height, categories } = raster
+  const files = [
+    { name: 'heightmap.png', data: await encodeGrayscalePNG(raster.heights, width, height, 16) },
+    { name: 'categories.png', data: await encodeGrayscalePNG(categories, width, height, 8) },
+  ]
+  for (let category = GRASS; category < RASTER_CATEGORIES.length; category++) {
+    const mask = categories.map(c => c === category ? 255 : 0)
+    files.push({ name: `splat_${RASTER_CATEGORIES[category]}.png`, data: await encodeGrayscalePNG(mask, width, height, 8) })
+  }
+  files.push({
+    name: 'raster.json',
+    data: JSON.stringify({
+      width,
+      height,
+      pixelsPerHex: raster.pixelsPerHex,
+      worldUnitsPerPixel: 2 * APOTHEM / raster.pixelsPerHex,
+      origin: raster.origin,
+      heightScale: MAX_HEIGHT / 65535,
+      categories: RASTER_CATEGORIES,
+    }, null, 2),
+  })
+  return files
+}
+
+/**
+ * Whole-hex category of a tile type (RASTER_CATEGORIES index): water, coast or grass.
+ * Roads and rivers are drawn over it from the tile's edges.
+ */
+export function getTileCategory(type) {
+  const name = TILE_LIST[type].name
+  if (name === 'WATER') return WATER
+  if (name.startsWith('COAST') || name === 'RIVER_INTO_COAST') return COAST
+  return GRASS
+}
+
+/** Category and surface height at a point relative to the cell's center */
+function shadePoint(cell, x, z) {
+  const shape = getTileShape(cell.type, cell.rotation)
+
+  let category = shape.category
+  if (shape.waterEdges) {
+    // Nearest edge by direction
+    let best = 0, bestDot = -Infinity
+    for (let e = 0; e < 6; e++) {
+      const d = x * EDGE_DIRS[e].x + z * EDGE_DIRS[e].z
+      if (d > bestDot) { bestDot = d; best = e }
+    }
+    if (shape.waterEdges[best]) category = WATER
+  }
+  for (const band of shape.bands) {
+    if (distanceToSegment(x, z, band.x, band.z) <= band.halfWidth) category = band.category
+  }
+
+  let height = cell.level * LEVEL_HEIGHT + SURFACE[category]
+  if (shape.slope) {
+    const t = Math.max(-1, Math.min(1, (x * shape.slope.x + z * shape.slope.z) / APOTHEM))
+    height += shape.slope.rise * LEVEL_HEIGHT * (t + 1) / 2
+  }
+  return { category, height }
+}
+
+/** Base category, water sectors, road/river bands and slope ramp for a tile type + rotation */
+function getTileShape(type, rotation) {
+  const key = type * 6 + rotation
+  let shape = shapeCache.get(key)
+  if (shape) return shape
+
+  const def = TILE_LIST[type]
+  const category = getTileCategory(type)
+  const isCoast = category === COAST
+  shape = {
+    category,
+    waterEdges: null,
+    bands: [],
+    slope: null,
+  }
+
+  const edgeIndex = (dir) => (HexDir.indexOf(dir) + rotation) % 6
+  if (isCoast) {
+    shape.waterEdges = new Array(6).fill(false)
+    for (const [dir, edge] of Object.entries(def.edges)) {
+      if (edge === 'water') shape.waterEdges[edgeIndex(dir)] = true
+    }
+  }
+  // Rivers first so roads draw over them at crossings
+  for (const edgeType of ['river', 'road']) {
+    for (const [dir, edge] of Object.entries(def.edges)) {
+      if (edge !== edgeType) continue
+      const d = EDGE_DIRS[edgeIndex(dir)]
+      shape.bands.push({ x: d.x * APOTHEM, z: d.z * APOTHEM, halfWidth: BAND_HALF_WIDTH[edgeType], category: edgeType === 'road' ? ROAD : RIVER })
+    }
+  }
+  // Sloped meshes ramp toward their high edges; cliffs (flat hex_grass mesh) stay flat
+  if (def.highEdges && def.mesh.includes('slope')) {
+    let x = 0, z = 0
+    for (const dir of def.highEdges) {
+      x += EDGE_DIRS[edgeIndex(dir)].x
+      z += EDGE_DIRS[edgeIndex(dir)].z
+    }
+    const len = Math.hypot(x, z)
+    shape.slope = { x: x / len, z: z / len, rise: def.levelIncrement ?? 1 }
+  }
+
+  shapeCache.set(key, shape)
+  return shape
+}
+
+/** Distance from (px, pz) to the segment from the origin to (x, z) */
+function distanceToSegment(px, pz, x, z) {
+  const t = Math.max(0, Math.min(1, (px * x + pz * z) / (x * x + z * z)))
+  return Math.hypot(px - x * t, pz - z * t)
+}
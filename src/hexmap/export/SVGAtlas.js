@@ -0,0 +1,275 @@
+/**
+ * "Parchment atlas" SVG export - a printable top-down map, no WebGPU needed
+ *
+ * Built from globalCells only (plus optional decoration icons from collectAtlasDecorations):
+ *   cells      — hex polygons filled by category (grass / water / coast), lighter with level
+ *   roads      — polylines through cell centers and edge midpoints, traced from TILE_LIST edges
+ *   rivers     — likewise
+ *   icons      — trees, houses, windmills, mountains as <symbol>s
+ *   rulers     — offset column/row ticks around the border (odd-r, as in docs/NOTES.md)
+ */
+
+import { TILE_LIST, LEVELS_COUNT, HexDir } from '../HexTileData.js'
+import { cubeToOffset } from '../HexWFCCore.js'
+import { HexTileGeometry } from '../HexTiles.js'
+import { HexGridState } from '../HexGrid.js'
+import { WindmillMeshNames, TOWER_TOP_MESH } from '../DecorationDefs.js'
+import { RASTER_CATEGORIES, getTileCategory } from './RasterExport.js'
+
+const MARGIN = 5                     // Border (WU) for rulers
+const RULER_STEP = 5                 // Label every Nth column/row
+
+const PARCHMENT = '#efe2bf'
+const INK = '#5a4630'
+
+// Category fills at level 0; higher levels blend toward HIGHLAND
+const CATEGORY_FILLS = { grass: '#a9b46e', water: '#8fb0b8', coast: '#d8c48c' }
+const HIGHLAND = '#e6d9ae'
+
+
+// Icon symbols in a 10×10 box centered on the anchor
+const SYMBOLS = {
+  tree: '<path d="M5 1 L8.5 7 H1.5 Z" fill="#5d7a3a" stroke="#3e5226" stroke-width="0.5"/><rect x="4.4" y="7" width="1.2" height="2" fill="#6b4a2a"/>',
+  house: '<path d="M2 5 L5 2 L8 5 V8.5 H2 Z" fill="#c98a5a" stroke="#5a4630" stroke-width="0.5"/><rect x="4.2" y="6" width="1.6" height="2.5" fill="#5a4630"/>',
+  windmill: '<path d="M4 9 L4.5 4 H5.5 L6 9 Z" fill="#d9c7a0" stroke="#5a4630" stroke-width="0.4"/><path d="M5 4 L1.5 0.5 M5 4 L8.5 0.5 M5 4 L1.5 7.5 M5 4 L8.5 7.5" stroke="#5a4630" stroke-width="0.7"/>',
+  mountain: '<path d="M0.5 9 L5 1.5 L9.5 9 Z" fill="#a39583" stroke="#5a4630" stroke-width="0.5"/><path d="M3.6 3.9 L5 1.5 L6.4 3.9 L5.5 3.4 L5 4 L4.5 3.4 Z" fill="#fbf7ee"/>',
+}
+const ICON_SIZE = { tree: 1.2, house: 1.4, windmill: 1.6, mountain: 2.4 }
+
+/**
+ * Render the map as an SVG document
+ * @param {Map} globalCells - cube key → { q, r, s, type, rotation, level }
+ * @param {Object} options - { decorations: [{ kind, x, z }] (world XZ), title, pixelsPerUnit }
+ * @returns {string} SVG markup
+ */
+export function exportSVGAtlas(globalCells, { decorations = [], title = '', pixelsPerUnit = 10 } = {}) {
+  const hex = getHexShape()
+  const cells = [...globalCells.values()].map(c => {
+    const { col, row } = cubeToOffset(c.q, c.r, c.s)
+    return { ...c, col, row, ...HexTileGeometry.getWorldPosition(col, row) }
+  })
+  if (cells.length === 0) return svgDocument(0, 0, 1, '', pixelsPerUnit)
+
+  const minX = Math.min(...cells.map(c => c.x)) - hex.width / 2 - MARGIN
+  const maxX = Math.max(...cells.map(c => c.x)) + hex.width / 2 + MARGIN
+  const minZ = Math.min(...cells.map(c => c.z)) - hex.height / 2 - MARGIN
+  const maxZ = Math.max(...cells.map(c => c.z)) + hex.height / 2 + MARGIN
+  const body = [
+    `<rect x="${f(minX)}" y="${f(minZ)}" width="${f(maxX - minX)}" height="${f(maxZ - minZ)}" fill="${PARCHMENT}" filter="url(#paper)"/>`,
+    drawCells(cells, hex),
+    drawLines(cells, hex, 'river', `fill="none" stroke="#4f7f9e" stroke-width="0.55" stroke-linecap="round" stroke-linejoin="round"`),
+    drawLines(cells, hex, 'road', `fill="none" stroke="${INK}" stroke-width="0.3" stroke-dasharray="0.8 0.4" stroke-linecap="round" stroke-linejoin="round"`),
+    drawIcons(decorations),
+    drawRulers(cells, minX, maxX, minZ, maxZ),
+    drawFrame(minX, maxX, minZ, maxZ, title),
+  ].join('\n')
+
+  return svgDocument(minX, minZ, maxX - minX, maxZ - minZ, body, pixelsPerUnit)
+}
+
+/**
+ * Decoration icons from each populated grid's Decorations arrays (tile positions, no GPU readback)
+ * @param {HexMap} hexMap
+ * @returns {Array<{ kind: string, x: number, z: number }>}
+ */
+export function collectAtlasDecorations(hexMap) {
+  const icons = []
+  for (const grid of hexMap.grids.values()) {
+    const decorations = grid.decorations
+    if (grid.state !== HexGridState.POPULATED || !decorations) continue
+    const add = (kind, item) => {
+      const pos = HexTileGeometry.getWorldPosition(item.tile.gridX - grid.gridRadius, item.tile.gridZ - grid.gridRadius)
+      icons.push({ kind, x: pos.x + grid.worldOffset.x + (item.ox ?? 0), z: pos.z + grid.worldOffset.z + (item.oz ?? 0) })
+    }
+    for (const item of decorations.trees) add('tree', item)
+    for (const item of decorations.buildings) {
+      // One icon per windmill and tower, not per part
+      if (item.meshName === TOWER_TOP_MESH || (WindmillMeshNames.includes(item.meshName) && item.meshName !== WindmillMeshNames[0])) continue
+      add(item.meshName === WindmillMeshNames[0] ? 'windmill' : 'house', item)
+    }
+    for (const item of decorations.mountains) add('mountain', item)
+    for (const item of decorations.hills) add('mountain', item)
+  }
+  return icons
+}
+
+/**
+ * Hex outline from HexTileGeometry's tile size (pointy-top): corners clockwise from north, and
+ * edge midpoints per HexDir index. Neighbors' midpoints coincide for any tile size.
+ */
+function getHexShape() {
+  const w = HexTileGeometry.HEX_WIDTH
+  const h = HexTileGeometry.HEX_HEIGHT
+  const corners = [
+    { x: 0, z: -h / 2 }, { x: w / 2, z: -h / 4 }, { x: w / 2, z: h / 4 },
+    { x: 0, z: h / 2 }, { x: -w / 2, z: h / 4 }, { x: -w / 2, z: -h / 4 },
+  ]
+  // HexDir[i] (NE, E, SE, ...) lies between corners i and i + 1
+  const edgeMids = HexDir.map((_, i) => {
+    const a = corners[i], b = corners[(i + 1) % 6]
+    return { x: (a.x + b.x) / 2, z: (a.z + b.z) / 2 }
+  })
+  return { width: w, height: h, corners, edgeMids }
+}
+
+function svgDocument(x, y, width, height, body, pixelsPerUnit) {
+  const symbols = Object.entries(SYMBOLS)
+    .map(([id, path]) => `<symbol id="${id}" viewBox="0 0 10 10">${path}</symbol>`)
+    .join('\n')
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width * pixelsPerUnit)}" height="${Math.round(height * pixelsPerUnit)}" viewBox="${f(x)} ${f(y)} ${f(width)} ${f(height)}">
+<defs>
+<filter id="paper" x="0" y="0" width="100%" height="100%">
+<feTurbulence type="fractalNoise" baseFrequency="0.04" numOctaves="4" seed="3"/>
+<feColorMatrix values="0 0 0 0 0.35  0 0 0 0 0.27  0 0 0 0 0.16  0 0 0 0.18 0"/>
+<feComposite in2="SourceGraphic" operator="in"/>
+<feBlend in="SourceGraphic" mode="multiply"/>
+</filter>
+${symbols}
+</defs>
+${body}
+</svg>
+`
+}
+
+/** Hex polygons, one CSS class per category × level */
+function drawCells(cells, hex) {
+  const styles = []
+  for (const category of Object.keys(CATEGORY_FILLS)) {
+    for (let level = 0; level < LEVELS_COUNT; level++) {
+      const fill = mixColor(CATEGORY_FILLS[category], HIGHLAND, level / (LEVELS_COUNT - 1) * 0.7)
+      styles.push(`.${category}-${level}{fill:${fill}}`)
+    }
+  }
+  const polygons = cells.map(c => {
+    const category = RASTER_CATEGORIES[getTileCategory(c.type)]
+    const points = hex.corners.map(p => `${f(c.x + p.x)},${f(c.z + p.z)}`).join(' ')
+    return `<polygon class="${category}-${c.level}" points="${points}"/>`
+  })
+  return `<style>${styles.join('')}</style>
+<g stroke="${INK}" stroke-width="0.06" stroke-opacity="0.4">
+${polygons.join('\n')}
+</g>`
+}
+
+/**
+ * Trace edges of one type into connected polylines. Each cell links its center to the midpoints of
+ * its matching (rotated) edges; neighbors share midpoints, so chains join across cells.
+ */
+function drawLines(cells, hex, edgeType, attributes) {
+  const nodes = new Map()  // point key → { x, z, links: Set<key> }
+  const node = (x, z) => {
+    const key = `${Math.round(x * 10)},${Math.round(z * 10)}`
+    if (!nodes.has(key)) nodes.set(key, { key, x, z, links: new Set() })
+    return nodes.get(key)
+  }
+  for (const c of cells) {
+    const def = TILE_LIST[c.type]
+    const edges = Object.entries(def.edges).filter(([, edge]) => edge === edgeType)
+    if (edges.length === 0) continue
+    const center = node(c.x, c.z)
+    for (const [dir] of edges) {
+      const d = hex.edgeMids[(HexDir.indexOf(dir) + c.rotation) % 6]
+      const mid = node(c.x + d.x, c.z + d.z)
+      center.links.add(mid.key)
+      mid.links.add(center.key)
+    }
+  }
+
+  // Walk chains from ends and junctions, then whatever is left (loops)
+  const visited = new Set()  // "a|b" link keys
+  const paths = []
+  const walk = (start, nextKey) => {
+    const points = [start]
+    let prev = start
+    let current = nodes.get(nextKey)
+    while (true) {
+      visited.add(`${prev.key}|${current.key}`)
+      visited.add(`${current.key}|${prev.key}`)
+      points.push(current)
+      if (current.links.size !== 2) break
+      const next = [...current.links].find(k => !visited.has(`${current.key}|${k}`))
+      if (!next) break
+      prev = current
+      current = nodes.get(next)
+    }
+    paths.push('M' + points.map(p => `${f(p.x)} ${f(p.z)}`).join('L'))
+  }
+  const startNodes = [...nodes.values()].sort((a, b) => (a.links.size === 2) - (b.links.size === 2))
+  for (const start of startNodes) {
+    for (const k of start.links) {
+      if (!visited.has(`${start.key}|${k}`)) walk(start, k)
+    }
+  }
+  if (paths.length === 0) return ''
+  return `<path class="${edgeType}" d="${paths.join('')}" ${attributes}/>`
+}
+
+function drawIcons(decorations) {
+  return '<g>\n' + decorations.map(({ kind, x, z }) => {
+    const size = ICON_SIZE[kind] ?? 1.2
+    return `<use href="#${kind}" x="${f(x - size / 2)}" y="${f(z - size * 0.8)}" width="${f(size)}" height="${f(size)}"/>`
+  }).join('\n') + '\n</g>'
+}
+
+/** Offset column ticks top and bottom, row ticks left and right */
+function drawRulers(cells, minX, maxX, minZ, maxZ) {
+  const cols = cells.map(c => c.col)
+  const rows = cells.map(c => c.row)
+  const out = []
+  const inset = MARGIN * 0.55
+  for (let col = Math.min(...cols); col <= Math.max(...cols); col++) {
+    const { x } = HexTileGeometry.getWorldPosition(col, 0)
+    const long = col % RULER_STEP === 0
+    const tick = long ? 0.8 : 0.4
+    out.push(`<path d="M${f(x)} ${f(minZ + inset)}v${-tick}M${f(x)} ${f(maxZ - inset)}v${tick}"/>`)
+    if (long) {
+      out.push(`<text x="${f(x)}" y="${f(minZ + inset - 1.2)}">${col}</text>`)
+      out.push(`<text x="${f(x)}" y="${f(maxZ - inset + 2)}">${col}</text>`)
+    }
+  }
+  for (let row = Math.min(...rows); row <= Math.max(...rows); row++) {
+    const { z } = HexTileGeometry.getWorldPosition(0, row)
+    const long = row % RULER_STEP === 0
+    const tick = long ? 0.8 : 0.4
+    out.push(`<path d="M${f(minX + inset)} ${f(z)}h${-tick}M${f(maxX - inset)} ${f(z)}h${tick}"/>`)
+    if (long) {
+      out.push(`<text x="${f(minX + inset - 1.6)}" y="${f(z + 0.35)}" text-anchor="end">${row}</text>`)
+      out.push(`<text x="${f(maxX - inset + 1.6)}" y="${f(z + 0.35)}" text-anchor="start">${row}</text>`)
+    }
+  }
+  return `<g stroke="${INK}" stroke-width="0.1" fill="${INK}" font-family="Georgia, serif" font-size="1" text-anchor="middle">
+${out.join('\n')}
+</g>`
+}
+
+/** Double border line, compass and title */
+function drawFrame(minX, maxX, minZ, maxZ, title) {
+  const w = maxX - minX, h = maxZ - minZ
+  const outer = MARGIN * 0.25, inner = MARGIN * 0.55
+  const compassX = maxX - MARGIN - 3, compassZ = minZ + MARGIN + 3
+  return `<g fill="none" stroke="${INK}">
+<rect x="${f(minX + outer)}" y="${f(minZ + outer)}" width="${f(w - outer * 2)}" height="${f(h - outer * 2)}" stroke-width="0.3"/>
+<rect x="${f(minX + inner)}" y="${f(minZ + inner)}" width="${f(w - inner * 2)}" height="${f(h - inner * 2)}" stroke-width="0.12"/>
+<path d="M${f(compassX)} ${f(compassZ - 2.2)}L${f(compassX + 0.7)} ${f(compassZ)}L${f(compassX)} ${f(compassZ + 2.2)}L${f(compassX - 0.7)} ${f(compassZ)}Z" fill="${INK}" stroke-width="0.1"/>
+</g>
+<g fill="${INK}" font-family="Georgia, serif" text-anchor="middle">
+<text x="${f(compassX)}" y="${f(compassZ - 2.6)}" font-size="1.2">N</text>
+${title ? `<text x="${f(minX + w / 2)}" y="${f(maxZ - MARGIN - 1)}" font-size="2" font-style="italic">${escapeXml(title)}</text>` : ''}
+</g>`
+}
+
+/** Blend two #rrggbb colors */
+function mixColor(a, b, t) {
+  const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16)
+  return '#' + [0, 1, 2].map(i => Math.round(channel(a, i) + (channel(b, i) - channel(a, i)) * t).toString(16).padStart(2, '0')).join('')
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, ch => `&#${ch.charCodeAt(0)};`)
+}
+
+/** Coordinate for markup (2 decimals) */
+function f(n) {
+  return Math.round(n * 100) / 100
+}
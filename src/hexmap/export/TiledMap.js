@@ -0,0 +1,277 @@
+/**
+ * Tiled (mapeditor.org) JSON map export/import (.tmj)
+ *
+ * Staggered hexagonal map, pointy-top, odd rows shifted right ("staggeraxis": "y", "staggerindex": "odd"),
+ * which is the app's odd-r offset layout. Global offset coords are shifted by the map properties
+ * colOffset/rowOffset to start at 0; rowOffset is even so row parity is kept.
+ *
+ * Layers:
+ *   terrain     — tile layer, one tile per TILE_LIST type × rotation (tileset "hex-tiles", tile
+ *                 properties name + rotation, class "<name>:<rotation>")
+ *   levels      — tile layer, one tile per level (tileset "levels", property level)
+ *   decorations — object layer, point objects for buildings, trees and bridges (export only,
+ *                 decorations are regenerated from the seed on import)
+ */
+
+import { Matrix4, Vector3 } from 'three/webgpu'
+import { TILE_LIST, LEVELS_COUNT } from '../HexTileData.js'
+import { cubeKey, cubeToOffset, offsetToCube } from '../HexWFCCore.js'
+import { getGridKey, getGridLayout } from '../HexGridConnector.js'
+import { HexGridState } from '../HexGrid.js'
+import { MAP_FORMAT, MAP_VERSION } from '../HexMapSerializer.js'
+import { getSeed } from '../../SeededRandom.js'
+
+export const TILED_FORMAT = 'hex-map-wfc-tiled'
+export const TILED_VERSION = 1
+
+// Pixel size of one hex in Tiled (2 × 2.309 WU, side = height / 2)
+const TILE_WIDTH = 64
+const TILE_HEIGHT = 74
+const HEX_SIDE = 37
+const ROW_PITCH = (TILE_HEIGHT + HEX_SIDE) / 2
+
+// World units per hex (must match HexGridConnector)
+const HEX_WIDTH = 2
+const HEX_ROW_DEPTH = 2 / Math.sqrt(3) * 2 * 0.75
+
+// Decorations arrays exported to the object layer, with their object class
+const DECORATION_CLASSES = { buildings: 'building', trees: 'tree', bridges: 'bridge' }
+
+const TERRAIN_TILESET = 'hex-tiles'
+const LEVELS_TILESET = 'levels'
+const GID_MASK = 0x0FFFFFFF  // Strips Tiled's flip/rotate flags
+
+/**
+ * Convert the map to a Tiled JSON map
+ * @param {HexMap} hexMap
+ * @returns {Object} .tmj document
+ */
+export function exportTiledMap(hexMap) {
+  const cells = [...hexMap.globalCells.values()]
+  const offsets = cells.map(c => cubeToOffset(c.q, c.r, c.s))
+  const minCol = Math.min(...offsets.map(o => o.col))
+  const maxCol = Math.max(...offsets.map(o => o.col))
+  const minRow = Math.floor(Math.min(...offsets.map(o => o.row)) / 2) * 2
+  const maxRow = Math.max(...offsets.map(o => o.row))
+  const width = cells.length ? maxCol - minCol + 1 : 0
+  const height = cells.length ? maxRow - minRow + 1 : 0
+
+  const terrainGid = 1
+  const levelsGid = terrainGid + TILE_LIST.length * 6
+  const terrain = new Array(width * height).fill(0)
+  const levels = new Array(width * height).fill(0)
+  cells.forEach((c, i) => {
+    const index = (offsets[i].row - minRow) * width + offsets[i].col - minCol
+    terrain[index] = terrainGid + c.type * 6 + c.rotation
+    levels[index] = levelsGid + c.level
+  })
+
+  // World XZ → Tiled pixels (linear, see getWorldPos)
+  const toPixels = (x, z) => ({
+    x: x * TILE_WIDTH / HEX_WIDTH - minCol * TILE_WIDTH + TILE_WIDTH / 2,
+    y: (z / HEX_ROW_DEPTH - minRow) * ROW_PITCH + TILE_HEIGHT / 2,
+  })
+
+  const objects = []
+  const matrix = new Matrix4()
+  const position = new Vector3()
+  for (const grid of hexMap.grids.values()) {
+    const decorations = grid.decorations
+    if (grid.state !== HexGridState.POPULATED || !decorations?.mesh) continue
+    const gridKey = getGridKey(grid.gridCoords.x, grid.gridCoords.z)
+    for (const [list, className] of Object.entries(DECORATION_CLASSES)) {
+      for (const item of decorations[list]) {
+        if (item.instanceId < 0) continue
+        decorations.mesh.getMatrixAt(item.instanceId, matrix)
+        position.setFromMatrixPosition(matrix).add(grid.group.position)
+        const rotationY = item.rotationY ?? 0
+        objects.push({
+          id: objects.length + 1,
+          name: item.meshName,
+          type: className,
+          ...toPixels(position.x, position.z),
+          width: 0,
+          height: 0,
+          // Tiled rotates clockwise in degrees; three.js Y rotation is counter-clockwise seen from above
+          rotation: ((-rotationY * 180 / Math.PI) % 360 + 360) % 360,
+          point: true,
+          visible: true,
+          properties: [
+            { name: 'gridKey', type: 'string', value: gridKey },
+            { name: 'level', type: 'int', value: item.tile?.level ?? 0 },
+            { name: 'y', type: 'float', value: position.y },
+          ],
+        })
+      }
+    }
+  }
+
+  const tileLayer = (id, name, data) => ({
+    id, name, type: 'tilelayer', width, height, x: 0, y: 0, opacity: 1, visible: true, data,
+  })
+
+  return {
+    type: 'map',
+    version: '1.10',
+    tiledversion: '1.10.2',
+    orientation: 'hexagonal',
+    renderorder: 'right-down',
+    staggeraxis: 'y',
+    staggerindex: 'odd',
+    width,
+    height,
+    tilewidth: TILE_WIDTH,
+    tileheight: TILE_HEIGHT,
+    hexsidelength: HEX_SIDE,
+    infinite: false,
+    nextlayerid: 4,
+    nextobjectid: objects.length + 1,
+    properties: [
+      { name: 'format', type: 'string', value: TILED_FORMAT },
+      { name: 'formatVersion', type: 'int', value: TILED_VERSION },
+      { name: 'seed', type: 'int', value: getSeed() ?? -1 },
+      { name: 'gridRadius', type: 'int', value: hexMap.hexGridRadius },
+      { name: 'waterSideIndex', type: 'int', value: hexMap.wfcManager.waterSideIndex ?? -1 },
+      { name: 'colOffset', type: 'int', value: minCol },
+      { name: 'rowOffset', type: 'int', value: minRow },
+    ],
+    tilesets: [
+      {
+        firstgid: terrainGid,
+        name: TERRAIN_TILESET,
+        tilewidth: TILE_WIDTH,
+        tileheight: TILE_HEIGHT,
+        tilecount: TILE_LIST.length * 6,
+        columns: 0,
+        margin: 0,
+        spacing: 0,
+        tiles: TILE_LIST.flatMap((tile, type) => [0, 1, 2, 3, 4, 5].map(rotation => ({
+          id: type * 6 + rotation,
+          type: `${tile.name}:${rotation}`,
+          properties: [
+            { name: 'name', type: 'string', value: tile.name },
+            { name: 'rotation', type: 'int', value: rotation },
+          ],
+        }))),
+      },
+      {
+        firstgid: levelsGid,
+        name: LEVELS_TILESET,
+        tilewidth: TILE_WIDTH,
+        tileheight: TILE_HEIGHT,
+        tilecount: LEVELS_COUNT,
+        columns: 0,
+        margin: 0,
+        spacing: 0,
+        tiles: Array.from({ length: LEVELS_COUNT }, (_, level) => ({
+          id: level,
+          type: `level:${level}`,
+          properties: [{ name: 'level', type: 'int', value: level }],
+        })),
+      },
+    ],
+    layers: [
+      tileLayer(1, 'terrain', terrain),
+      tileLayer(2, 'levels', levels),
+      {
+        id: 3, name: 'decorations', type: 'objectgroup', draworder: 'topdown',
+        x: 0, y: 0, opacity: 1, visible: true, objects,
+      },
+    ],
+  }
+}
+
+/** True if doc looks like a Tiled map (from exportTiledMap or edited in Tiled) */
+export function isTiledMap(doc) {
+  return doc?.type === 'map' && doc.orientation === 'hexagonal'
+}
+
+/**
+ * Convert a Tiled map from exportTiledMap back to a map document for HexMap.deserialize
+ * Terrain and levels come from the tile layers; the object layer is ignored. Like a share link,
+ * the document has no RNG position or params.
+ * @param {Object} tmj - Tiled JSON map
+ * @param {number} gridRadius - Must match the exporting map
+ * @returns {Object} Map document
+ * @throws {Error} If the map isn't an exported hex map, or uses tiles this tile set doesn't have
+ */
+export function tiledMapToDoc(tmj, gridRadius) {
+  if (!isTiledMap(tmj) || tmj.staggeraxis !== 'y' || tmj.staggerindex !== 'odd') {
+    throw new Error('Not a staggered hex Tiled map (staggeraxis "y", staggerindex "odd")')
+  }
+  if (tmj.infinite) throw new Error('Infinite Tiled maps are not supported')
+  const props = Object.fromEntries((tmj.properties ?? []).map(p => [p.name, p.value]))
+  if (props.format !== TILED_FORMAT) throw new Error('Tiled map was not exported from this app')
+  if (props.formatVersion > TILED_VERSION) {
+    throw new Error(`Unsupported Tiled map version ${props.formatVersion} (expected ${TILED_VERSION} or older)`)
+  }
+  if (props.gridRadius !== gridRadius) {
+    throw new Error(`Map grid radius ${props.gridRadius} doesn't match ${gridRadius}`)
+  }
+
+  // gid → tile properties, from the tilesets (so re-ordered or re-added tilesets still resolve)
+  const tilesetProps = (name) => {
+    const tileset = tmj.tilesets?.find(t => t.name === name)
+    if (!tileset) throw new Error(`Tiled map has no "${name}" tileset`)
+    const byGid = new Map()
+    for (const tile of tileset.tiles ?? []) {
+      byGid.set(tileset.firstgid + tile.id, Object.fromEntries((tile.properties ?? []).map(p => [p.name, p.value])))
+    }
+    return byGid
+  }
+  const terrainTiles = tilesetProps(TERRAIN_TILESET)
+  const levelTiles = tilesetProps(LEVELS_TILESET)
+  const layerData = (name) => {
+    const layer = tmj.layers?.find(l => l.type === 'tilelayer' && l.name === name)
+    if (!layer) throw new Error(`Tiled map has no "${name}" tile layer`)
+    if (!Array.isArray(layer.data)) throw new Error(`Tiled layer "${name}" must use CSV encoding`)
+    return layer.data
+  }
+  const terrain = layerData('terrain')
+  const levels = layerData('levels')
+
+  // Cube key → grid key, for every cell in the layout
+  const layout = getGridLayout(gridRadius)
+  const cellGrid = new Map()
+  for (const { gridKey, cells } of layout) {
+    for (const c of cells) cellGrid.set(cubeKey(c.q, c.r, c.s), gridKey)
+  }
+
+  const typeIndex = new Map(TILE_LIST.map((t, i) => [t.name, i]))
+  const cells = []
+  let outside = 0
+  terrain.forEach((rawGid, i) => {
+    const gid = rawGid & GID_MASK
+    if (!gid) return
+    const tile = terrainTiles.get(gid)
+    if (!tile || !typeIndex.has(tile.name)) {
+      throw new Error(`Unknown terrain tile ${tile?.name ?? `gid ${gid}`}`)
+    }
+    const col = (i % tmj.width) + props.colOffset
+    const row = Math.floor(i / tmj.width) + props.rowOffset
+    const { q, r, s } = offsetToCube(col, row)
+    const gridKey = cellGrid.get(cubeKey(q, r, s))
+    if (!gridKey) {
+      outside++
+      return
+    }
+    // Cells with no level tile are level 0
+    const level = levelTiles.get((levels[i] ?? 0) & GID_MASK)?.level ?? 0
+    cells.push({ q, r, s, type: tile.name, rotation: tile.rotation, level, gridKey })
+  })
+  if (outside > 0) console.warn(`[TILED] Skipped ${outside} cells outside the map's grids`)
+
+  const used = new Set(cells.map(c => c.gridKey))
+  const seed = props.seed >= 0 ? props.seed : null
+  return {
+    format: MAP_FORMAT,
+    version: MAP_VERSION,
+    seed,
+    rng: { main: { seed, state: null }, workers: [] },
+    gridRadius,
+    grids: layout.map(g => g.gridKey).filter(key => used.has(key)),
+    cells,
+    waterSideIndex: props.waterSideIndex >= 0 ? props.waterSideIndex : null,
+    params: {},
+  }
+}
@@ -15,6 +15,10 @@ async function init() {
   app = new App(canvas)
   await app.init()
 
+  // Shared map link (#map=...): restore that exact map
+  const mapHash = new URLSearchParams(location.hash.slice(1)).get('map')
+  if (mapHash) await app.loadMapHash(mapHash)
+
   // Hide loading overlay
   loadingEl.style.display = 'none'
 
@@ -0,0 +1,260 @@
+/**
+ * Headless map generator — runs the WFC solver and Grid-WFC recovery flow in Node
+ * and writes every solved cell plus per-grid solve stats as JSON. No Three.js needed.
+ *
+ * Run: node tools/generate-map.js [--seed N] [--rings N] [--mode auto|all] [--heuristic shannon|mrv|scanline]
+ *        [--backtrack backjump|chronological] [--global-rng] [--no-river-flow] [--out file.json] [--verbose]
+ *        [--rasters dir] [--px-per-hex N] [--svg file.svg]
+ * Examples:
+ *   node tools/generate-map.js --seed 12345                    — auto build, 19 grids, JSON to stdout
+ *   node tools/generate-map.js --seed 7 --mode all --out map.json
+ *   node tools/generate-map.js --seed 7 --rings 3              — 37 grids
+ *   node tools/generate-map.js --seed 7 --out map.json --rasters out/  — also write heightmap/category/splat PNGs
+ *   node tools/generate-map.js --seed 7 --out map.json --svg atlas.svg  — also write the parchment atlas
+ *
+ * Modes:
+ *   auto — grids solved one at a time in ring order (center, then each ring) with
+ *          local-WFC and drop recovery, like Auto Build
+ *   all  — every cell solved in a single WFC pass, like Build All
+ *
+ * Output is deterministic per seed. Each grid solve (and the ocean side) draws from its own stream
+ * derived from the seed, like the browser, so the tiles match a browser build with the same seed.
+ * --global-rng uses one shared stream in build order instead (the browser's "Per-Grid RNG" off).
+ * --no-river-flow skips the solver's river repair (the browser's "River Flow" off). Each cell's `flow`
+ * is the direction its river drains by (null off rivers), `riverRepairPasses` counts the map-wide river
+ * re-solves after the build, and `riverIssues` counts river cells still with no downhill path to the
+ * sea (rivers off the map edge are dead ends).
+ *
+ * --rasters writes the PNG data maps from src/hexmap/export/RasterExport.js (same as "Export Rasters"
+ * in the browser) at --px-per-hex pixels across each hex (default 16). --svg writes the parchment
+ * atlas from src/hexmap/export/SVGAtlas.js, without decoration icons (decorations need the browser).
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { WFCManager } from '../src/hexmap/WFCManager.js'
+import { WFC_HEURISTICS, WFC_BACKTRACK_MODES } from '../src/hexmap/HexWFCSolver.js'
+import { TILE_LIST, TileType, HexDir } from '../src/hexmap/HexTileData.js'
+import { cubeKey, cubeCoordsInRadius } from '../src/hexmap/HexWFCCore.js'
+import {
+  getGridKey,
+  getRingBuildOrder,
+  calculateGridWorldOffset,
+  worldOffsetToGlobalCube,
+} from '../src/hexmap/HexGridConnector.js'
+import { setSeed, setDerivedStreams, getStreamSeed } from '../src/SeededRandom.js'
+import { exportRasters } from '../src/hexmap/export/RasterExport.js'
+import { exportSVGAtlas } from '../src/hexmap/export/SVGAtlas.js'
+
+const GRID_RADIUS = 8
+
+// ---- Args ----
+const args = { seed: null, rings: 2, mode: 'auto', heuristic: 'shannon', backtrack: 'backjump', out: null, verbose: false, globalRng: false, riverFlow: true, rasters: null, pxPerHex: 16, svg: null }
+const argv = process.argv.slice(2)
+for (let i = 0; i < argv.length; i++) {
+  const arg = argv[i]
+  if (arg === '--seed') args.seed = Number(argv[++i])
+  else if (arg === '--rings') args.rings = Number(argv[++i])
+  else if (arg === '--mode') args.mode = argv[++i]
+  else if (arg === '--heuristic') args.heuristic = argv[++i]
+  else if (arg === '--backtrack') args.backtrack = argv[++i]
+  else if (arg === '--out') args.out = argv[++i]
+  else if (arg === '--verbose') args.verbose = true
+  else if (arg === '--global-rng') args.globalRng = true
+  else if (arg === '--no-river-flow') args.riverFlow = false
+  else if (arg === '--rasters') args.rasters = argv[++i]
+  else if (arg === '--px-per-hex') args.pxPerHex = Number(argv[++i])
+  else if (arg === '--svg') args.svg = argv[++i]
+  else {
+    console.error(`Unknown argument: ${arg}`)
+    process.exit(1)
+  }
+}
+if (args.seed === null) args.seed = Math.floor(Math.random() * 100000)
+if (!Number.isInteger(args.seed)) {
+  console.error('--seed must be an integer')
+  process.exit(1)
+}
+if (!Number.isInteger(args.rings) || args.rings < 0) {
+  console.error('--rings must be a non-negative integer')
+  process.exit(1)
+}
+if (args.mode !== 'auto' && args.mode !== 'all') {
+  console.error('--mode must be "auto" or "all"')
+  process.exit(1)
+}
+if (!Number.isInteger(args.pxPerHex) || args.pxPerHex < 1) {
+  console.error('--px-per-hex must be a positive integer')
+  process.exit(1)
+}
+if (!WFC_HEURISTICS.includes(args.heuristic)) {
+  console.error(`--heuristic must be one of: ${WFC_HEURISTICS.join(', ')}`)
+  process.exit(1)
+}
+if (!WFC_BACKTRACK_MODES.includes(args.backtrack)) {
+  console.error(`--backtrack must be one of: ${WFC_BACKTRACK_MODES.join(', ')}`)
+  process.exit(1)
+}
+
+// Logs go to stderr so JSON on stdout stays clean
+const log = args.verbose ? (text) => console.error(text) : () => {}
+
+// ---- Setup ----
+setSeed(args.seed)
+setDerivedStreams(!args.globalRng)
+const globalCells = new Map()
+// No worker is started, so WFCManager runs the solver synchronously in-process
+const wfc = new WFCManager(globalCells, { log })
+wfc.solverOptions.heuristic = args.heuristic
+wfc.solverOptions.backtrackMode = args.backtrack
+wfc.solverOptions.riverFlow = args.riverFlow
+wfc.setMapBounds(GRID_RADIUS, args.rings)
+wfc.initWfcRules()
+
+const order = getRingBuildOrder(args.rings)
+const gridCenters = new Map()
+for (const [gx, gz] of order) {
+  const worldOffset = calculateGridWorldOffset(gx, gz, GRID_RADIUS)
+  gridCenters.set(getGridKey(gx, gz), worldOffsetToGlobalCube(worldOffset))
+}
+
+/** Auto Build: solve grids one at a time with the Grid-WFC recovery flow */
+async function buildAuto() {
+  const gridStats = []
+  for (const [gridKey, center] of gridCenters) {
+    const startTime = performance.now()
+    const ctx = wfc.setupPopulateContext(gridKey, center, GRID_RADIUS, {
+      rings: args.rings,
+      seed: getStreamSeed(`grid:${gridKey}`),
+    })
+    const solveResult = await wfc.runWfcWithRecovery(ctx)
+    const { stats } = solveResult
+    if (solveResult.result) {
+      wfc.commitPopulateResult(ctx, solveResult)
+    }
+    gridStats.push({
+      gridKey,
+      success: !!solveResult.result,
+      tries: stats.tries,
+      backtracks: stats.backtracks,
+      skippedDecisions: stats.skippedDecisions,
+      localWfcAttempts: stats.localWfcAttempts,
+      dropped: stats.postDroppedCount,
+      riverRepairs: stats.riverRepairs,
+      timeMs: Math.round(performance.now() - startTime),
+    })
+    log(`[${gridKey}] ${solveResult.result ? 'WFC SUCCESS' : 'WFC FAILED'}`)
+  }
+  return gridStats
+}
+
+/** Build All: solve every cell in a single WFC pass (no fixed cells) */
+async function buildAll() {
+  const startTime = performance.now()
+  const solveKeySet = new Set()
+  const allSolveCells = []
+  for (const center of gridCenters.values()) {
+    for (const c of cubeCoordsInRadius(center.q, center.r, center.s, GRID_RADIUS)) {
+      const ck = cubeKey(c.q, c.r, c.s)
+      if (!solveKeySet.has(ck)) {
+        solveKeySet.add(ck)
+        allSolveCells.push(c)
+      }
+    }
+  }
+
+  const centerCube = gridCenters.get('0,0')
+  const initialCollapses = [
+    { q: centerCube.q, r: centerCube.r, s: centerCube.s, type: TileType.GRASS, rotation: 0, level: 0 },
+    ...wfc.getMapCornerOceanSeeds(GRID_RADIUS, args.rings),
+  ].filter(ic => solveKeySet.has(cubeKey(ic.q, ic.r, ic.s)))
+
+  const result = await wfc.solveWfcAsync(allSolveCells, [], {
+    tileTypes: wfc.getDefaultTileTypes(),
+    weights: {},
+    maxTries: 5,
+    initialCollapses,
+    gridId: 'BUILD_ALL',
+    attemptNum: 1,
+    seed: getStreamSeed('build-all'),
+    onProgress: args.verbose
+      ? ({ remaining, total, backtracks }) => log(`[BUILD ALL] ${total - remaining}/${total} cells, ${backtracks} backtracks`)
+      : undefined,
+  })
+  const timeMs = Math.round(performance.now() - startTime)
+
+  if (result.success) {
+    const tileMap = new Map(result.tiles.map(t => [cubeKey(t.q, t.r, t.s), t]))
+    for (const [gridKey, center] of gridCenters) {
+      const gridTiles = cubeCoordsInRadius(center.q, center.r, center.s, GRID_RADIUS)
+        .map(c => tileMap.get(cubeKey(c.q, c.r, c.s)))
+        .filter(Boolean)
+      wfc.addToGlobalCells(gridKey, gridTiles)
+    }
+  }
+
+  // Single solve, so every grid shares the same stats
+  return [...gridCenters.keys()].map(gridKey => ({
+    gridKey,
+    success: result.success,
+    tries: result.tries || 0,
+    backtracks: result.backtracks || 0,
+    skippedDecisions: result.skippedDecisions || 0,
+    localWfcAttempts: 0,
+    dropped: 0,
+    riverRepairs: result.riverRepairs || 0,
+    timeMs,
+  }))
+}
+
+const grids = args.mode === 'all' ? await buildAll() : await buildAuto()
+// Map-wide river repair, like the browser after a build (see WFCManager.repairRivers)
+const scope = args.mode === 'all' ? 'build-all' : 'auto-build'
+const rivers = args.riverFlow ? await wfc.repairRivers({ seed: getStreamSeed(`rivers:${scope}`) }) : null
+
+const riverIssues = wfc.updateRiverFlow().length
+const cells = [...globalCells.entries()].map(([key, c]) => ({
+  q: c.q, r: c.r, s: c.s,
+  type: TILE_LIST[c.type]?.name ?? c.type,
+  rotation: c.rotation,
+  level: c.level,
+  flow: HexDir[wfc.riverFlow.get(key)] ?? null,
+  gridKey: c.gridKey,
+}))
+
+const output = {
+  version: 1,
+  seed: args.seed,
+  rings: args.rings,
+  mode: args.mode,
+  heuristic: args.heuristic,
+  backtrack: args.backtrack,
+  globalRng: args.globalRng,
+  riverFlow: args.riverFlow,
+  riverRepairPasses: rivers?.repaired ?? 0,
+  riverIssues,
+  gridRadius: GRID_RADIUS,
+  cells,
+  grids,
+}
+
+const json = JSON.stringify(output)
+if (args.out) {
+  fs.writeFileSync(args.out, json)
+  const failed = grids.filter(g => !g.success).length
+  console.error(`Wrote ${cells.length} cells, ${grids.length} grids (${failed} failed) to ${args.out}`)
+} else {
+  process.stdout.write(json + '\n')
+}
+
+if (args.rasters) {
+  fs.mkdirSync(args.rasters, { recursive: true })
+  const files = await exportRasters(globalCells, { pixelsPerHex: args.pxPerHex })
+  for (const { name, data } of files) fs.writeFileSync(path.join(args.rasters, name), data)
+  console.error(`Wrote ${files.length} raster files to ${args.rasters}`)
+}
+
+if (args.svg) {
+  fs.writeFileSync(args.svg, exportSVGAtlas(globalCells, { title: `Seed ${args.seed}` }))
+  console.error(`Wrote atlas to ${args.svg}`)
+}